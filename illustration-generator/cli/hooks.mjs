@@ -0,0 +1,22 @@
+// Module hooks that let Node load the app's source as it is written for the bundler: files in
+// src/ are ES modules, and their relative imports leave out the `.js` extension.
+import { existsSync, statSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const SRC_URL = new URL('../src/', import.meta.url).href;
+
+const isFile = url => existsSync(fileURLToPath(url)) && statSync(fileURLToPath(url)).isFile();
+
+export const resolve = async (specifier, context, nextResolve) => {
+    if (context.parentURL?.startsWith(SRC_URL) && /^\.{1,2}\//.test(specifier)) {
+        const url = new URL(specifier, context.parentURL);
+        const candidate = [url, new URL(`${url.href}.js`), new URL(`${url.href}/index.js`)].find(isFile);
+        if (candidate) return nextResolve(candidate.href, context);
+    }
+    return nextResolve(specifier, context);
+};
+
+export const load = async (url, context, nextLoad) => {
+    if (url.startsWith(SRC_URL) && url.endsWith('.js')) return nextLoad(url, { ...context, format: 'module' });
+    return nextLoad(url, context);
+};
@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+// Command-line entry point for batch extraction. See src/cli/batch.js, or run with --help.
+import { readFile } from 'node:fs/promises';
+import { register } from 'node:module';
+import { fileURLToPath } from 'node:url';
+import { jsPDF } from 'jspdf';
+import autoTablePlugin from 'jspdf-autotable';
+
+register('./hooks.mjs', import.meta.url);
+
+// The app's own pdf.js build, which Node 20 runs as it is; the legacy build warns on load that
+// it cannot draw pages without the optional canvas package. Documents are opened with the
+// package's own standard fonts, and pdf.js's verbosity setting keeps its warnings out of the output.
+const { default: pdfjs } = await import('pdfjs-dist/build/pdf.js');
+const standardFontDataUrl = fileURLToPath(new URL('standard_fonts/', import.meta.resolve('pdfjs-dist/package.json')));
+const pdfjsLib = {
+    ...pdfjs,
+    getDocument: params => pdfjs.getDocument({ ...params, standardFontDataUrl, verbosity: pdfjs.VerbosityLevel.ERRORS }),
+};
+
+const { runCli } = await import('../src/cli/batch.js');
+
+// The CommonJS build of the plugin exports its function as `default`
+const autoTable = autoTablePlugin.default || autoTablePlugin;
+
+// The Chinese report font, read from the package only when a report needs it
+const cjkFontPath = fileURLToPath(import.meta.resolve('@expo-google-fonts/noto-sans-tc/400Regular/NotoSansTC_400Regular.ttf'));
+const loadCjkFont = async () => (await readFile(cjkFontPath)).toString('base64');
+
+// npm runs scripts from the package folder; relative paths are meant from where it was run
+process.exitCode = await runCli(process.argv.slice(2), { pdfjsLib, jsPDF, autoTable, loadCjkFont }, { cwd: process.env.INIT_CWD || process.cwd() });
@@ -0,0 +1,44 @@
+// Copies the large files the app loads at runtime from their npm packages into public/, so they
+// are served as they are rather than bundled into the build and its precache. Runs before
+// `npm start` and `npm run build`; the copies are not committed.
+import { createHash } from 'node:crypto';
+import { copyFileSync, mkdirSync, readFileSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// Package file, where it is served from under public/, and for files that must not change
+// under a pinned package version, their SHA-256
+const ASSETS = [
+    // The Chinese report font, downloaded only when a report needs it
+    ['@expo-google-fonts/noto-sans-tc/400Regular/NotoSansTC_400Regular.ttf', 'fonts/NotoSansTC_400Regular.ttf'],
+    // The Tesseract models for OCR (tesseract-ocr's 4.0.0 "best" models, Apache License 2.0),
+    // which Tesseract finds by file name
+    [
+        '@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz',
+        'tessdata/eng.traineddata.gz',
+        '45b4cb346724ac1774f1c36f42f182b887bcdb28ebe63e6fff90ac41f3fcff91',
+    ],
+    [
+        '@tesseract.js-data/chi_tra/4.0.0_best_int/chi_tra.traineddata.gz',
+        'tessdata/chi_tra.traineddata.gz',
+        '11fe2610dab05d8a880d02f193ce70203f4c4bbe061b987d5529a2c038a22743',
+    ],
+    [
+        '@tesseract.js-data/chi_sim/4.0.0_best_int/chi_sim.traineddata.gz',
+        'tessdata/chi_sim.traineddata.gz',
+        'b8a23f10c7de500891eb458a8adc9cc58ab7f242f08b7d149f5e9aea4ad5db7c',
+    ],
+];
+
+for (const [file, servedAs, sha256] of ASSETS) {
+    const source = fileURLToPath(import.meta.resolve(file));
+    if (sha256) {
+        const actual = createHash('sha256').update(readFileSync(source)).digest('hex');
+        if (actual !== sha256) {
+            throw new Error(`${file} does not match its checksum (expected ${sha256}, got ${actual}).`);
+        }
+    }
+    const target = fileURLToPath(new URL(`../public/${servedAs}`, import.meta.url));
+    mkdirSync(dirname(target), { recursive: true });
+    copyFileSync(source, target);
+}
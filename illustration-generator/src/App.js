@@ -1,412 +1,707 @@
-import React, { useState, useMemo, useEffect } from 'react';
-
-// Helper function to add scripts to the document head
-const loadScript = (src) => {
-    return new Promise((resolve, reject) => {
-        if (document.querySelector(`script[src="${src}"]`)) {
-            resolve();
-            return;
-        }
-        const script = document.createElement('script');
-        script.src = src;
-        script.onload = () => resolve();
-        script.onerror = () => reject(new Error(`Script load error for ${src}`));
-        document.head.appendChild(script);
-    });
-};
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import { SCHEDULE_FIELDS } from './extraction/schedule';
+import { BASE_COLUMNS, scheduleColumn, getRowCurrency, applyCurrencyView, getColumnLabel } from './columns';
+import { DEFAULT_TABLE_VIEW, applyTableView, getVisibleColumns, toggleSort, removeColumnFromView } from './tableView';
+import { POINT_METRICS } from './metrics';
+import { applyOverride } from './overrides';
+import { validateRow, getCellIssues } from './validation';
+import { DEFAULT_CHART_OPTIONS, writeComparisonReport, toChartAmount, getChartCurrency } from './report/comparisonReport';
+import { resolveColumns } from './report/reportTemplates';
+import { LANGUAGES, createTranslator } from './i18n';
+import { LanguageContext } from './i18n/LanguageContext';
+import PdfViewer from './components/PdfViewer';
+import ResultCell from './components/ResultCell';
+import JobList from './components/JobList';
+import WorkspaceBar from './components/WorkspaceBar';
+import CurrencyPanel from './components/CurrencyPanel';
+import ProjectionCharts from './components/ProjectionCharts';
+import ReportBuilder from './components/ReportBuilder';
+import TableViewBar from './components/TableViewBar';
+import ColumnFilter from './components/ColumnFilter';
+import ValidationSummary from './components/ValidationSummary';
+import useWorkspace from './hooks/useWorkspace';
+import useCurrencySettings from './hooks/useCurrencySettings';
+import useReportTemplates from './hooks/useReportTemplates';
+import useSavedViews from './hooks/useSavedViews';
+import useLanguage from './hooks/useLanguage';
+import { hashFile } from './storage/hash';
+import { exportBundle, importBundle } from './storage/bundle';
+import { downloadFile, toFileSlug } from './download';
+import { toCsv, toXlsx, toJsonExport } from './export/exportTable';
+import { processFiles } from './pipeline/jobQueue';
+import { pdfjsLib, jsPDF, autoTable, startPdfjsWorker, loadCjkFont } from './libraries';
 
 // Main App Component
 const App = () => {
     // === STATE MANAGEMENT ===
-    const [extractedData, setExtractedData] = useState([]);
+    // Rows, comparison points and report details belong to the open comparison set and are saved automatically
+    const {
+        rows: extractedData,
+        setRows: setExtractedData,
+        comparisonPoints,
+        setComparisonPoints,
+        reportDetails,
+        setReportDetails,
+        ...workspace
+    } = useWorkspace();
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
-    const [sortConfig, setSortConfig] = useState({ key: 'fileName', direction: 'ascending' });
-    const [filterText, setFilterText] = useState('');
-    const [scriptsLoaded, setScriptsLoaded] = useState(false);
+    const [tableView, setTableView] = useState(DEFAULT_TABLE_VIEW);
+    const [librariesReady, setLibrariesReady] = useState(false);
+    const [newPoint, setNewPoint] = useState({ by: 'year', value: '', field: 'nonGuaranteedCashValue' });
+    const [viewerCell, setViewerCell] = useState(null);
+    const [showReportBuilder, setShowReportBuilder] = useState(false);
+    const [jobs, setJobs] = useState([]);
+    const [notice, setNotice] = useState(null);
+    const abortControllerRef = useRef(null);
+    const [currencySettings, updateCurrencySettings] = useCurrencySettings();
+    const [chartOptions, setChartOptions] = useState(DEFAULT_CHART_OPTIONS);
+    const reportTemplates = useReportTemplates();
+    const savedViews = useSavedViews();
+    const [language, setLanguage] = useLanguage();
+    const languageContext = useMemo(() => ({ language, t: createTranslator(language) }), [language]);
+    const { t } = languageContext;
+
+    // Fixed columns followed by any schedule points the user has added, with amounts in the chosen currency
+    const columns = useMemo(
+        () => applyCurrencyView([...BASE_COLUMNS, ...comparisonPoints.map(scheduleColumn)], currencySettings),
+        [comparisonPoints, currencySettings]
+    );
+
+    // The columns shown, in the order the user has chosen
+    const visibleColumns = useMemo(() => getVisibleColumns(columns, tableView), [columns, tableView]);
+
+    // The currencies of the documents in the comparison
+    const currencies = useMemo(
+        () => [...new Set(extractedData.map(getRowCurrency).filter(Boolean))],
+        [extractedData]
+    );
 
-    // === SCRIPT LOADING ===
+    // === PDF.JS WORKER ===
     useEffect(() => {
-        // Load updated and more stable versions of external libraries
-        Promise.all([
-            loadScript('https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js'),
-            loadScript('https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js'),
-            loadScript('https://cdnjs.cloudflare.com/ajax/libs/jspdf-autotable/3.8.2/jspdf.plugin.autotable.min.js')
-        ]).then(() => {
-            // Set the worker source for pdf.js
-            window.pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
-            setScriptsLoaded(true);
+        // The libraries are bundled; only the viewer's pdf.js worker needs starting
+        startPdfjsWorker().then(() => {
+            setLibrariesReady(true);
         }).catch(err => {
             console.error(err);
-            setError('Failed to load required libraries. Please check your network connection and refresh the page.');
+            setError('Failed to start the PDF reader. Please refresh the page.');
         });
     }, []);
 
-    // === DATA EXTRACTION LOGIC ===
+    // === EVENT HANDLERS ===
     /**
-     * Extracts specific financial data points from raw text using multiple regular expression patterns.
-     * This makes the extraction more robust across different PDF formats.
-     * @param {string} text - The raw text content from a PDF.
-     * @returns {object} - An object containing the extracted data.
+     * Handles the file upload event. New files are added to the open comparison set; files whose
+     * content is already in the set are skipped. Each file is parsed in a worker and its row is
+     * added as soon as it finishes; files that fail get a row explaining why.
+     * @param {Event} e - The file input change event.
      */
-    const extractDataFromText = (text) => {
-        // Helper to try multiple regex patterns and return the first valid match
-        const getValue = (patterns, clean = val => val) => {
-            for (const pattern of patterns) {
-                const match = text.match(pattern);
-                // Check for match and ensure it's not just whitespace
-                if (match && match[1] && match[1].trim()) {
-                    return clean(match[1]);
+    const handleFileChange = async (e) => {
+        const chosen = Array.from(e.target.files);
+        e.target.value = ''; // Allow the same files to be chosen again
+        if (chosen.length === 0 || !librariesReady) return;
+
+        setLoading(true);
+        setError(null);
+        setNotice(null);
+
+        // Hashing reads every file and can fail too, so it is covered by the same error handling
+        try {
+            // Detect duplicates by content, both against the set and within this batch
+            const hashes = await Promise.all(chosen.map(hashFile));
+            const known = new Map(extractedData.map(row => [row.fileHash, row.fileName]));
+            const files = [];
+            const fileHashes = [];
+            const duplicates = [];
+            chosen.forEach((file, index) => {
+                if (known.has(hashes[index])) {
+                    duplicates.push(t('{file} (same as {original})', { file: file.name, original: known.get(hashes[index]) }));
+                    return;
                 }
+                known.set(hashes[index], file.name);
+                files.push(file);
+                fileHashes.push(hashes[index]);
+            });
+            if (duplicates.length > 0) {
+                setNotice(t(duplicates.length === 1 ? 'Skipped {count} duplicate file: {files}.' : 'Skipped {count} duplicate files: {files}.', {
+                    count: duplicates.length,
+                    files: duplicates.join(', '),
+                }));
             }
-            return 'N/A';
-        };
-
-        // Removes currency symbols, commas, and trims whitespace
-        const cleanCurrency = (val) => val.replace(/[$,]/g, '').trim();
-
-        // Define arrays of regex patterns for each data point to handle different PDF layouts
-        const patterns = {
-            faceAmount: [
-                /"Face Amount\s*","[^"]*?([\d,]+\d)/,
-                /Sum Assured:\s*.*?([\d,]+\d)/,
-                /Initial Death Benefit:\s*.*?([\d,]+\d)/,
-                /SPECIFIED FACE AMOUNT:\s*.*?([\d,]+\d)/,
-                /SUM ASSURED:\s*.*?([\d,]+\d)/,
-            ],
-            annualPremium: [
-                /"10 Pay\s*","[^"]*?([\d,]+\d)/,
-                /Annualised Premium:\s*.*?([\d,]+\d)/,
-                /Initial Planned Premium:\s*.*?([\d,]+\.\d{2})/,
-                /INITIAL PREMIUM:\s*.*?([\d,]+\d)/,
-                /Initial Premium:\s*.*?([\d,]+\d)/,
-            ],
-            cashValueYear10: [
-                // This pattern targets the summary table format seen in the first PDF.
-                // It looks for "Year 10" and captures the 'Current' value which is the second value in that row.
-                /"Year 10\s*","[^"]*?",\s*"([^"]+)"/,
-                 // This pattern looks for a common table structure: Year, Age, ..., Non-Guaranteed Cash Value
-                /10\s+60\s+[\d,.]+\s+[\d,.]+\s+[\d,.]+\s+[\d,.]+\s+[\d,.]+\s+([\d,.]+)\s+[\d,.]+/
-            ],
-             cashValueYear20: [
-                /"Year 20\s*","[^"]*?",\s*"([^"]+)"/,
-                /#20\s+70\s+[\d,.]+\s+[\d,.]+\s+[\d,.]+\s+[\d,.]+\s+[\d,.]+\s+([\d,.]+)\s+[\d,.]+/
-            ],
-            cashValueYear30: [
-                /"Year 30\s*","[^"]*?",\s*"([^"]+)"/,
-                /#30\s+80\s+[\d,.]+\s+[\d,.]+\s+[\d,.]+\s+[\d,.]+\s+[\d,.]+\s+([\d,.]+)\s+[\d,.]+/
-            ],
-            guaranteedInterestRate: [
-                 /"Guaranteed Interest Rate\s*","([^"]+)"/
-            ],
-            surrenderPenaltyPeriod: [
-                /"Surrender Penalty Period\s*","([^"]+)"/
-            ],
-            spRating: [
-                /"\(S&P\) Financial Strength Rating\s*","([^"]+)"/
-            ],
-             productCode: [
-                /"Product Code\s*","([^"]+)"/
-            ],
-            currency: [
-                /"Currency\s*","([^"]+)"/
-            ],
-            total10PayPremium:[
-                 /Total 10 Pay Premium\s*([,\d]+)/
-            ]
-        };
-
-        // Extract and return data using the defined patterns
-        return {
-            productCode: getValue(patterns.productCode),
-            currency: getValue(patterns.currency),
-            faceAmount: getValue(patterns.faceAmount, cleanCurrency),
-            annualPremium: getValue(patterns.annualPremium, cleanCurrency),
-            total10PayPremium: getValue(patterns.total10PayPremium, cleanCurrency),
-            cashValueYear10: getValue(patterns.cashValueYear10, cleanCurrency),
-            cashValueYear20: getValue(patterns.cashValueYear20, cleanCurrency),
-            cashValueYear30: getValue(patterns.cashValueYear30, cleanCurrency),
-            guaranteedInterestRate: getValue(patterns.guaranteedInterestRate),
-            surrenderPenaltyPeriod: getValue(patterns.surrenderPenaltyPeriod),
-            spRating: getValue(patterns.spRating),
-        };
+            if (files.length === 0) return;
+
+            const batchId = Date.now();
+            const jobId = (index) => `${batchId}-${index}`;
+            setJobs(files.map((file, index) => ({ id: jobId(index), fileName: file.name, status: 'queued' })));
+
+            const abortController = new AbortController();
+            abortControllerRef.current = abortController;
+
+            const { default: createParseWorker } = await import('./pipeline/createParseWorker');
+            await processFiles(files, {
+                createWorker: createParseWorker,
+                signal: abortController.signal,
+                onJobUpdate: (index, patch) => {
+                    setJobs(current => current.map(job => (job.id === jobId(index) ? { ...job, ...patch } : job)));
+                },
+                onJobComplete: (index, result) => {
+                    if (result.error?.reason === 'cancelled') return;
+                    // Keep each file with its row so reviewers can open it at the source of a value
+                    const row = result.error
+                        ? { fileName: files[index].name, status: 'failed', error: result.error }
+                        : { ...result.data, status: 'done' };
+                    setExtractedData(current => [...current, {
+                        ...row,
+                        id: jobId(index),
+                        file: files[index],
+                        fileHash: fileHashes[index],
+                        overrides: {},
+                        changeLog: [],
+                    }]);
+                },
+            });
+        } catch (err) {
+            console.error("Error processing files:", err);
+            setError('An error occurred while processing the PDFs. Please ensure they are valid and not corrupted.');
+        } finally {
+            abortControllerRef.current = null;
+            setLoading(false);
+        }
     };
 
     /**
-     * Parses a single PDF file, extracts text, and then extracts structured data.
-     * @param {File} file - The PDF file to process.
-     * @returns {Promise<object>} - A promise that resolves with the extracted data.
+     * Removes a single file's row from the comparison set.
+     * @param {object} row - The row to remove.
      */
-    const parsePdf = async (file) => {
-        const arrayBuffer = await file.arrayBuffer();
-        const pdf = await window.pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-        let fullText = '';
-
-        for (let i = 1; i <= pdf.numPages; i++) {
-            const page = await pdf.getPage(i);
-            const textContent = await page.getTextContent();
-            // Added a newline character to help regex distinguish between lines
-            fullText += textContent.items.map(item => item.str).join(' ') + '\n';
+    const handleRemoveRow = (row) => {
+        setExtractedData(rows => rows.filter(r => r.id !== row.id));
+    };
+
+    // === COMPARISON SETS ===
+    const handleCreateSet = () => {
+        const name = window.prompt(t('Name for the new comparison set (for example, the client case):'));
+        if (name && name.trim()) workspace.createSet(name.trim());
+    };
+
+    const handleRenameSet = () => {
+        const name = window.prompt(t('Rename comparison set:'), workspace.currentSet.name);
+        if (name && name.trim()) workspace.renameSet(name.trim());
+    };
+
+    const handleDeleteSet = () => {
+        if (window.confirm(t('Delete "{name}" and all of its results? This cannot be undone.', { name: workspace.currentSet.name }))) {
+            workspace.deleteCurrentSet();
         }
-        
-        const data = extractDataFromText(fullText);
-        data.fileName = file.name; // Add filename for reference
-        return data;
     };
 
-    // === EVENT HANDLERS ===
     /**
-     * Handles the file upload event.
-     * @param {Event} e - The file input change event.
+     * Downloads the open comparison set, files included, as a JSON bundle.
      */
-    const handleFileChange = async (e) => {
-        const files = Array.from(e.target.files);
-        if (files.length === 0 || !scriptsLoaded) return;
-
-        setLoading(true);
-        setError(null);
-        setExtractedData([]);
+    const handleExportSet = async () => {
+        const name = workspace.currentSet?.name || 'Comparison';
+        const bundle = await exportBundle({ name, rows: extractedData, comparisonPoints, reportDetails });
+        downloadFile(bundle, `${toFileSlug(name)}.comparison.json`, 'application/json');
+    };
 
+    /**
+     * Imports a JSON bundle as a new comparison set and opens it.
+     * @param {File} file - The bundle file.
+     */
+    const handleImportSet = async (file) => {
         try {
-            const allData = await Promise.all(files.map(file => parsePdf(file)));
-            setExtractedData(allData);
+            const set = importBundle(await file.text());
+            if (workspace.currentSet) {
+                await workspace.createSet(set.name, {
+                    rows: set.rows,
+                    comparisonPoints: set.comparisonPoints,
+                    reportDetails: set.reportDetails,
+                });
+            } else {
+                // Without storage, the imported set simply replaces what is on screen
+                setExtractedData(set.rows);
+                setComparisonPoints(set.comparisonPoints);
+                setReportDetails(set.reportDetails);
+            }
+            setError(null);
         } catch (err) {
-            console.error("Error processing files:", err);
-            setError('An error occurred while processing the PDFs. Please ensure they are valid and not corrupted.');
-        } finally {
-            setLoading(false);
+            console.error(err);
+            setError(err.message);
         }
     };
+
+    /**
+     * Cancels the files in the current batch that have not finished yet.
+     */
+    const handleCancel = () => {
+        if (abortControllerRef.current) abortControllerRef.current.abort();
+    };
     
     /**
-     * Generates a PDF report from the currently displayed data.
+     * Generates the client report from the currently displayed data, in the template's language.
+     * @param {object} template - The report template chosen in the report builder.
      */
-    const handleGeneratePdf = () => {
-        if (filteredData.length === 0) {
+    const handleGeneratePdf = async (template) => {
+        // Files that failed to process have nothing to compare
+        const reportData = filteredData.filter(d => d.status !== 'failed');
+        if (reportData.length === 0) {
             // Use a custom modal or a less intrusive notification in a real app
-            alert("No data to export!");
+            alert(t('No data to export!'));
             return;
         }
 
-        const { jsPDF } = window.jspdf;
         const doc = new jsPDF({ orientation: 'landscape' });
+        try {
+            await writeComparisonReport(doc, autoTable, {
+                template,
+                details: reportDetails,
+                rows: reportData,
+                columns: resolveColumns(visibleColumns, template.columnKeys),
+                detailColumns: columns,
+                currencySettings,
+                // The projection charts as shown on screen
+                chartOptions,
+                chartRows,
+                // Only downloaded for reports with Chinese text
+                loadCjkFont,
+            });
+        } catch (err) {
+            console.error(err);
+            setError(t('The report could not be generated: {message}', { message: err.message }));
+            setShowReportBuilder(false);
+            return;
+        }
+        doc.save(`${toFileSlug(reportDetails.clientName || workspace.currentSet?.name || 'illustration comparison')}.pdf`);
+        setShowReportBuilder(false);
+    };
 
-        doc.text("Illustration Comparison Report", 14, 15);
-
-        const tableHead = [[
-            'File Name', 'Product Code', 'Currency', 'Face Amount', 'Annual Premium',
-            'Total 10 Pay Premium', 'Cash Value Y10', 'Cash Value Y20', 'Cash Value Y30',
-            'Guaranteed Rate', 'Surrender Period', 'S&P Rating'
-        ]];
-        
-        const tableBody = filteredData.map(d => [
-            d.fileName, d.productCode, d.currency, d.faceAmount, d.annualPremium,
-            d.total10PayPremium, d.cashValueYear10, d.cashValueYear20, d.cashValueYear30,
-            d.guaranteedInterestRate, d.surrenderPenaltyPeriod, d.spRating
-        ]);
-
-        doc.autoTable({
-            startY: 20,
-            head: tableHead,
-            body: tableBody,
-            styles: { fontSize: 7, cellPadding: 1.5 },
-            headStyles: { fillColor: [22, 160, 133], textColor: 255 },
-            alternateRowStyles: { fillColor: [245, 245, 245] },
-            columnStyles: {
-                0: { cellWidth: 40 }, // File Name
-            }
-        });
+    /**
+     * Downloads the table as shown, sorted, filtered and with its current columns, for spreadsheets or other systems.
+     * @param {string} format - `'csv'`, `'xlsx'` or `'json'`.
+     */
+    const handleExportTable = (format) => {
+        const name = workspace.currentSet?.name || 'Comparison';
+        const fileName = toFileSlug(name);
+        if (format === 'csv') {
+            downloadFile(toCsv(filteredData, visibleColumns, currencySettings), `${fileName}.csv`, 'text/csv;charset=utf-8');
+        } else if (format === 'xlsx') {
+            downloadFile(toXlsx(filteredData, visibleColumns, currencySettings), `${fileName}.xlsx`, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        } else {
+            const json = toJsonExport(filteredData, visibleColumns, currencySettings, name);
+            downloadFile(JSON.stringify(json, null, 2), `${fileName}.json`, 'application/json');
+        }
+    };
 
-        doc.save('illustration-comparison.pdf');
+    /**
+     * Saves a manual correction to a cell, keeping the extracted value and logging the change.
+     * @param {object} row - The row being edited.
+     * @param {object} column - The column being edited.
+     * @param {string} value - The corrected value.
+     */
+    const handleEditCell = (row, column, value) => {
+        setExtractedData(rows => rows.map(r => (r.id === row.id ? applyOverride(r, column, value) : r)));
     };
 
-    // === DATA SORTING & FILTERING ===
+    // === COMPARISON POINTS ===
     /**
-     * Requests a sort by a specific column key. Toggles direction if key is the same.
-     * @param {string} key - The key of the column to sort by.
+     * Adds a schedule value or metric column for the policy year or age entered by the user.
+     * @param {Event} e - The form submit event.
      */
-    const requestSort = (key) => {
-        let direction = 'ascending';
-        if (sortConfig.key === key && sortConfig.direction === 'ascending') {
-            direction = 'descending';
+    const handleAddComparisonPoint = (e) => {
+        e.preventDefault();
+        const value = parseInt(newPoint.value, 10);
+        if (!(value > 0)) return;
+
+        const point = { by: newPoint.by, value, field: newPoint.field };
+        const key = scheduleColumn(point).key;
+        if (!columns.some(column => column.key === key)) {
+            setComparisonPoints([...comparisonPoints, point]);
         }
-        setSortConfig({ key, direction });
+        setNewPoint({ ...newPoint, value: '' });
     };
 
-    // Memoized calculation for sorted and filtered data to optimize performance
-    const filteredData = useMemo(() => {
-        let sortableData = [...extractedData];
-
-        // Sorting logic
-        if (sortConfig.key) {
-            sortableData.sort((a, b) => {
-                const aValue = a[sortConfig.key];
-                const bValue = b[sortConfig.key];
-
-                // Attempt to compare as numbers if possible for numeric fields
-                const numericKeys = ['faceAmount', 'annualPremium', 'total10PayPremium', 'cashValueYear10', 'cashValueYear20', 'cashValueYear30'];
-                let valA, valB;
-
-                if (numericKeys.includes(sortConfig.key)) {
-                    valA = parseFloat(aValue) || 0;
-                    valB = parseFloat(bValue) || 0;
-                } else {
-                    valA = aValue?.toString().toLowerCase() || '';
-                    valB = bValue?.toString().toLowerCase() || '';
-                }
+    /**
+     * Removes a previously added schedule column.
+     * @param {string} key - The key of the column to remove.
+     */
+    const removeComparisonPoint = (key) => {
+        setComparisonPoints(comparisonPoints.filter(point => scheduleColumn(point).key !== key));
+        setTableView(view => removeColumnFromView(view, key));
+    };
 
-                if (valA < valB) {
-                    return sortConfig.direction === 'ascending' ? -1 : 1;
-                }
-                if (valA > valB) {
-                    return sortConfig.direction === 'ascending' ? 1 : -1;
-                }
-                return 0;
-            });
-        }
+    // === TABLE VIEW ===
+    /**
+     * Merges changes into the table view.
+     * @param {object} changes - The view settings to change.
+     */
+    const updateTableView = (changes) => {
+        setTableView(view => ({ ...view, ...changes }));
+    };
+
+    /**
+     * Sorts by a column when its heading is clicked; shift-click adds it as a further sort key.
+     * @param {string} key - The key of the column to sort by.
+     * @param {boolean} addKey - Whether to keep the current sort keys.
+     */
+    const requestSort = (key, addKey) => {
+        setTableView(view => ({ ...view, sort: toggleSort(view.sort, key, addKey) }));
+    };
+
+    /**
+     * Sets or clears one column's filter.
+     * @param {string} key - The column key.
+     * @param {(object|null)} filter - The filter, or null to clear it.
+     */
+    const setColumnFilter = (key, filter) => {
+        setTableView(view => {
+            const { [key]: previous, ...filters } = view.filters;
+            return { ...view, filters: filter ? { ...filters, [key]: filter } : filters };
+        });
+    };
+
+    /**
+     * Applies a saved view, including the comparison columns it was saved with.
+     * @param {object} saved - The saved view.
+     */
+    const handleLoadView = (saved) => {
+        setTableView({ ...DEFAULT_TABLE_VIEW, ...saved.view });
+        setComparisonPoints(saved.comparisonPoints || []);
+    };
+
+    // Validation problems for each row, checked again whenever a row is extracted or corrected
+    const issuesByRow = useMemo(
+        () => new Map(extractedData.map(row => [row.id, validateRow(row, t)])),
+        [extractedData, t]
+    );
+
+    // Rows matching the search and column filters, in the view's sort order
+    const filteredData = useMemo(
+        () => applyTableView(extractedData, columns, tableView),
+        [extractedData, columns, tableView]
+    );
+
+    // Charts follow the filter but keep upload order, so each file keeps its colour when the table is re-sorted
+    const chartRows = useMemo(() => {
+        const shown = new Set(filteredData.map(row => row.id));
+        return extractedData.filter(row => shown.has(row.id));
+    }, [extractedData, filteredData]);
+
+    // Amounts are charted in the base currency when the table shows converted values
+    const chartAmount = toChartAmount(currencySettings);
+    const chartCurrency = getChartCurrency(currencies, currencySettings, t);
+
+    // Number of manual edits made across all files
+    const changeCount = extractedData.reduce((count, row) => count + (row.changeLog?.length || 0), 0);
 
-        // Filtering logic
-        if (!filterText) {
-            return sortableData;
-        }
-        return sortableData.filter(item =>
-            Object.values(item).some(val =>
-                val?.toString().toLowerCase().includes(filterText.toLowerCase())
-            )
-        );
-    }, [extractedData, sortConfig, filterText]);
-    
     // === RENDER COMPONENTS ===
 
     // Header component for the table
     const SortableHeader = ({ children, columnKey }) => {
-        const isSorted = sortConfig.key === columnKey;
-        const icon = isSorted ? (sortConfig.direction === 'ascending' ? '▲' : '▼') : '';
+        const sortIndex = tableView.sort.findIndex(s => s.key === columnKey);
+        const sortKey = tableView.sort[sortIndex];
+        const icon = sortKey ? (sortKey.direction === 'ascending' ? '▲' : '▼') : '';
         return (
-            <th onClick={() => requestSort(columnKey)} className="p-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100 transition-colors duration-200">
-                {children} <span className="text-gray-400 ml-1">{icon}</span>
+            <th onClick={(e) => requestSort(columnKey, e.shiftKey)} className="p-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100 transition-colors duration-200 select-none">
+                {children} <span className="text-gray-400 ml-1">{icon}{sortKey && tableView.sort.length > 1 ? sortIndex + 1 : ''}</span>
             </th>
         );
     };
 
+    // Trailing cell with a button that removes the row's file from the set
+    const renderRemoveCell = (data) => (
+        <td className="p-3 text-right">
+            <button
+                onClick={() => handleRemoveRow(data)}
+                disabled={loading}
+                className="text-gray-300 hover:text-red-600 disabled:opacity-50"
+                aria-label={t('Remove {name}', { name: data.fileName })}
+                title={t('Remove from this comparison set')}
+            >
+                ×
+            </button>
+        </td>
+    );
+
     // Main render method
     return (
-        <div className="bg-gray-50 min-h-screen font-sans text-gray-800">
-            <div className="container mx-auto p-4 md:p-8">
-                <header className="text-center mb-8">
-                    <h1 className="text-4xl md:text-5xl font-bold text-gray-800">Illustration Comparator</h1>
-                    <p className="text-lg text-gray-600 mt-2">Upload, compare, and analyze financial illustration PDFs with ease.</p>
-                </header>
-
-                <div className="bg-white p-6 rounded-lg shadow-lg mb-8">
-                    <h2 className="text-2xl font-semibold mb-4 text-gray-700">1. Upload Your PDF Files</h2>
-                    {!scriptsLoaded ? (
-                        <div className="text-center p-4 bg-yellow-100 border-l-4 border-yellow-500 text-yellow-700 rounded-md">
-                            <p>Loading required libraries, please wait...</p>
-                        </div>
-                    ) : (
-                        <div className="border-2 border-dashed border-gray-300 rounded-lg p-8 text-center hover:border-teal-500 transition-colors duration-300">
-                            <input
-                                type="file"
-                                id="file-upload"
-                                multiple
-                                accept=".pdf"
-                                onChange={handleFileChange}
-                                className="hidden"
-                                disabled={loading}
-                            />
-                            <label htmlFor="file-upload" className={`cursor-pointer ${loading ? 'opacity-50 cursor-not-allowed' : ''}`}>
-                                <svg className="mx-auto h-12 w-12 text-gray-400" stroke="currentColor" fill="none" viewBox="0 0 48 48" aria-hidden="true">
-                                    <path d="M28 8H12a4 4 0 00-4 4v20m32-12v8m0 0v8a4 4 0 01-4 4H12a4 4 0 01-4-4v-4m32-4l-3.172-3.172a4 4 0 00-5.656 0L28 28M8 32l9.172-9.172a4 4 0 015.656 0L28 28m0 0l4 4m4-24h8m-4-4v8" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
-                                </svg>
-                                <span className="mt-2 block text-sm font-medium text-teal-600">
-                                    {loading ? 'Processing PDFs...' : 'Choose files or drag and drop'}
-                                </span>
-                                <span className="block text-xs text-gray-500">PDF documents only</span>
-                            </label>
+        <LanguageContext.Provider value={languageContext}>
+            <div className="bg-gray-50 min-h-screen font-sans text-gray-800">
+                <div className="container mx-auto p-4 md:p-8">
+                    <header className="relative text-center mb-8">
+                        <select
+                            value={language}
+                            onChange={(e) => setLanguage(e.target.value)}
+                            className="absolute right-0 top-0 p-1 border border-gray-300 rounded-md text-sm bg-white"
+                            aria-label={t('Language')}
+                        >
+                            {LANGUAGES.map(option => <option key={option.code} value={option.code}>{option.label}</option>)}
+                        </select>
+                        <h1 className="text-4xl md:text-5xl font-bold text-gray-800">{t('Illustration Comparator')}</h1>
+                        <p className="text-lg text-gray-600 mt-2">{t('Upload, compare, and analyze financial illustration PDFs with ease.')}</p>
+                    </header>
+
+                    <WorkspaceBar
+                        sets={workspace.sets}
+                        currentSet={workspace.currentSet}
+                        disabled={loading}
+                        onSwitch={workspace.switchSet}
+                        onCreate={handleCreateSet}
+                        onRename={handleRenameSet}
+                        onDelete={handleDeleteSet}
+                        onExport={handleExportSet}
+                        onImport={handleImportSet}
+                    />
+
+                    {workspace.storageError && (
+                        <div className="bg-yellow-100 border-l-4 border-yellow-500 text-yellow-700 p-4 mb-8 rounded-md">
+                            <p>{t(workspace.storageError)}</p>
                         </div>
                     )}
-                </div>
 
-                {loading && (
-                    <div className="text-center my-8">
-                        <div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2 border-teal-500 mx-auto"></div>
-                        <p className="mt-4 text-gray-600">Extracting data from your documents...</p>
+                    <div className="bg-white p-6 rounded-lg shadow-lg mb-8">
+                        <h2 className="text-2xl font-semibold mb-4 text-gray-700">
+                            1. {extractedData.length > 0 ? t('Add More PDF Files') : t('Upload Your PDF Files')}
+                        </h2>
+                        {!librariesReady ? (
+                            <div className="text-center p-4 bg-yellow-100 border-l-4 border-yellow-500 text-yellow-700 rounded-md">
+                                <p>{t('Starting the PDF reader, please wait...')}</p>
+                            </div>
+                        ) : (
+                            <div className="border-2 border-dashed border-gray-300 rounded-lg p-8 text-center hover:border-teal-500 transition-colors duration-300">
+                                <input
+                                    type="file"
+                                    id="file-upload"
+                                    multiple
+                                    accept=".pdf"
+                                    onChange={handleFileChange}
+                                    className="hidden"
+                                    disabled={loading}
+                                />
+                                <label htmlFor="file-upload" className={`cursor-pointer ${loading ? 'opacity-50 cursor-not-allowed' : ''}`}>
+                                    <svg className="mx-auto h-12 w-12 text-gray-400" stroke="currentColor" fill="none" viewBox="0 0 48 48" aria-hidden="true">
+                                        <path d="M28 8H12a4 4 0 00-4 4v20m32-12v8m0 0v8a4 4 0 01-4 4H12a4 4 0 01-4-4v-4m32-4l-3.172-3.172a4 4 0 00-5.656 0L28 28M8 32l9.172-9.172a4 4 0 015.656 0L28 28m0 0l4 4m4-24h8m-4-4v8" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+                                    </svg>
+                                    <span className="mt-2 block text-sm font-medium text-teal-600">
+                                        {loading ? t('Processing PDFs...') : t('Choose files or drag and drop')}
+                                    </span>
+                                    <span className="block text-xs text-gray-500">{t('PDF documents only')}</span>
+                                </label>
+                            </div>
+                        )}
                     </div>
-                )}
 
-                {error && (
-                    <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-8 rounded-md" role="alert">
-                        <p className="font-bold">Error</p>
-                        <p>{error}</p>
-                    </div>
-                )}
+                    {jobs.length > 0 && (loading || jobs.some(job => job.status !== 'done')) && (
+                        <JobList jobs={jobs} running={loading} onCancel={handleCancel} />
+                    )}
 
-                {extractedData.length > 0 && !loading && (
-                    <div className="bg-white p-4 sm:p-6 rounded-lg shadow-lg">
-                        <h2 className="text-2xl font-semibold mb-4 text-gray-700">2. Comparison Results</h2>
-                        <div className="flex flex-col sm:flex-row justify-between items-center mb-4 gap-4">
-                            <input
-                                type="text"
-                                placeholder="Filter results..."
-                                value={filterText}
-                                onChange={(e) => setFilterText(e.target.value)}
-                                className="p-2 border border-gray-300 rounded-md w-full sm:w-1/3 focus:ring-2 focus:ring-teal-500 focus:border-transparent"
-                            />
-                            <button
-                                onClick={handleGeneratePdf}
-                                className="bg-teal-600 text-white font-bold py-2 px-4 rounded-md hover:bg-teal-700 transition-transform transform hover:scale-105 duration-300 w-full sm:w-auto"
-                            >
-                                Generate PDF Report
-                            </button>
+                    {error && (
+                        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-8 rounded-md" role="alert">
+                            <p className="font-bold">{t('Error')}</p>
+                            <p>{t(error)}</p>
+                        </div>
+                    )}
+
+                    {notice && (
+                        <div className="bg-blue-50 border-l-4 border-blue-400 text-blue-700 p-4 mb-8 rounded-md flex justify-between gap-4">
+                            <p>{notice}</p>
+                            <button onClick={() => setNotice(null)} className="text-blue-400 hover:text-blue-700" aria-label={t('Dismiss')}>×</button>
                         </div>
+                    )}
+
+                    {extractedData.length > 0 && (
+                        <div className="bg-white p-4 sm:p-6 rounded-lg shadow-lg">
+                            <h2 className="text-2xl font-semibold mb-4 text-gray-700">2. {t('Comparison Results')}</h2>
+                            <div className="flex flex-col sm:flex-row justify-between items-center mb-4 gap-4">
+                                <input
+                                    type="text"
+                                    placeholder={t('Filter results...')}
+                                    value={tableView.filterText}
+                                    onChange={(e) => updateTableView({ filterText: e.target.value })}
+                                    className="p-2 border border-gray-300 rounded-md w-full sm:w-1/3 focus:ring-2 focus:ring-teal-500 focus:border-transparent"
+                                />
+                                <div className="flex flex-wrap items-center gap-2 w-full sm:w-auto">
+                                    <span className="text-sm text-gray-600">{t('Export:')}</span>
+                                    {[['csv', 'CSV'], ['xlsx', 'Excel'], ['json', 'JSON']].map(([format, label]) => (
+                                        <button
+                                            key={format}
+                                            onClick={() => handleExportTable(format)}
+                                            disabled={filteredData.length === 0}
+                                            className="bg-gray-100 text-gray-700 font-medium py-2 px-3 rounded-md hover:bg-gray-200 transition-colors duration-200 disabled:opacity-50 text-sm"
+                                        >
+                                            {t(label)}
+                                        </button>
+                                    ))}
+                                    <button
+                                        onClick={() => setShowReportBuilder(true)}
+                                        className="bg-teal-600 text-white font-bold py-2 px-4 rounded-md hover:bg-teal-700 transition-transform transform hover:scale-105 duration-300 w-full sm:w-auto"
+                                    >
+                                        {t('Generate PDF Report')}
+                                    </button>
+                                </div>
+                            </div>
+
+                            <CurrencyPanel settings={currencySettings} onChange={updateCurrencySettings} currencies={currencies} />
+
+                            <TableViewBar
+                                columns={columns}
+                                view={tableView}
+                                onViewChange={updateTableView}
+                                savedViews={savedViews.views}
+                                onSaveView={(name) => savedViews.saveView(name, tableView, comparisonPoints)}
+                                onLoadView={handleLoadView}
+                                onDeleteView={savedViews.deleteView}
+                            />
 
-                        <div className="overflow-x-auto">
-                            <table className="min-w-full divide-y divide-gray-200">
-                                <thead className="bg-gray-50">
-                                    <tr>
-                                        <SortableHeader columnKey="fileName">File Name</SortableHeader>
-                                        <SortableHeader columnKey="productCode">Product Code</SortableHeader>
-                                        <SortableHeader columnKey="currency">Currency</SortableHeader>
-                                        <SortableHeader columnKey="faceAmount">Face Amount</SortableHeader>
-                                        <SortableHeader columnKey="annualPremium">Annual Premium</SortableHeader>
-                                        <SortableHeader columnKey="total10PayPremium">Total 10 Pay Premium</SortableHeader>
-                                        <SortableHeader columnKey="cashValueYear10">Cash Value Y10</SortableHeader>
-                                        <SortableHeader columnKey="cashValueYear20">Cash Value Y20</SortableHeader>
-                                        <SortableHeader columnKey="cashValueYear30">Cash Value Y30</SortableHeader>
-                                        <SortableHeader columnKey="guaranteedInterestRate">Guaranteed Rate</SortableHeader>
-                                        <SortableHeader columnKey="surrenderPenaltyPeriod">Surrender Period</SortableHeader>
-                                        <SortableHeader columnKey="spRating">S&P Rating</SortableHeader>
-                                    </tr>
-                                </thead>
-                                <tbody className="bg-white divide-y divide-gray-200">
-                                    {filteredData.length > 0 ? filteredData.map((data, index) => (
-                                        <tr key={index} className="hover:bg-gray-50 transition-colors duration-200">
-                                            <td className="p-3 text-sm text-gray-900 whitespace-nowrap font-medium">{data.fileName}</td>
-                                            <td className="p-3 text-sm text-gray-500">{data.productCode}</td>
-                                            <td className="p-3 text-sm text-gray-500">{data.currency}</td>
-                                            <td className="p-3 text-sm text-gray-500 text-right">{data.faceAmount}</td>
-                                            <td className="p-3 text-sm text-gray-500 text-right">{data.annualPremium}</td>
-                                            <td className="p-3 text-sm text-gray-500 text-right">{data.total10PayPremium}</td>
-                                            <td className="p-3 text-sm text-gray-500 text-right">{data.cashValueYear10}</td>
-                                            <td className="p-3 text-sm text-gray-500 text-right">{data.cashValueYear20}</td>
-                                            <td className="p-3 text-sm text-gray-500 text-right">{data.cashValueYear30}</td>
-                                            <td className="p-3 text-sm text-gray-500 whitespace-nowrap">{data.guaranteedInterestRate}</td>
-                                            <td className="p-3 text-sm text-gray-500">{data.surrenderPenaltyPeriod}</td>
-                                            <td className="p-3 text-sm text-gray-500">{data.spRating}</td>
+                            <form onSubmit={handleAddComparisonPoint} className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+                                <span className="text-gray-600">{t('Add comparison column:')}</span>
+                                <select
+                                    value={newPoint.field}
+                                    onChange={(e) => setNewPoint({ ...newPoint, field: e.target.value })}
+                                    className="p-2 border border-gray-300 rounded-md"
+                                >
+                                    <optgroup label={t('Schedule values')}>
+                                        {SCHEDULE_FIELDS.map(field => (
+                                            <option key={field.key} value={field.key}>{t(field.label)}</option>
+                                        ))}
+                                    </optgroup>
+                                    <optgroup label={t('Metrics')}>
+                                        {POINT_METRICS.map(metric => (
+                                            <option key={metric.key} value={metric.key}>{t(metric.label)}</option>
+                                        ))}
+                                    </optgroup>
+                                </select>
+                                <span className="text-gray-600">{t('at')}</span>
+                                <select
+                                    value={newPoint.by}
+                                    onChange={(e) => setNewPoint({ ...newPoint, by: e.target.value })}
+                                    className="p-2 border border-gray-300 rounded-md"
+                                >
+                                    <option value="year">{t('Policy Year')}</option>
+                                    <option value="age">{t('Age')}</option>
+                                </select>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    placeholder={t('e.g. {value}', { value: newPoint.by === 'age' ? 65 : 15 })}
+                                    value={newPoint.value}
+                                    onChange={(e) => setNewPoint({ ...newPoint, value: e.target.value })}
+                                    className="p-2 border border-gray-300 rounded-md w-24"
+                                />
+                                <button type="submit" className="bg-gray-100 text-gray-700 font-medium py-2 px-3 rounded-md hover:bg-gray-200 transition-colors duration-200">
+                                    {t('Add')}
+                                </button>
+                                {comparisonPoints.map(point => {
+                                    const column = scheduleColumn(point);
+                                    return (
+                                        <span key={column.key} className="inline-flex items-center bg-teal-50 text-teal-700 rounded-full px-3 py-1">
+                                            {getColumnLabel(column, t)}
+                                            <button
+                                                type="button"
+                                                onClick={() => removeComparisonPoint(column.key)}
+                                                className="ml-2 text-teal-500 hover:text-teal-800"
+                                                aria-label={t('Remove {name}', { name: getColumnLabel(column, t) })}
+                                            >
+                                                ×
+                                            </button>
+                                        </span>
+                                    );
+                                })}
+                            </form>
+
+                            <ValidationSummary rows={filteredData} issuesByRow={issuesByRow} />
+
+                            <div className="overflow-x-auto">
+                                <table className="min-w-full divide-y divide-gray-200">
+                                    <thead className="bg-gray-50">
+                                        <tr>
+                                            {visibleColumns.map(column => (
+                                                <SortableHeader key={column.key} columnKey={column.key}>{getColumnLabel(column, t)}</SortableHeader>
+                                            ))}
+                                            <th className="p-3"><span className="sr-only">{t('Remove')}</span></th>
                                         </tr>
-                                    )) : (
                                         <tr>
-                                            <td colSpan="12" className="text-center p-6 text-gray-500">No results match your filter.</td>
+                                            {visibleColumns.map(column => (
+                                                <th key={column.key} className="px-3 pb-2 text-left align-top">
+                                                    <ColumnFilter
+                                                        column={column}
+                                                        rows={extractedData}
+                                                        filter={tableView.filters[column.key]}
+                                                        onChange={(filter) => setColumnFilter(column.key, filter)}
+                                                    />
+                                                </th>
+                                            ))}
+                                            <th />
                                         </tr>
-                                    )}
-                                </tbody>
-                            </table>
+                                    </thead>
+                                    <tbody className="bg-white divide-y divide-gray-200">
+                                        {filteredData.length > 0 ? filteredData.map(data => (data.status === 'failed' ? (
+                                            <tr key={data.id} className="bg-red-50">
+                                                <td className={BASE_COLUMNS[0].cellClassName}>{data.fileName}</td>
+                                                <td colSpan={Math.max(visibleColumns.length - 1, 1)} className="p-3 text-sm text-red-700">
+                                                    <span className="font-bold">{t('Could not process:')}</span> {t(data.error.message)}
+                                                </td>
+                                                {renderRemoveCell(data)}
+                                            </tr>
+                                        ) : (
+                                            <tr key={data.id} className="hover:bg-gray-50 transition-colors duration-200">
+                                                {visibleColumns.map(column => (
+                                                    <ResultCell
+                                                        key={column.key}
+                                                        data={data}
+                                                        column={column}
+                                                        onOpenSource={setViewerCell}
+                                                        onEdit={handleEditCell}
+                                                        issues={getCellIssues(issuesByRow.get(data.id) || [], column)}
+                                                    />
+                                                ))}
+                                                {renderRemoveCell(data)}
+                                            </tr>
+                                        ))) : (
+                                            <tr>
+                                                <td colSpan={visibleColumns.length + 1} className="text-center p-6 text-gray-500">{t('No results match your filters.')}</td>
+                                            </tr>
+                                        )}
+                                    </tbody>
+                                </table>
+                            </div>
+
+                            <ProjectionCharts
+                                rows={chartRows}
+                                options={chartOptions}
+                                onOptionsChange={(changes) => setChartOptions(options => ({ ...options, ...changes }))}
+                                toAmount={chartAmount}
+                                currency={chartCurrency}
+                            />
                         </div>
-                    </div>
+                    )}
+                </div>
+
+                {viewerCell && (
+                    <PdfViewer
+                        file={viewerCell.data.file}
+                        pdfjsLib={pdfjsLib}
+                        title={`${viewerCell.data.fileName} — ${getColumnLabel(viewerCell.column, t)}`}
+                        value={viewerCell.value}
+                        source={viewerCell.source}
+                        onClose={() => setViewerCell(null)}
+                    />
+                )}
+
+                {showReportBuilder && (
+                    <ReportBuilder
+                        columns={visibleColumns}
+                        templates={reportTemplates.templates}
+                        onSaveTemplate={reportTemplates.saveTemplate}
+                        onDeleteTemplate={reportTemplates.deleteTemplate}
+                        details={reportDetails}
+                        onDetailsChange={(changes) => setReportDetails(details => ({ ...details, ...changes }))}
+                        changeCount={changeCount}
+                        rows={filteredData.filter(d => d.status !== 'failed')}
+                        issuesByRow={issuesByRow}
+                        onGenerate={handleGeneratePdf}
+                        onClose={() => setShowReportBuilder(false)}
+                    />
                 )}
             </div>
-        </div>
+        </LanguageContext.Provider>
     );
 };
 
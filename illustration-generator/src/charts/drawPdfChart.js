@@ -0,0 +1,91 @@
+import { scaleLinear, formatTick } from './projection';
+
+// Space around the plot area for tick labels and titles, in millimetres.
+const MARGIN = { top: 7, right: 3, bottom: 10, left: 14 };
+
+/**
+ * Draws a projection chart into a jsPDF document as vector lines and text.
+ * @param {object} doc - The jsPDF document.
+ * @param {object} chart - The chart model from `buildProjectionChart`.
+ * @param {{x: number, y: number, width: number, height: number}} box - Where to draw, in millimetres.
+ * @param {string} axisTitle - The x axis title, e.g. 'Policy Year'.
+ */
+export const drawPdfChart = (doc, chart, box, axisTitle) => {
+    const left = box.x + MARGIN.left;
+    const right = box.x + box.width - MARGIN.right;
+    const top = box.y + MARGIN.top;
+    const bottom = box.y + box.height - MARGIN.bottom;
+    const toX = scaleLinear(chart.x, left, right);
+    const toY = scaleLinear(chart.y, bottom, top);
+
+    doc.setFontSize(9);
+    doc.setTextColor(55, 65, 81);
+    doc.text(chart.title, box.x, box.y + 3);
+
+    // Grid and axis labels
+    doc.setFontSize(6);
+    doc.setTextColor(107, 114, 128);
+    doc.setLineWidth(0.1);
+    doc.setDrawColor(229, 231, 235);
+    chart.y.ticks.forEach(tick => {
+        doc.line(left, toY(tick), right, toY(tick));
+        doc.text(formatTick(tick), left - 1.5, toY(tick) + 1, { align: 'right' });
+    });
+    chart.x.ticks.forEach(tick => {
+        doc.text(String(tick), toX(tick), bottom + 4, { align: 'center' });
+    });
+    doc.text(axisTitle, (left + right) / 2, bottom + 8, { align: 'center' });
+
+    // One polyline per series, drawn as relative segments from its first point
+    doc.setLineWidth(0.4);
+    chart.series.forEach(series => {
+        const [first, ...rest] = series.points;
+        let previous = first;
+        const segments = rest.map(point => {
+            const segment = [toX(point.x) - toX(previous.x), toY(point.y) - toY(previous.y)];
+            previous = point;
+            return segment;
+        });
+        doc.setDrawColor(...series.color);
+        doc.setLineDashPattern(series.dashed ? [1.5, 1] : [], 0);
+        if (segments.length > 0) {
+            doc.lines(segments, toX(first.x), toY(first.y), [1, 1], 'S', false);
+        } else {
+            doc.circle(toX(first.x), toY(first.y), 0.4, 'S');
+        }
+    });
+    doc.setLineDashPattern([], 0);
+    doc.setDrawColor(0, 0, 0);
+    doc.setTextColor(0, 0, 0);
+};
+
+/**
+ * Draws a legend of file colours and line styles in a row.
+ * @param {object} doc - The jsPDF document.
+ * @param {Array<{label: string, color: Array<number>, dashed: boolean}>} entries - The legend entries.
+ * @param {number} x - The left edge, in millimetres.
+ * @param {number} y - The baseline, in millimetres.
+ * @param {number} maxWidth - The width available before wrapping.
+ * @returns {number} - The baseline below the legend.
+ */
+export const drawPdfLegend = (doc, entries, x, y, maxWidth) => {
+    doc.setFontSize(7);
+    doc.setLineWidth(0.6);
+    let cursorX = x;
+    let cursorY = y;
+    entries.forEach(entry => {
+        const width = 8 + doc.getTextWidth(entry.label) + 6;
+        if (cursorX + width > x + maxWidth && cursorX > x) {
+            cursorX = x;
+            cursorY += 5;
+        }
+        doc.setDrawColor(...entry.color);
+        doc.setLineDashPattern(entry.dashed ? [1.5, 1] : [], 0);
+        doc.line(cursorX, cursorY - 1, cursorX + 6, cursorY - 1);
+        doc.text(entry.label, cursorX + 8, cursorY);
+        cursorX += width;
+    });
+    doc.setLineDashPattern([], 0);
+    doc.setDrawColor(0, 0, 0);
+    return cursorY + 5;
+};
@@ -0,0 +1,155 @@
+import { scheduleValueAt } from '../metrics';
+
+// === PROJECTION CHARTS ===
+// The chart model shared by the on-screen SVG charts and the vector charts in the PDF report:
+// which series to draw, their points and the axis ranges. Renderers only map it to pixels
+// or millimetres, so the two always show the same thing.
+
+/**
+ * The charts drawn for each comparison, and the schedule fields each one overlays.
+ */
+export const PROJECTION_CHARTS = [
+    {
+        key: 'cashValue',
+        title: 'Cash Value',
+        fields: [
+            { key: 'nonGuaranteedCashValue', label: 'Non-guaranteed', dashed: false },
+            { key: 'guaranteedCashValue', label: 'Guaranteed', dashed: true },
+        ],
+    },
+    {
+        key: 'deathBenefit',
+        title: 'Death Benefit',
+        fields: [
+            { key: 'deathBenefit', label: 'Death Benefit', dashed: false },
+        ],
+    },
+];
+
+/**
+ * Line colours, as RGB, given to files in the order they appear in the comparison.
+ */
+export const PALETTE = [
+    [13, 148, 136], [37, 99, 235], [217, 119, 6], [220, 38, 38], [124, 58, 237],
+    [5, 150, 105], [219, 39, 119], [75, 85, 99], [202, 138, 4], [8, 145, 178],
+];
+
+// Roughly how many ticks each axis gets.
+const TICK_COUNT = 5;
+
+/**
+ * Converts a palette colour to a CSS colour.
+ * @param {Array<number>} rgb - The colour as `[r, g, b]`.
+ * @returns {string} - The CSS colour.
+ */
+export const toCssColor = ([r, g, b]) => `rgb(${r}, ${g}, ${b})`;
+
+/**
+ * The rows that can be charted, each with its colour. A file keeps its colour when others are hidden.
+ * @param {Array<object>} rows - The rows of extracted data.
+ * @returns {Array<{row: object, color: Array<number>}>} - The rows with a schedule.
+ */
+export const getChartedRows = (rows) => rows
+    .filter(row => row.status !== 'failed' && row.schedule?.length > 0)
+    .map((row, index) => ({ row, color: PALETTE[index % PALETTE.length] }));
+
+/**
+ * The legend for printed charts: a colour per visible file, and the line style of each dashed field.
+ * @param {Array<object>} rows - The rows of extracted data.
+ * @param {{hiddenRows: Array<string>, hiddenFields: Array<string>}} options - The chart options.
+ * @param {Function} [t] - The translation function for the line style labels; English by default.
+ * @returns {Array<{label: string, color: Array<number>, dashed: boolean}>} - The legend entries.
+ */
+export const getLegendEntries = (rows, { hiddenRows = [], hiddenFields = [] }, t = text => text) => [
+    ...getChartedRows(rows)
+        .filter(({ row }) => !hiddenRows.includes(row.id))
+        .map(({ row, color }) => ({ label: row.fileName, color, dashed: false })),
+    ...PROJECTION_CHARTS
+        .flatMap(chart => chart.fields.map(field => ({ chart, field })))
+        .filter(({ field }) => field.dashed && !hiddenFields.includes(field.key))
+        .map(({ chart, field }) => ({ label: t(`${field.label} ${chart.title.toLowerCase()}`), color: [107, 114, 128], dashed: true })),
+];
+
+/**
+ * Picks round tick values covering a range.
+ * @param {number} min - The lowest value.
+ * @param {number} max - The highest value.
+ * @returns {Array<number>} - The tick values, from the first round value at or below `min` to the first at or above `max`.
+ */
+export const niceTicks = (min, max) => {
+    if (max <= min) return [min];
+    const rough = (max - min) / TICK_COUNT;
+    const magnitude = 10 ** Math.floor(Math.log10(rough));
+    const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= rough);
+    const ticks = [];
+    // Step by whole multiples so rounding errors cannot add a tick past `max`
+    for (let i = Math.floor(min / step); ; i++) {
+        const value = Math.round(i * step * 1e6) / 1e6;
+        ticks.push(value);
+        if (value >= max) break;
+    }
+    return ticks;
+};
+
+/**
+ * Formats an amount for an axis label, e.g. 1500000 as "1.5M".
+ * @param {number} value - The amount.
+ * @returns {string} - The label.
+ */
+export const formatTick = (value) => {
+    const abs = Math.abs(value);
+    if (abs >= 1e9) return `${+(value / 1e9).toFixed(1)}B`;
+    if (abs >= 1e6) return `${+(value / 1e6).toFixed(1)}M`;
+    if (abs >= 1e3) return `${+(value / 1e3).toFixed(1)}k`;
+    return String(value);
+};
+
+/**
+ * Builds one chart: a line per visible file and field, and the axis ranges that fit them.
+ * @param {object} chart - One of `PROJECTION_CHARTS`.
+ * @param {Array<object>} rows - The rows of extracted data.
+ * @param {object} options - Chart options.
+ * @param {string} options.by - `'year'` to plot by policy year, `'age'` by attained age.
+ * @param {Array<string>} [options.hiddenRows] - Ids of files not to draw.
+ * @param {Array<string>} [options.hiddenFields] - Schedule field keys not to draw.
+ * @param {Function} [options.toAmount] - Maps `(row, value)` to the amount to plot, e.g. converting currency; null skips the point.
+ * @returns {{title: string, series: Array<object>, x: object, y: object}} - The chart model. `x` and `y` hold `min`, `max` and `ticks`.
+ */
+export const buildProjectionChart = (chart, rows, { by, hiddenRows = [], hiddenFields = [], toAmount = (row, value) => value }) => {
+    const series = [];
+    getChartedRows(rows).forEach(({ row, color }) => {
+        if (hiddenRows.includes(row.id)) return;
+        chart.fields.forEach(field => {
+            if (hiddenFields.includes(field.key)) return;
+            const points = row.schedule
+                .map(r => ({ x: by === 'age' ? r.age : r.policyYear, y: scheduleValueAt(row, r.policyYear, field.key) }))
+                .map(point => ({ ...point, y: point.y === null ? null : toAmount(row, point.y) }))
+                .filter(point => point.x !== null && point.x !== undefined && point.y !== null && point.y !== undefined);
+            if (points.length > 0) {
+                series.push({ id: `${row.id}:${field.key}`, fileName: row.fileName, field, color, dashed: field.dashed, points });
+            }
+        });
+    });
+
+    const xs = series.flatMap(s => s.points.map(p => p.x));
+    const ys = series.flatMap(s => s.points.map(p => p.y));
+    const xTicks = niceTicks(xs.length ? Math.min(...xs) : 0, xs.length ? Math.max(...xs) : 1);
+    const yTicks = niceTicks(Math.min(0, ...ys), ys.length ? Math.max(...ys) : 1);
+    return {
+        title: chart.title,
+        series,
+        x: { min: xTicks[0], max: xTicks[xTicks.length - 1], ticks: xTicks },
+        y: { min: yTicks[0], max: yTicks[yTicks.length - 1], ticks: yTicks },
+    };
+};
+
+/**
+ * Maps a value in an axis range to a position in an output range.
+ * @param {{min: number, max: number}} axis - The axis range.
+ * @param {number} start - The output position for `axis.min`.
+ * @param {number} end - The output position for `axis.max`.
+ * @returns {Function} - Maps a value to a position.
+ */
+export const scaleLinear = (axis, start, end) => (value) => (
+    axis.max === axis.min ? start : start + ((value - axis.min) / (axis.max - axis.min)) * (end - start)
+);
@@ -0,0 +1,68 @@
+import { PROJECTION_CHARTS, buildProjectionChart, niceTicks } from './projection';
+import { drawPdfChart } from './drawPdfChart';
+
+const [cashValueChart] = PROJECTION_CHARTS;
+
+const rows = [
+    {
+        id: 'a',
+        fileName: 'a.pdf',
+        schedule: [
+            { policyYear: 1, age: 41, guaranteedCashValue: 0, nonGuaranteedCashValue: 100 },
+            { policyYear: 2, age: 42, guaranteedCashValue: 50, nonGuaranteedCashValue: 900 },
+        ],
+    },
+    { id: 'b', fileName: 'b.pdf', status: 'failed' },
+    {
+        id: 'c',
+        fileName: 'c.pdf',
+        schedule: [{ policyYear: 1, age: 30, guaranteedCashValue: null, nonGuaranteedCashValue: 300 }],
+    },
+];
+
+test('picks round ticks that cover the range', () => {
+    expect(niceTicks(0, 900)).toEqual([0, 200, 400, 600, 800, 1000]);
+    expect(niceTicks(1, 2)).toEqual([1, 1.2, 1.4, 1.6, 1.8, 2]);
+});
+
+test('builds a series per visible file and field', () => {
+    const chart = buildProjectionChart(cashValueChart, rows, { by: 'age', hiddenRows: [], hiddenFields: [] });
+
+    expect(chart.series.map(s => s.id)).toEqual(['a:nonGuaranteedCashValue', 'a:guaranteedCashValue', 'c:nonGuaranteedCashValue']);
+    expect(chart.series[0].points).toEqual([{ x: 41, y: 100 }, { x: 42, y: 900 }]);
+    expect(chart.series[1].dashed).toBe(true);
+    expect(chart.y).toMatchObject({ min: 0, max: 1000 });
+
+    const hidden = buildProjectionChart(cashValueChart, rows, {
+        by: 'year',
+        hiddenRows: ['a'],
+        hiddenFields: [],
+        toAmount: (row, value) => value * 2,
+    });
+    expect(hidden.series).toHaveLength(1);
+    expect(hidden.series[0].points).toEqual([{ x: 1, y: 600 }]);
+    const corrected = { ...rows[0], overrides: { 'schedule:nonGuaranteedCashValue:age:42': { value: '950' } } };
+    expect(buildProjectionChart(cashValueChart, [corrected], { by: 'year' }).series[0].points).toEqual([{ x: 1, y: 100 }, { x: 2, y: 950 }]);
+});
+
+// A stand-in for a jsPDF document that records the drawing calls made on it
+const createRecordingDoc = () => {
+    const calls = [];
+    return new Proxy({}, {
+        get: (target, name) => (name === 'calls' ? calls : (...args) => { calls.push([name, ...args]); }),
+    });
+};
+
+test('draws charts into a PDF as vector paths', () => {
+    const doc = createRecordingDoc();
+    const chart = buildProjectionChart(cashValueChart, rows, { by: 'year', hiddenRows: [], hiddenFields: [] });
+
+    drawPdfChart(doc, chart, { x: 14, y: 20, width: 130, height: 70 }, 'year');
+
+    const names = doc.calls.map(([name]) => name);
+    expect(doc.calls).toContainEqual(['text', 'Cash Value', 14, 23]);
+    // Two lines for a.pdf and a dot for the single point of c.pdf
+    expect(names.filter(name => name === 'lines')).toHaveLength(2);
+    expect(names.filter(name => name === 'circle')).toHaveLength(1);
+    expect(doc.calls).toContainEqual(['setLineDashPattern', [1.5, 1], 0]);
+});
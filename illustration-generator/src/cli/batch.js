@@ -0,0 +1,327 @@
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { parsePdf } from '../extraction/parsePdf';
+import { toFailure } from '../extraction/errors';
+import { toCurrencyCode } from '../extraction/money';
+import { BASE_COLUMNS, applyCurrencyView } from '../columns';
+import { DEFAULT_CURRENCY_SETTINGS } from '../fx';
+import { validateRow, countIssues, describeCounts } from '../validation';
+import { toCsv, toXlsx, toJsonExport } from '../export/exportTable';
+import { writeComparisonReport } from '../report/comparisonReport';
+import { DEFAULT_REPORT_TEMPLATE } from '../report/reportTemplates';
+import { toFileSlug } from '../download';
+import { LANGUAGES, DEFAULT_LANGUAGE } from '../i18n';
+
+// === BATCH EXTRACTION ===
+// The command-line tool for processing a folder of illustrations without a browser. It runs
+// the same extraction, templates, validation, exports and report as the app; the Node entry
+// point (cli/illustrations.mjs) only loads these modules and supplies the Node builds of
+// pdf.js and jsPDF, and the Chinese report font.
+
+export const USAGE = `Usage: npm run extract -- [options] <folder | file | glob>...
+
+Extracts every PDF illustration found and writes the comparison table and report.
+
+Options:
+  -o, --out <dir>             Folder to write the results to (default: the current folder)
+  -n, --name <name>           Name of the comparison, used for the file names and report
+                              (default: "Illustration comparison")
+  -f, --formats <list>        Comma-separated outputs: json, csv, xlsx, pdf (default: json,csv,pdf)
+      --client <name>         Client name for the report
+  -l, --language <code>       Language of the report: ${LANGUAGES.map(language => language.code).join(' or ')} (default: ${DEFAULT_LANGUAGE})
+      --base-currency <code>  Show amounts converted to this currency
+      --rate <FROM:TO=rate>   An FX rate, e.g. HKD:USD=0.128; repeat for more rates
+      --strict                Also fail when validation finds warnings
+  -h, --help                  Show this help
+
+Exit codes: 0 when every file was extracted and passed validation, 1 when a file failed or
+failed validation, 2 when the command line is wrong.`;
+
+export const EXIT_OK = 0;
+export const EXIT_FAILED = 1;
+export const EXIT_USAGE = 2;
+
+const FORMATS = ['json', 'csv', 'xlsx', 'pdf'];
+
+/**
+ * An error in the command line, reported with the usage text.
+ */
+export class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Reads an FX rate given as `FROM:TO=rate`.
+ * @param {string} text - The rate, e.g. `'HKD:USD=0.128'`.
+ * @returns {{from: string, to: string, rate: number}} - The rate table entry.
+ * @throws {UsageError} - When the rate cannot be read.
+ */
+const parseRate = (text) => {
+    const match = text.match(/^\s*([A-Za-z]{3})\s*:\s*([A-Za-z]{3})\s*=\s*(\d+(?:\.\d+)?)\s*$/);
+    if (!match || !(parseFloat(match[3]) > 0)) throw new UsageError(`Cannot read the rate "${text}"; expected e.g. HKD:USD=0.128.`);
+    return { from: match[1].toUpperCase(), to: match[2].toUpperCase(), rate: parseFloat(match[3]) };
+};
+
+/**
+ * Reads the command line.
+ * @param {Array<string>} argv - The arguments after the script name.
+ * @returns {object} - `{ help: true }`, or the inputs and options: `{ inputs, outDir, name, client, language, formats, strict, currencySettings }`.
+ * @throws {UsageError} - When an option is unknown or invalid, or no input is given.
+ */
+export const parseCommandLine = (argv) => {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                out: { type: 'string', short: 'o', default: '.' },
+                name: { type: 'string', short: 'n', default: 'Illustration comparison' },
+                formats: { type: 'string', short: 'f', default: 'json,csv,pdf' },
+                client: { type: 'string', default: '' },
+                language: { type: 'string', short: 'l', default: DEFAULT_LANGUAGE },
+                'base-currency': { type: 'string' },
+                rate: { type: 'string', multiple: true, default: [] },
+                strict: { type: 'boolean', default: false },
+                help: { type: 'boolean', short: 'h', default: false },
+            },
+        });
+    } catch (err) {
+        throw new UsageError(err.message);
+    }
+    const { values, positionals } = parsed;
+    if (values.help) return { help: true };
+    if (positionals.length === 0) throw new UsageError('Give at least one folder, file or glob of PDFs.');
+
+    const formats = values.formats.split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+    const unknown = formats.filter(format => !FORMATS.includes(format));
+    if (unknown.length > 0 || formats.length === 0) {
+        throw new UsageError(`Unknown output format "${unknown[0] || values.formats}"; choose from ${FORMATS.join(', ')}.`);
+    }
+
+    if (!LANGUAGES.some(language => language.code === values.language)) {
+        throw new UsageError(`Unknown language "${values.language}"; choose from ${LANGUAGES.map(language => language.code).join(', ')}.`);
+    }
+
+    const baseCurrency = values['base-currency'];
+    if (baseCurrency && !toCurrencyCode(baseCurrency)) throw new UsageError(`"${baseCurrency}" is not a recognised currency.`);
+
+    return {
+        inputs: positionals,
+        outDir: values.out,
+        name: values.name,
+        client: values.client,
+        language: values.language,
+        formats: [...new Set(formats)],
+        strict: values.strict,
+        currencySettings: baseCurrency
+            ? { baseCurrency: toCurrencyCode(baseCurrency), convert: true, rates: values.rate.map(parseRate) }
+            : DEFAULT_CURRENCY_SETTINGS,
+    };
+};
+
+/**
+ * Converts a glob to a regular expression over `/`-separated paths. `*` and `?` match within
+ * one folder name and `**` matches any number of folders.
+ * @param {string} glob - The glob, e.g. `'drops/**\/*.pdf'`.
+ * @returns {RegExp} - The pattern for whole paths.
+ */
+export const globToRegExp = (glob) => {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            // "**/" may also match no folder at all
+            source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+            i += glob[i + 2] === '/' ? 2 : 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+};
+
+/**
+ * Lists every file under a folder, subfolders included.
+ * @param {string} dir - The folder.
+ * @returns {Array<string>} - The file paths.
+ */
+const listFiles = dir => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listFiles(entryPath);
+    return entry.isFile() ? [entryPath] : [];
+});
+
+const isPdf = filePath => /\.pdf$/i.test(filePath);
+const toPosix = filePath => filePath.split(path.sep).join('/');
+
+/**
+ * Finds the PDFs to process. Folders are searched with their subfolders; globs are matched
+ * from the folder before their first wildcard, for shells that do not expand them.
+ * @param {Array<string>} inputs - Folders, files and globs.
+ * @param {string} [cwd] - The folder that relative inputs are relative to.
+ * @returns {Array<string>} - The PDF paths, sorted and without duplicates.
+ * @throws {UsageError} - When a folder or file does not exist.
+ */
+export const findPdfFiles = (inputs, cwd = process.cwd()) => {
+    const found = inputs.flatMap(input => {
+        const resolved = path.resolve(cwd, input);
+        if (/[*?]/.test(input)) {
+            const pattern = globToRegExp(toPosix(resolved));
+            const base = toPosix(resolved).split('/').findIndex(part => /[*?]/.test(part));
+            const root = toPosix(resolved).split('/').slice(0, base).join('/') || '/';
+            if (!fs.existsSync(root)) return [];
+            return listFiles(root).filter(filePath => pattern.test(toPosix(filePath)) && isPdf(filePath));
+        }
+        if (!fs.existsSync(resolved)) throw new UsageError(`No such file or folder: ${input}`);
+        return fs.statSync(resolved).isDirectory() ? listFiles(resolved).filter(isPdf) : [resolved];
+    });
+    return [...new Set(found)].sort();
+};
+
+/**
+ * Extracts each PDF in turn, the same way the app's parse workers do. Files that cannot be
+ * processed get a failed row with the reason, as in the app.
+ * @param {Array<string>} filePaths - The PDFs.
+ * @param {object} pdfjsLib - The pdf.js library.
+ * @param {Function} [onRow] - Called with each row as soon as its file is finished.
+ * @returns {Promise<Array<object>>} - One row per file, in order.
+ */
+export const extractFiles = async (filePaths, pdfjsLib, onRow = () => {}) => {
+    const rows = [];
+    for (const [index, filePath] of filePaths.entries()) {
+        const fileName = path.basename(filePath);
+        let result;
+        try {
+            const contents = await fs.promises.readFile(filePath);
+            // A copy, since pdf.js takes over the buffer it is given
+            const file = { name: fileName, arrayBuffer: async () => new Uint8Array(contents).buffer };
+            result = { ...await parsePdf(file, pdfjsLib), status: 'done' };
+        } catch (err) {
+            result = { fileName, status: 'failed', error: toFailure(err) };
+        }
+        const row = { ...result, id: `file-${index + 1}`, overrides: {} };
+        rows.push(row);
+        onRow(row);
+    }
+    return rows;
+};
+
+/**
+ * Writes the comparison in each requested format. The report is left out when no file was extracted.
+ * @param {Array<object>} rows - The rows, failed files included.
+ * @param {object} options - The options from `parseCommandLine`.
+ * @param {{jsPDF: Function, autoTable: Function, loadCjkFont: Function}} libraries - jsPDF, the autotable plugin and the Chinese font loader, for the report.
+ * @returns {Promise<Array<string>>} - The paths written.
+ */
+export const writeOutputs = async (rows, { outDir, name, client, language = DEFAULT_LANGUAGE, formats, currencySettings }, { jsPDF, autoTable, loadCjkFont }) => {
+    const columns = applyCurrencyView(BASE_COLUMNS, currencySettings);
+    const extracted = rows.filter(row => row.status !== 'failed');
+    const basePath = path.join(outDir, toFileSlug(name));
+    fs.mkdirSync(outDir, { recursive: true });
+
+    const written = [];
+    for (const format of formats) {
+        const filePath = `${basePath}.${format}`;
+        if (format === 'json') {
+            fs.writeFileSync(filePath, JSON.stringify(toJsonExport(rows, columns, currencySettings, name), null, 2));
+        } else if (format === 'csv') {
+            fs.writeFileSync(filePath, toCsv(rows, columns, currencySettings));
+        } else if (format === 'xlsx') {
+            fs.writeFileSync(filePath, toXlsx(rows, columns, currencySettings));
+        } else {
+            if (extracted.length === 0) continue;
+            const doc = new jsPDF({ orientation: 'landscape' });
+            await writeComparisonReport(doc, autoTable, {
+                template: { ...DEFAULT_REPORT_TEMPLATE, title: name, language },
+                details: { clientName: client, reportDate: new Date().toISOString().slice(0, 10) },
+                rows: extracted,
+                columns,
+                detailColumns: columns,
+                currencySettings,
+                loadCjkFont,
+            });
+            fs.writeFileSync(filePath, Buffer.from(doc.output('arraybuffer')));
+        }
+        written.push(filePath);
+    }
+    return written;
+};
+
+/**
+ * Describes one file's outcome for the console.
+ * @param {object} row - The file's row.
+ * @param {Array<object>} issues - The row's validation problems.
+ * @returns {string} - One line for the file, then one per problem.
+ */
+export const describeRow = (row, issues) => {
+    if (row.status === 'failed') return `FAILED  ${row.fileName}: ${row.error.message}`;
+    const label = issues.length > 0 ? (countIssues(issues).errors > 0 ? 'INVALID' : 'WARN   ') : 'OK     ';
+    return [
+        `${label} ${row.fileName} (${row.template.name} template)`,
+        ...issues.map(issue => `          ${issue.severity}: ${issue.message}`),
+    ].join('\n');
+};
+
+/**
+ * Decides the exit code for a batch.
+ * @param {Array<object>} rows - The rows.
+ * @param {Map<string, Array<object>>} issuesByRow - Each row's validation problems, by row id.
+ * @param {boolean} strict - Whether warnings also fail the batch.
+ * @returns {number} - EXIT_OK or EXIT_FAILED.
+ */
+export const getExitCode = (rows, issuesByRow, strict) => {
+    const { errors, warnings } = countIssues(rows.flatMap(row => issuesByRow.get(row.id) || []));
+    const failed = rows.some(row => row.status === 'failed');
+    return failed || errors > 0 || (strict && warnings > 0) ? EXIT_FAILED : EXIT_OK;
+};
+
+/**
+ * Runs the command-line tool.
+ * @param {Array<string>} argv - The arguments after the script name.
+ * @param {{pdfjsLib: object, jsPDF: Function, autoTable: Function, loadCjkFont: Function}} libraries - The Node builds of the PDF libraries, and the Chinese font loader.
+ * @param {object} [io] - Where to write messages and where relative paths start.
+ * @param {{write: Function}} [io.stdout] - For progress and results.
+ * @param {{write: Function}} [io.stderr] - For usage errors.
+ * @param {string} [io.cwd] - The folder relative inputs are relative to.
+ * @returns {Promise<number>} - The exit code.
+ */
+export const runCli = async (argv, libraries, { stdout = process.stdout, stderr = process.stderr, cwd = process.cwd() } = {}) => {
+    let options;
+    let filePaths;
+    try {
+        options = parseCommandLine(argv);
+        if (options.help) {
+            stdout.write(`${USAGE}\n`);
+            return EXIT_OK;
+        }
+        filePaths = findPdfFiles(options.inputs, cwd);
+        if (filePaths.length === 0) throw new UsageError(`No PDF files found in ${options.inputs.join(', ')}.`);
+    } catch (err) {
+        if (!(err instanceof UsageError)) throw err;
+        stderr.write(`${err.message}\n\n${USAGE}\n`);
+        return EXIT_USAGE;
+    }
+
+    const issuesByRow = new Map();
+    const rows = await extractFiles(filePaths, libraries.pdfjsLib, (row) => {
+        issuesByRow.set(row.id, validateRow(row));
+        stdout.write(`${describeRow(row, issuesByRow.get(row.id))}\n`);
+    });
+
+    const written = await writeOutputs(rows, { ...options, outDir: path.resolve(cwd, options.outDir) }, libraries);
+    const failed = rows.filter(row => row.status === 'failed').length;
+    const counts = countIssues(rows.flatMap(row => issuesByRow.get(row.id)));
+    stdout.write(`\nProcessed ${rows.length} ${rows.length === 1 ? 'file' : 'files'}: ${rows.length - failed} extracted, ${failed} failed; validation found ${describeCounts(counts)}.\n`);
+    written.forEach(filePath => stdout.write(`Wrote ${path.relative(cwd, filePath) || filePath}\n`));
+
+    return getExitCode(rows, issuesByRow, options.strict);
+};
@@ -0,0 +1,107 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseCommandLine, globToRegExp, findPdfFiles, runCli, UsageError, EXIT_OK, EXIT_FAILED, EXIT_USAGE } from './batch';
+
+// A stand-in for pdf.js that reads each "PDF" as lines of text, one text item per line
+const fakePdfjsLib = {
+    getDocument: ({ data }) => {
+        const text = Buffer.from(data).toString();
+        if (!text.startsWith('%PDF')) {
+            const err = new Error('Invalid PDF structure.');
+            err.name = 'InvalidPDFException';
+            return { promise: Promise.reject(err) };
+        }
+        const items = text.split('\n').slice(1).map((str, i) => ({ str, transform: [1, 0, 0, 10, 50, 800 - i * 20], width: str.length * 5 }));
+        return {
+            promise: Promise.resolve({
+                numPages: 1,
+                getPage: async () => ({ getTextContent: async () => ({ items }) }),
+                destroy: async () => {},
+            }),
+        };
+    },
+};
+
+let dir;
+const write = (name, contents) => {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), contents);
+};
+const output = () => {
+    let text = '';
+    return { write: (chunk) => { text += chunk; }, toString: () => text };
+};
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'illustrations-'));
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('reads the command line', () => {
+    expect(parseCommandLine(['drop', '-f', 'CSV, pdf', '--base-currency', 'hk$', '--rate', 'hkd:usd=0.128'])).toMatchObject({
+        inputs: ['drop'],
+        formats: ['csv', 'pdf'],
+        strict: false,
+        currencySettings: { baseCurrency: 'HKD', convert: true, rates: [{ from: 'HKD', to: 'USD', rate: 0.128 }] },
+    });
+    expect(parseCommandLine(['-h'])).toEqual({ help: true });
+    expect(() => parseCommandLine([])).toThrow(UsageError);
+    expect(() => parseCommandLine(['drop', '-f', 'doc'])).toThrow('Unknown output format "doc"');
+    expect(() => parseCommandLine(['drop', '--rate', 'HKD=0.128', '--base-currency', 'USD'])).toThrow(UsageError);
+    expect(() => parseCommandLine(['drop', '--verbose'])).toThrow(UsageError);
+    expect(parseCommandLine(['drop', '-l', 'zh-HK']).language).toBe('zh-HK');
+    expect(() => parseCommandLine(['drop', '--language', 'fr'])).toThrow('Unknown language "fr"');
+});
+
+test('finds PDFs in folders and globs', () => {
+    expect(globToRegExp('drop/**/*.pdf').test('drop/a.pdf')).toBe(true);
+    expect(globToRegExp('drop/**/*.pdf').test('drop/2024/06/a.pdf')).toBe(true);
+    expect(globToRegExp('drop/*.pdf').test('drop/2024/a.pdf')).toBe(false);
+    expect(globToRegExp('drop/a?.pdf').test('drop/a1.pdf')).toBe(true);
+
+    write('drop/a.pdf', '');
+    write('drop/notes.txt', '');
+    write('drop/june/B.PDF', '');
+    expect(findPdfFiles(['drop'], dir)).toEqual([path.join(dir, 'drop/a.pdf'), path.join(dir, 'drop/june/B.PDF')]);
+    expect(findPdfFiles(['drop/*.pdf', 'drop/a.pdf'], dir)).toEqual([path.join(dir, 'drop/a.pdf')]);
+    expect(() => findPdfFiles(['missing'], dir)).toThrow('No such file or folder: missing');
+});
+
+test('extracts, validates and exports a batch, failing when any file fails', async () => {
+    write('drop/good.pdf', '%PDF\nSum Assured: USD 500,000\nAnnualised Premium: USD 10,000');
+    write('drop/swapped.pdf', '%PDF\nSum Assured: USD 5,000\nAnnualised Premium: USD 10,000');
+    write('drop/broken.pdf', 'not a pdf');
+    const stdout = output();
+
+    const code = await runCli(['drop', '-o', 'out', '-f', 'json,csv', '-n', 'June drop'], { pdfjsLib: fakePdfjsLib }, { stdout, cwd: dir });
+
+    expect(code).toBe(EXIT_FAILED);
+    expect(stdout.toString()).toContain('FAILED  broken.pdf: The file is not a valid PDF or is corrupted.');
+    expect(stdout.toString()).toContain('error: The annual premium (10,000) is larger than the face amount (5,000).');
+    expect(stdout.toString()).toContain('Processed 3 files: 2 extracted, 1 failed; validation found 1 error.');
+
+    const json = JSON.parse(fs.readFileSync(path.join(dir, 'out/june-drop.json'), 'utf8'));
+    expect(json.name).toBe('June drop');
+    expect(json.rows.map(row => row.sourceFile)).toEqual(['broken.pdf', 'good.pdf', 'swapped.pdf']);
+    expect(fs.readFileSync(path.join(dir, 'out/june-drop.csv'), 'utf8')).toMatch(/^good\.pdf,extracted,.*,500000,10000,/m);
+});
+
+test('passes clean batches and fails warnings only when strict', async () => {
+    write('good.pdf', '%PDF\nSum Assured: USD 500,000\nAnnualised Premium: USD 10,000');
+    const libraries = { pdfjsLib: fakePdfjsLib };
+    const io = { stdout: output(), cwd: dir };
+
+    expect(await runCli(['good.pdf', '-f', 'json'], libraries, io)).toBe(EXIT_OK);
+
+    write('good.pdf', '%PDF\nSum Assured: USD 500,000');
+    expect(await runCli(['good.pdf', '-f', 'json'], libraries, io)).toBe(EXIT_OK);
+    expect(await runCli(['good.pdf', '-f', 'json', '--strict'], libraries, io)).toBe(EXIT_FAILED);
+
+    const stderr = output();
+    expect(await runCli(['empty/*.pdf'], libraries, { ...io, stderr })).toBe(EXIT_USAGE);
+    expect(stderr.toString()).toMatch(/^No PDF files found in empty\/\*\.pdf\.\n\nUsage:/);
+});
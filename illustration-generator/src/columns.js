@@ -0,0 +1,286 @@
+import { SCHEDULE_FIELDS, getScheduleValue } from './extraction/schedule';
+import { templateLabel } from './extraction/templates';
+import { getScheduleProvenance } from './extraction/extractData';
+import { toCurrencyCode } from './extraction/money';
+import { POINT_METRICS, toNumber, totalPremiums, breakevenYear, faceToPremiumMultiple, getPointMetric } from './metrics';
+import { convertAmount } from './fx';
+
+// === COLUMN DEFINITIONS ===
+// The comparison table, its sorting and filtering, and the PDF report all read
+// values through these definitions so that they always agree with each other.
+
+const CELL = 'p-3 text-sm text-gray-500';
+const NUMERIC_CELL = `${CELL} text-right`;
+const METRIC_CELL = `${NUMERIC_CELL} bg-gray-50`;
+
+// Display formats for numbers, by a column's `numberFormat`; missing inputs show as N/A.
+const formatAmount = value => (value === null ? 'N/A' : String(Math.round(value * 100) / 100));
+const NUMBER_FORMATS = {
+    amount: formatAmount,
+    percent: value => (value === null ? 'N/A' : `${(value * 100).toFixed(2)}%`),
+    multiple: value => (value === null ? 'N/A' : `${value.toFixed(2)}x`),
+    year: value => (value === null ? 'N/A' : String(value)),
+};
+
+/**
+ * Builds a column for a metric calculated from the row. Calculated columns cannot be edited;
+ * correcting their inputs updates them instead.
+ * @param {string} key - The column key.
+ * @param {string} label - The column heading.
+ * @param {Function} calculate - Returns the metric for a row as a number, or null.
+ * @param {string} numberFormat - How the number is shown: `'amount'`, `'percent'`, `'multiple'` or `'year'`.
+ * @returns {object} - A column definition.
+ */
+const metricColumn = (key, label, calculate, numberFormat) => ({
+    key,
+    label,
+    numeric: true,
+    numberFormat,
+    editable: false,
+    computed: true,
+    cellClassName: METRIC_CELL,
+    calculate,
+    getValue: row => NUMBER_FORMATS[numberFormat](calculate(row)),
+});
+
+/**
+ * The fixed comparison columns, in display order. Numeric columns have a `numberFormat`, and
+ * columns with `better` set can have a best value: the `'higher'` or `'lower'` amount across
+ * the compared products. Columns with `filter: 'options'` are filtered from a pick-list of
+ * their values, read with `getFilterValue` when they have one.
+ */
+export const BASE_COLUMNS = [
+    { key: 'fileName', label: 'File Name', editable: false, cellClassName: 'p-3 text-sm text-gray-900 whitespace-nowrap font-medium' },
+    {
+        key: 'template',
+        label: 'Template',
+        editable: false,
+        filter: 'options',
+        cellClassName: `${CELL} whitespace-nowrap`,
+        getValue: row => (row.template ? templateLabel(row.template) : 'N/A'),
+    },
+    { key: 'productCode', label: 'Product Code', cellClassName: CELL },
+    { key: 'currency', label: 'Currency', filter: 'options', getFilterValue: row => getRowCurrency(row), cellClassName: CELL },
+    { key: 'faceAmount', label: 'Face Amount', numeric: true, numberFormat: 'amount', money: true, better: 'higher', cellClassName: NUMERIC_CELL },
+    { key: 'annualPremium', label: 'Annual Premium', numeric: true, numberFormat: 'amount', money: true, better: 'lower', cellClassName: NUMERIC_CELL },
+    { key: 'total10PayPremium', label: 'Total 10 Pay Premium', numeric: true, numberFormat: 'amount', money: true, better: 'lower', cellClassName: NUMERIC_CELL },
+    { key: 'cashValueYear10', label: 'Cash Value Y10', numeric: true, numberFormat: 'amount', money: true, better: 'higher', cellClassName: NUMERIC_CELL },
+    { key: 'cashValueYear20', label: 'Cash Value Y20', numeric: true, numberFormat: 'amount', money: true, better: 'higher', cellClassName: NUMERIC_CELL },
+    { key: 'cashValueYear30', label: 'Cash Value Y30', numeric: true, numberFormat: 'amount', money: true, better: 'higher', cellClassName: NUMERIC_CELL },
+    { key: 'guaranteedInterestRate', label: 'Guaranteed Rate', cellClassName: `${CELL} whitespace-nowrap` },
+    { key: 'surrenderPenaltyPeriod', label: 'Surrender Period', cellClassName: CELL },
+    { key: 'spRating', label: 'S&P Rating', filter: 'options', cellClassName: CELL },
+    { ...metricColumn('totalPremiums', 'Total Premiums', totalPremiums, 'amount'), money: true, better: 'lower' },
+    { ...metricColumn('breakevenYear', 'Breakeven Year', breakevenYear, 'year'), better: 'lower' },
+    { ...metricColumn('faceToPremium', 'Face / Premiums', faceToPremiumMultiple, 'multiple'), better: 'higher' },
+];
+
+/**
+ * Builds a column that reads one field of the policy value schedule, or calculates one of the
+ * point metrics, at a chosen point.
+ * @param {{by: string, value: number, field: string}} point - The policy year (`by: 'year'`) or attained age (`by: 'age'`), and the schedule field or metric to show.
+ * @returns {object} - A column definition.
+ */
+export const scheduleColumn = (point) => {
+    const at = point.by === 'age' ? `Age ${point.value}` : `Y${point.value}`;
+    const metric = POINT_METRICS.find(m => m.key === point.field);
+    if (metric) {
+        return {
+            ...metricColumn(
+                `metric:${point.field}:${point.by}:${point.value}`,
+                `${metric.label} ${at}`,
+                row => getPointMetric(row, point),
+                metric.key === 'irr' ? 'percent' : 'multiple'
+            ),
+            fieldLabel: metric.label,
+            better: 'higher',
+            point,
+        };
+    }
+
+    const field = SCHEDULE_FIELDS.find(f => f.key === point.field);
+    return {
+        key: `schedule:${point.field}:${point.by}:${point.value}`,
+        label: `${field ? field.label : point.field} ${at}`,
+        fieldLabel: field ? field.label : point.field,
+        numeric: true,
+        numberFormat: 'amount',
+        money: true,
+        better: point.field === 'premiumsPaid' ? 'lower' : 'higher',
+        cellClassName: NUMERIC_CELL,
+        point,
+    };
+};
+
+/**
+ * Finds the column a key stands for, such as the `columnKey` of a change log entry.
+ * @param {string} key - A base column key, or a `schedule:` or `metric:` key from `scheduleColumn`.
+ * @returns {(object|null)} - The column definition, or null when the key is unknown.
+ */
+export const findColumn = (key) => {
+    const [kind, field, by, value] = key.split(':');
+    if ((kind === 'schedule' || kind === 'metric') && value !== undefined) {
+        return scheduleColumn({ by, value: Number(value), field });
+    }
+    return BASE_COLUMNS.find(column => column.key === key) || null;
+};
+
+/**
+ * The column's heading in the interface or report language. Headings are built from their
+ * English parts, so a comparison column such as "Cash Value Y15" reads naturally in each language.
+ * @param {object} column - The column definition.
+ * @param {Function} t - The translation function, from `useTranslation` or `createTranslator`.
+ * @returns {string} - The translated heading.
+ */
+export const getColumnLabel = (column, t) => {
+    let label;
+    if (column.point) {
+        const { by, value } = column.point;
+        const at = by === 'age' ? t('Age {age}', { age: value }) : t('Y{year}', { year: value });
+        label = t('{field} {at}', { field: t(column.fieldLabel), at });
+    } else {
+        label = t(column.baseLabel || column.label);
+    }
+    return column.displayCurrency ? `${label} (${column.displayCurrency})` : label;
+};
+
+/**
+ * Reads the value extracted from the document for a column, ignoring any manual correction.
+ * @param {object} row - A row of extracted data.
+ * @param {object} column - The column definition.
+ * @returns {string} - The extracted value, or 'N/A' when it is not available.
+ */
+export const getExtractedValue = (row, column) => {
+    if (column.getValue) return column.getValue(row);
+    if (column.point) {
+        const value = getScheduleValue(row.schedule, column.point, column.point.field);
+        return value !== null ? String(value) : 'N/A';
+    }
+    return row[column.key];
+};
+
+/**
+ * Reads a column's value for one row in the document's own currency, including manual corrections.
+ * @param {object} row - A row of extracted data.
+ * @param {object} column - The column definition.
+ * @returns {string} - The value, or 'N/A' when it is not available.
+ */
+const getOriginalValue = (row, column) => {
+    const override = row.overrides?.[column.key];
+    return override ? override.value : getExtractedValue(row, column);
+};
+
+/**
+ * Reads the value shown in a column for one row of extracted data, including manual corrections
+ * and, when the table is viewed in a base currency, conversion.
+ * @param {object} row - A row of extracted data.
+ * @param {object} column - The column definition.
+ * @returns {string} - The display value, or 'N/A' when it is not available.
+ */
+export const getCellValue = (row, column) => {
+    const value = getOriginalValue(row, column);
+    return column.convertValue ? column.convertValue(row, value) : value;
+};
+
+/**
+ * Reads a numeric column's value as a number, as the table shows it: corrected, and converted
+ * when the table is viewed in a base currency. Percentages are fractions, e.g. 0.05 for 5.00%.
+ * @param {object} row - A row of extracted data.
+ * @param {object} column - A numeric column definition.
+ * @returns {(number|null)} - The number, or null when the cell has no value.
+ */
+export const getNumericValue = (row, column) => {
+    if (column.calculate && !column.convertValue) return column.calculate(row);
+    return toNumber(getCellValue(row, column));
+};
+
+/**
+ * The ISO currency a row's amounts are in. A corrected currency cell takes precedence.
+ * @param {object} row - A row of extracted data.
+ * @returns {(string|null)} - The ISO code, or null when the document does not say.
+ */
+export const getRowCurrency = (row) => {
+    const override = row.overrides?.currency;
+    return toCurrencyCode(override ? override.value : row.currency) || row.currencyCode || null;
+};
+
+/**
+ * Adapts the money columns to the currency settings. Money columns always sort by their value
+ * in the base currency, so documents in different currencies are compared fairly; when
+ * `convert` is set they also show it, and cannot be edited because corrections are entered
+ * in the document's currency. Amounts whose document names no currency are taken to be in
+ * the base currency.
+ * @param {Array<object>} columns - The column definitions.
+ * @param {{baseCurrency: string, convert: boolean, rates: Array<object>}} settings - The currency settings.
+ * @returns {Array<object>} - The adapted column definitions.
+ */
+export const applyCurrencyView = (columns, { baseCurrency, convert, rates }) => columns.map(column => {
+    if (!column.money) return column;
+    const toBase = (row, value) => {
+        const amount = toNumber(value);
+        return amount === null ? null : convertAmount(amount, getRowCurrency(row) || baseCurrency, baseCurrency, rates);
+    };
+    if (!convert) return { ...column, toBase };
+    return {
+        ...column,
+        label: `${column.label} (${baseCurrency})`,
+        // The heading's parts, for translating it
+        baseLabel: column.label,
+        displayCurrency: baseCurrency,
+        editable: false,
+        toBase,
+        convertValue: (row, value) => formatAmount(toBase(row, value)),
+    };
+});
+
+/**
+ * Finds where the value shown in a column was extracted from.
+ * @param {object} row - A row of extracted data.
+ * @param {object} column - The column definition.
+ * @returns {(object|null)} - The provenance record (`page`, `lines`, `text`, `snippet`, `rule`), or null when unknown.
+ */
+export const getCellProvenance = (row, column) => {
+    if (column.computed) return null;
+    if (column.point) {
+        return getScheduleProvenance({ rows: row.schedule, rules: row.scheduleRules }, column.point);
+    }
+    return row.provenance?.[column.key] || null;
+};
+
+/**
+ * The value a column sorts by: the base currency amount for money columns, a number for other
+ * numeric columns, otherwise lower-cased text.
+ * @param {object} row - A row of extracted data.
+ * @param {object} column - The column definition.
+ * @returns {(number|string|null)} - The sort value, or null when the cell has no value.
+ */
+export const getSortValue = (row, column) => {
+    if (column.toBase) return column.toBase(row, getOriginalValue(row, column));
+    const value = getCellValue(row, column);
+    if (column.numeric) return toNumber(value);
+    return value === undefined || value === null || value === 'N/A' ? null : String(value).toLowerCase();
+};
+
+/**
+ * Finds the best value in each column that has one, such as the lowest premium or the highest
+ * cash value, comparing money columns in the base currency. Every product sharing the best
+ * value is marked; a column where fewer than two products have a value, or all are equal,
+ * has no best.
+ * @param {Array<object>} rows - The rows being compared.
+ * @param {Array<object>} columns - The column definitions.
+ * @returns {Map<string, Set<string>>} - For each column key with a best value, the ids of the rows holding it.
+ */
+export const findBestValues = (rows, columns) => {
+    const best = new Map();
+    columns.filter(column => column.better).forEach(column => {
+        const values = rows
+            .map(row => ({ id: row.id, value: getSortValue(row, column) }))
+            .filter(({ value }) => value !== null);
+        if (values.length < 2) return;
+        const pick = column.better === 'lower' ? Math.min : Math.max;
+        const target = pick(...values.map(({ value }) => value));
+        if (values.every(({ value }) => value === target)) return;
+        best.set(column.key, new Set(values.filter(({ value }) => value === target).map(({ id }) => id)));
+    });
+    return best;
+};
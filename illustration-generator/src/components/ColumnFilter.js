@@ -0,0 +1,82 @@
+import React from 'react';
+import { getFilterKind, getFilterOptions, isFilterActive } from '../tableView';
+import { getColumnLabel } from '../columns';
+import { useTranslation } from '../i18n/LanguageContext';
+
+/**
+ * The filter control under a column heading: a from/to range for numbers, a pick-list for
+ * columns with a few known values, or a "contains" search for text.
+ * @param {object} props - Component props.
+ * @param {object} props.column - The column definition.
+ * @param {Array<object>} props.rows - All rows, for the pick-list choices.
+ * @param {(object|undefined)} props.filter - The column's filter.
+ * @param {Function} props.onChange - Called with the new filter, or null to clear it.
+ */
+const ColumnFilter = ({ column, rows, filter = {}, onChange }) => {
+    const { t } = useTranslation();
+    const label = getColumnLabel(column, t);
+    const inputClassName = 'p-1 border border-gray-300 rounded text-xs font-normal normal-case';
+    const kind = getFilterKind(column);
+
+    if (kind === 'range') {
+        const unit = column.numberFormat === 'percent' ? ' %' : '';
+        return (
+            <div className="flex gap-1">
+                <input
+                    type="text"
+                    inputMode="decimal"
+                    placeholder={`${t('From')}${unit}`}
+                    value={filter.min || ''}
+                    onChange={(e) => onChange({ ...filter, min: e.target.value })}
+                    className={`${inputClassName} w-20`}
+                    aria-label={t('{column} from', { column: label })}
+                />
+                <input
+                    type="text"
+                    inputMode="decimal"
+                    placeholder={`${t('To')}${unit}`}
+                    value={filter.max || ''}
+                    onChange={(e) => onChange({ ...filter, max: e.target.value })}
+                    className={`${inputClassName} w-20`}
+                    aria-label={t('{column} to', { column: label })}
+                />
+            </div>
+        );
+    }
+
+    if (kind === 'options') {
+        const selected = filter.values || [];
+        const toggle = (value) => {
+            const values = selected.includes(value) ? selected.filter(v => v !== value) : [...selected, value];
+            onChange(values.length > 0 ? { values } : null);
+        };
+        return (
+            <details className="relative">
+                <summary className={`${inputClassName} cursor-pointer bg-white list-none ${isFilterActive(filter) ? 'text-teal-700' : 'text-gray-500'}`}>
+                    {selected.length === 0 ? t('All') : t('{count} selected', { count: selected.length })}
+                </summary>
+                <div className="absolute z-10 mt-1 bg-white border border-gray-200 rounded-md shadow p-2 min-w-36 normal-case font-normal text-gray-700">
+                    {getFilterOptions(rows, column).map(value => (
+                        <label key={value} className="flex items-center gap-2 py-0.5 whitespace-nowrap">
+                            <input type="checkbox" checked={selected.includes(value)} onChange={() => toggle(value)} />
+                            {value}
+                        </label>
+                    ))}
+                </div>
+            </details>
+        );
+    }
+
+    return (
+        <input
+            type="text"
+            placeholder={t('Contains...')}
+            value={filter.text || ''}
+            onChange={(e) => onChange(e.target.value ? { text: e.target.value } : null)}
+            className={`${inputClassName} w-28`}
+            aria-label={t('{column} contains', { column: label })}
+        />
+    );
+};
+
+export default ColumnFilter;
@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { CURRENCY_CODES } from '../extraction/money';
+import { findMissingRates } from '../fx';
+import { useTranslation } from '../i18n/LanguageContext';
+
+/**
+ * Chooses between showing amounts in each document's own currency or converted to a base
+ * currency, and maintains the FX rate table used for conversion.
+ * @param {object} props - Component props.
+ * @param {{baseCurrency: string, convert: boolean, rates: Array<object>}} props.settings - The currency settings.
+ * @param {Function} props.onChange - Called with the settings to change.
+ * @param {Array<string>} props.currencies - The ISO codes of the documents in the comparison.
+ */
+const CurrencyPanel = ({ settings, onChange, currencies }) => {
+    const { t } = useTranslation();
+    const [showRates, setShowRates] = useState(false);
+    const [newRate, setNewRate] = useState({ from: 'HKD', to: settings.baseCurrency, rate: '' });
+
+    const { baseCurrency, convert, rates } = settings;
+    const codes = [...new Set([...CURRENCY_CODES, ...currencies])];
+    const missing = findMissingRates(currencies, baseCurrency, rates);
+    const selectClassName = 'p-2 border border-gray-300 rounded-md';
+    const buttonClassName = 'bg-gray-100 text-gray-700 font-medium py-2 px-3 rounded-md hover:bg-gray-200 transition-colors duration-200';
+
+    const handleAddRate = (e) => {
+        e.preventDefault();
+        const rate = parseFloat(newRate.rate);
+        if (!(rate > 0) || newRate.from === newRate.to) return;
+        // A new rate for the same pair replaces the old one
+        const others = rates.filter(r => !(r.from === newRate.from && r.to === newRate.to));
+        onChange({ rates: [...others, { from: newRate.from, to: newRate.to, rate }] });
+        setNewRate({ ...newRate, rate: '' });
+    };
+
+    const removeRate = (index) => {
+        onChange({ rates: rates.filter((_, i) => i !== index) });
+    };
+
+    return (
+        <div className="mb-4 text-sm">
+            <div className="flex flex-wrap items-center gap-2">
+                <span className="text-gray-600">{t('Show amounts in:')}</span>
+                <select
+                    value={convert ? 'base' : 'original'}
+                    onChange={(e) => onChange({ convert: e.target.value === 'base' })}
+                    className={selectClassName}
+                >
+                    <option value="original">{t("Each document's currency")}</option>
+                    <option value="base">{t('Base currency')}</option>
+                </select>
+                <label htmlFor="base-currency" className="text-gray-600">{t('Base currency:')}</label>
+                <select
+                    id="base-currency"
+                    value={baseCurrency}
+                    onChange={(e) => onChange({ baseCurrency: e.target.value })}
+                    className={selectClassName}
+                >
+                    {codes.map(code => <option key={code} value={code}>{code}</option>)}
+                </select>
+                <button type="button" onClick={() => setShowRates(!showRates)} className={buttonClassName}>
+                    {t('FX Rates ({count})', { count: rates.length })}
+                </button>
+            </div>
+
+            {missing.length > 0 && (
+                <p className="mt-2 text-amber-700">
+                    {t('No FX rate to convert {currencies} to {base}. Those amounts sort last and show as N/A when converted.', { currencies: missing.join(', '), base: baseCurrency })}
+                </p>
+            )}
+
+            {showRates && (
+                <div className="mt-2 p-3 border border-gray-200 rounded-md bg-gray-50">
+                    <p className="text-gray-600 mb-2">{t('Rates are only kept in this browser. Each works in both directions and rates can be chained.')}</p>
+                    {rates.length > 0 && (
+                        <ul className="mb-2">
+                            {rates.map((rate, index) => (
+                                <li key={`${rate.from}:${rate.to}`} className="flex items-center gap-2 py-1">
+                                    <span>1 {rate.from} = {rate.rate} {rate.to}</span>
+                                    <button
+                                        type="button"
+                                        onClick={() => removeRate(index)}
+                                        className="text-gray-400 hover:text-red-600"
+                                        aria-label={t('Remove {from} to {to} rate', { from: rate.from, to: rate.to })}
+                                    >
+                                        ×
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    <form onSubmit={handleAddRate} className="flex flex-wrap items-center gap-2">
+                        <span>1</span>
+                        <select value={newRate.from} onChange={(e) => setNewRate({ ...newRate, from: e.target.value })} className={selectClassName}>
+                            {codes.map(code => <option key={code} value={code}>{code}</option>)}
+                        </select>
+                        <span>=</span>
+                        <input
+                            type="number"
+                            min="0"
+                            step="any"
+                            placeholder={t('Rate')}
+                            value={newRate.rate}
+                            onChange={(e) => setNewRate({ ...newRate, rate: e.target.value })}
+                            className="p-2 border border-gray-300 rounded-md w-28"
+                        />
+                        <select value={newRate.to} onChange={(e) => setNewRate({ ...newRate, to: e.target.value })} className={selectClassName}>
+                            {codes.map(code => <option key={code} value={code}>{code}</option>)}
+                        </select>
+                        <button type="submit" className={buttonClassName}>{t('Add Rate')}</button>
+                    </form>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default CurrencyPanel;
@@ -0,0 +1,28 @@
+import React from 'react';
+import { useTranslation } from '../i18n/LanguageContext';
+
+/**
+ * A small marker for validation problems, red for errors and amber for warnings. Hovering
+ * shows what was found and why it matters.
+ * @param {object} props - Component props.
+ * @param {Array<object>} props.issues - The problems, from `validateRow`.
+ */
+const IssueBadge = ({ issues }) => {
+    const { t } = useTranslation();
+    if (issues.length === 0) return null;
+    const isError = issues.some(issue => issue.severity === 'error');
+    const explanation = issues.map(issue => `${issue.message} ${issue.description}`).join('\n');
+
+    return (
+        <span
+            role="img"
+            title={explanation}
+            aria-label={`${isError ? t('Error') : t('Warning')}: ${explanation}`}
+            className={`inline-flex items-center justify-center w-4 h-4 ml-1 rounded-full text-xs font-bold leading-none cursor-help align-middle ${isError ? 'bg-red-100 text-red-700' : 'bg-amber-100 text-amber-700'}`}
+        >
+            {isError ? '!' : '?'}
+        </span>
+    );
+};
+
+export default IssueBadge;
@@ -0,0 +1,76 @@
+import React from 'react';
+import { useTranslation } from '../i18n/LanguageContext';
+
+const STATUS_LABELS = {
+    queued: 'Queued',
+    processing: 'Processing',
+    done: 'Done',
+    failed: 'Failed',
+    cancelled: 'Cancelled',
+};
+
+const STATUS_CLASSES = {
+    queued: 'text-gray-500',
+    processing: 'text-teal-600',
+    done: 'text-green-600',
+    failed: 'text-red-600',
+    cancelled: 'text-gray-400',
+};
+
+/**
+ * Shows the status and page progress of each file in the current batch.
+ * @param {object} props - Component props.
+ * @param {Array<object>} props.jobs - The jobs: `{ id, fileName, status, page, numPages, ocrPage, message }`.
+ * @param {boolean} props.running - Whether the batch is still being processed.
+ * @param {Function} props.onCancel - Called when the user cancels the batch.
+ */
+const JobList = ({ jobs, running, onCancel }) => {
+    const { t } = useTranslation();
+    const finished = jobs.filter(job => !['queued', 'processing'].includes(job.status)).length;
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-lg mb-8">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-lg font-semibold text-gray-700">
+                    {running ? t('Extracting data from your documents...') : t('Processing complete')}
+                    <span className="ml-2 text-sm font-normal text-gray-500">{t('{finished} of {total} files', { finished, total: jobs.length })}</span>
+                </h2>
+                {running && (
+                    <button
+                        onClick={onCancel}
+                        className="bg-gray-100 text-gray-700 font-medium py-1 px-3 rounded-md hover:bg-gray-200 transition-colors duration-200"
+                    >
+                        {t('Cancel')}
+                    </button>
+                )}
+            </div>
+            <ul className="divide-y divide-gray-100">
+                {jobs.map(job => {
+                    const progress = job.numPages ? Math.round((job.page / job.numPages) * 100) : 0;
+                    // `page` counts the pages finished, so a scanned page is being read while `ocrPage` is past it
+                    const readingScan = job.ocrPage > (job.page || 0);
+                    return (
+                        <li key={job.id} className="py-2 text-sm">
+                            <div className="flex justify-between gap-4">
+                                <span className="font-medium text-gray-800 truncate">{job.fileName}</span>
+                                <span className={`whitespace-nowrap ${STATUS_CLASSES[job.status]}`}>
+                                    {t(STATUS_LABELS[job.status])}
+                                    {job.status === 'processing' && readingScan ? ` · ${t('reading scanned page {page} (OCR)', { page: job.ocrPage })}` : ''}
+                                    {job.status === 'processing' && !readingScan && job.numPages ? ` · ${t('page {page} of {pages}', { page: job.page, pages: job.numPages })}` : ''}
+                                </span>
+                            </div>
+                            {job.status === 'processing' && (
+                                <div className="mt-1 h-1.5 bg-gray-100 rounded-full overflow-hidden">
+                                    <div className="h-full bg-teal-500 transition-all duration-200" style={{ width: `${progress}%` }} />
+                                </div>
+                            )}
+                            {job.status === 'failed' && <p className="mt-1 text-red-700">{t(job.message)}</p>}
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+};
+
+export default JobList;
@@ -0,0 +1,169 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useTranslation } from '../i18n/LanguageContext';
+
+// Rendering scale for the viewer's page canvases.
+const SCALE = 1.4;
+
+// Text items within this fraction of their font size of a recorded line's y position are on that line.
+const LINE_TOLERANCE = 0.5;
+
+/**
+ * Works out which text items on a page make up the matched text, so they can be highlighted.
+ * Only items on the recorded lines whose text is part of the match are chosen.
+ * @param {Array<object>} items - The `items` array from pdf.js `page.getTextContent()`.
+ * @param {{lines: Array<number>, text: string}} source - The provenance record.
+ * @returns {Array<object>} - The items to highlight.
+ */
+const findHighlightedItems = (items, source) => {
+    const matchText = (source.text || '').replace(/\s+/g, ' ');
+    return items.filter(item => {
+        const str = item.str.trim();
+        if (!str) return false;
+        const fontSize = Math.abs(item.transform[3]) || item.height || 10;
+        const onLine = source.lines.some(y => Math.abs(item.transform[5] - y) < fontSize * LINE_TOLERANCE);
+        return onLine && matchText.includes(str.replace(/\s+/g, ' '));
+    });
+};
+
+/**
+ * A modal PDF.js viewer that shows a file scrolled to the page a value was extracted from,
+ * with the matched text highlighted.
+ * @param {object} props - Component props.
+ * @param {File} props.file - The PDF file to show.
+ * @param {object} props.pdfjsLib - The pdf.js library.
+ * @param {string} props.title - The heading, e.g. the file and field name.
+ * @param {string} props.value - The extracted value.
+ * @param {object} props.source - The value's provenance record.
+ * @param {Function} props.onClose - Called when the viewer is dismissed.
+ */
+const PdfViewer = ({ file, pdfjsLib, title, value, source, onClose }) => {
+    const { t } = useTranslation();
+    const containerRef = useRef(null);
+    const [pages, setPages] = useState([]);
+    const [error, setError] = useState(null);
+
+    // Load the document and measure its pages
+    useEffect(() => {
+        let cancelled = false;
+        let pdf = null;
+
+        const load = async () => {
+            if (!file) {
+                setError('The original file is not available for this result.');
+                return;
+            }
+            try {
+                pdf = await pdfjsLib.getDocument({ data: await file.arrayBuffer() }).promise;
+                const loaded = [];
+                for (let i = 1; i <= pdf.numPages; i++) {
+                    const page = await pdf.getPage(i);
+                    loaded.push({ pageNumber: i, page, viewport: page.getViewport({ scale: SCALE }) });
+                }
+                if (!cancelled) setPages(loaded);
+            } catch (err) {
+                console.error(err);
+                if (!cancelled) setError('This file could not be opened.');
+            }
+        };
+        load();
+
+        return () => {
+            cancelled = true;
+            if (pdf) pdf.destroy();
+        };
+    }, [file, pdfjsLib]);
+
+    // Scroll the source page into view once the pages are laid out
+    useEffect(() => {
+        if (!source?.page || pages.length === 0) return;
+        const target = containerRef.current?.querySelector(`[data-page="${source.page}"]`);
+        if (target) target.scrollIntoView({ block: 'start' });
+    }, [pages, source]);
+
+    // Close on Escape
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+            <div className="bg-white rounded-lg shadow-xl w-full max-w-4xl max-h-full flex flex-col" onClick={(e) => e.stopPropagation()}>
+                <div className="flex justify-between items-start p-4 border-b border-gray-200">
+                    <div className="text-sm text-gray-600 min-w-0">
+                        <h3 className="text-lg font-semibold text-gray-800">{title}</h3>
+                        <p>{t('Value:')} <span className="font-medium text-gray-800">{value}</span>{source?.page ? ` (${t('page {page}', { page: source.page })})` : ''}</p>
+                        {source?.snippet && <p className="truncate">{t('Matched:')} <span className="font-mono text-xs">{source.snippet}</span></p>}
+                        {source?.rule && <p className="truncate">{t('Rule:')} <span className="font-mono text-xs">{source.rule}</span></p>}
+                    </div>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-700 text-2xl leading-none ml-4" aria-label={t('Close viewer')}>×</button>
+                </div>
+                <div ref={containerRef} className="overflow-auto bg-gray-100 p-4 flex-1">
+                    {error && <p className="text-red-700">{t(error)}</p>}
+                    {!error && pages.length === 0 && <p className="text-gray-600">{t('Loading document...')}</p>}
+                    {pages.map(({ pageNumber, page, viewport }) => (
+                        <PdfPage
+                            key={pageNumber}
+                            pageNumber={pageNumber}
+                            page={page}
+                            viewport={viewport}
+                            pdfjsLib={pdfjsLib}
+                            source={source?.page === pageNumber ? source : null}
+                        />
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * A single rendered page, with highlight boxes over the matched text when it is the source page.
+ * @param {object} props - Component props.
+ * @param {number} props.pageNumber - The 1-based page number.
+ * @param {object} props.page - The pdf.js page.
+ * @param {object} props.viewport - The page viewport at the viewer's scale.
+ * @param {object} props.pdfjsLib - The pdf.js library.
+ * @param {(object|null)} props.source - The provenance record, when this is the source page.
+ */
+const PdfPage = ({ pageNumber, page, viewport, pdfjsLib, source }) => {
+    const canvasRef = useRef(null);
+    const [highlights, setHighlights] = useState([]);
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        canvas.width = viewport.width;
+        canvas.height = viewport.height;
+        const task = page.render({ canvasContext: canvas.getContext('2d'), viewport });
+        task.promise.catch(() => {}); // Rendering is cancelled when the viewer closes
+        return () => task.cancel();
+    }, [page, viewport]);
+
+    useEffect(() => {
+        if (!source) return;
+        let cancelled = false;
+        page.getTextContent().then(textContent => {
+            if (cancelled) return;
+            setHighlights(findHighlightedItems(textContent.items, source).map(item => {
+                const tx = pdfjsLib.Util.transform(viewport.transform, item.transform);
+                const height = Math.hypot(tx[2], tx[3]);
+                return { left: tx[4], top: tx[5] - height, width: item.width * viewport.scale, height };
+            }));
+        });
+        return () => { cancelled = true; };
+    }, [page, viewport, pdfjsLib, source]);
+
+    return (
+        <div data-page={pageNumber} className="relative mx-auto mb-4 shadow bg-white" style={{ width: viewport.width, height: viewport.height }}>
+            <canvas ref={canvasRef} />
+            {highlights.map((box, index) => (
+                <div key={index} className="absolute bg-yellow-300 bg-opacity-50 border border-yellow-500" style={box} />
+            ))}
+        </div>
+    );
+};
+
+export default PdfViewer;
@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import {
+    PROJECTION_CHARTS, buildProjectionChart, getChartedRows, scaleLinear, formatTick, toCssColor,
+} from '../charts/projection';
+import { useTranslation } from '../i18n/LanguageContext';
+
+// SVG drawing size; the chart scales to the width of its container.
+const WIDTH = 800;
+const HEIGHT = 300;
+const MARGIN = { top: 16, right: 16, bottom: 36, left: 64 };
+
+/**
+ * Overlaid cash value and death benefit projections for every file, with toggles for each
+ * file and series. The options are held by the caller so the PDF report can draw the same charts.
+ * @param {object} props - Component props.
+ * @param {Array<object>} props.rows - The rows of extracted data.
+ * @param {{by: string, hiddenRows: Array<string>, hiddenFields: Array<string>}} props.options - The chart options.
+ * @param {Function} props.onOptionsChange - Called with the options to change.
+ * @param {Function} props.toAmount - Maps `(row, value)` to the amount to plot.
+ * @param {(string|null)} props.currency - The currency the amounts are shown in, when they share one.
+ */
+const ProjectionCharts = ({ rows, options, onOptionsChange, toAmount, currency }) => {
+    const { t } = useTranslation();
+    const charted = getChartedRows(rows);
+    if (charted.length === 0) return null;
+
+    const toggle = (list, value) => (list.includes(value) ? list.filter(v => v !== value) : [...list, value]);
+    const fields = PROJECTION_CHARTS.flatMap(chart => chart.fields);
+
+    return (
+        <div className="mt-8">
+            <h3 className="text-xl font-semibold mb-2 text-gray-700">{t('Projections')}{currency ? ` (${currency})` : ''}</h3>
+            <div className="flex flex-wrap items-center gap-2 mb-2 text-sm">
+                <span className="text-gray-600">{t('Plot by:')}</span>
+                <select
+                    value={options.by}
+                    onChange={(e) => onOptionsChange({ by: e.target.value })}
+                    className="p-2 border border-gray-300 rounded-md"
+                >
+                    <option value="year">{t('Policy Year')}</option>
+                    <option value="age">{t('Age')}</option>
+                </select>
+                {fields.map(field => (
+                    <label key={field.key} className="flex items-center gap-1 text-gray-600 ml-2">
+                        <input
+                            type="checkbox"
+                            checked={!options.hiddenFields.includes(field.key)}
+                            onChange={() => onOptionsChange({ hiddenFields: toggle(options.hiddenFields, field.key) })}
+                        />
+                        {t(field.label)}{field.dashed ? ` (${t('dashed')})` : ''}
+                    </label>
+                ))}
+            </div>
+            <div className="flex flex-wrap gap-2 mb-4 text-sm">
+                {charted.map(({ row, color }) => (
+                    <label key={row.id} className="flex items-center gap-1 bg-gray-50 rounded-full px-3 py-1 cursor-pointer">
+                        <input
+                            type="checkbox"
+                            checked={!options.hiddenRows.includes(row.id)}
+                            onChange={() => onOptionsChange({ hiddenRows: toggle(options.hiddenRows, row.id) })}
+                        />
+                        <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: toCssColor(color) }} />
+                        {row.fileName}
+                    </label>
+                ))}
+            </div>
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                {PROJECTION_CHARTS.map(chart => (
+                    <ProjectionChart key={chart.key} chart={buildProjectionChart(chart, rows, { ...options, toAmount })} by={options.by} />
+                ))}
+            </div>
+        </div>
+    );
+};
+
+/**
+ * One chart as SVG. Hovering shows every series' value at the nearest year or age.
+ * @param {object} props - Component props.
+ * @param {object} props.chart - The chart model from `buildProjectionChart`.
+ * @param {string} props.by - `'year'` or `'age'`, for the axis title.
+ */
+const ProjectionChart = ({ chart, by }) => {
+    const { t } = useTranslation();
+    const [hoverX, setHoverX] = useState(null);
+    const toX = scaleLinear(chart.x, MARGIN.left, WIDTH - MARGIN.right);
+    const toY = scaleLinear(chart.y, HEIGHT - MARGIN.bottom, MARGIN.top);
+
+    const handleMouseMove = (e) => {
+        const bounds = e.currentTarget.getBoundingClientRect();
+        const svgX = ((e.clientX - bounds.left) / bounds.width) * WIDTH;
+        const value = chart.x.min + ((svgX - MARGIN.left) / (WIDTH - MARGIN.left - MARGIN.right)) * (chart.x.max - chart.x.min);
+        setHoverX(Math.round(value));
+    };
+
+    const hovered = hoverX === null ? [] : chart.series
+        .map(series => ({ series, point: series.points.find(p => p.x === hoverX) }))
+        .filter(({ point }) => point);
+
+    return (
+        <div className="relative border border-gray-200 rounded-md p-2">
+            <h4 className="text-sm font-semibold text-gray-700 mb-1">{t(chart.title)}</h4>
+            {chart.series.length === 0 ? (
+                <p className="text-sm text-gray-500 p-4">{t('Nothing to show for the selected files and series.')}</p>
+            ) : (
+                <svg
+                    viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+                    className="w-full h-auto"
+                    onMouseMove={handleMouseMove}
+                    onMouseLeave={() => setHoverX(null)}
+                    role="img"
+                    aria-label={t(by === 'age' ? '{chart} by age' : '{chart} by policy year', { chart: t(chart.title) })}
+                >
+                    {chart.y.ticks.map(tick => (
+                        <g key={`y${tick}`}>
+                            <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={toY(tick)} y2={toY(tick)} stroke="#e5e7eb" />
+                            <text x={MARGIN.left - 6} y={toY(tick)} textAnchor="end" dominantBaseline="middle" fontSize="11" fill="#6b7280">{formatTick(tick)}</text>
+                        </g>
+                    ))}
+                    {chart.x.ticks.map(tick => (
+                        <text key={`x${tick}`} x={toX(tick)} y={HEIGHT - MARGIN.bottom + 16} textAnchor="middle" fontSize="11" fill="#6b7280">{tick}</text>
+                    ))}
+                    <text x={(MARGIN.left + WIDTH - MARGIN.right) / 2} y={HEIGHT - 4} textAnchor="middle" fontSize="11" fill="#374151">
+                        {by === 'age' ? t('Age') : t('Policy Year')}
+                    </text>
+                    {chart.series.map(series => (
+                        <polyline
+                            key={series.id}
+                            points={series.points.map(p => `${toX(p.x)},${toY(p.y)}`).join(' ')}
+                            fill="none"
+                            stroke={toCssColor(series.color)}
+                            strokeWidth="2"
+                            strokeDasharray={series.dashed ? '6 4' : undefined}
+                        />
+                    ))}
+                    {hovered.length > 0 && (
+                        <line x1={toX(hoverX)} x2={toX(hoverX)} y1={MARGIN.top} y2={HEIGHT - MARGIN.bottom} stroke="#9ca3af" strokeDasharray="2 2" />
+                    )}
+                </svg>
+            )}
+            {hovered.length > 0 && (
+                <div className="absolute top-8 right-4 bg-white bg-opacity-95 border border-gray-200 rounded-md shadow p-2 text-xs pointer-events-none">
+                    <p className="font-semibold text-gray-700 mb-1">{by === 'age' ? t('Age {age}', { age: hoverX }) : t('Year {year}', { year: hoverX })}</p>
+                    {hovered.map(({ series, point }) => (
+                        <p key={series.id} className="whitespace-nowrap">
+                            <span className="inline-block w-2 h-2 rounded-full mr-1" style={{ backgroundColor: toCssColor(series.color) }} />
+                            {series.fileName} ({t(series.field.label)}): {point.y.toLocaleString()}
+                        </p>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ProjectionCharts;
@@ -0,0 +1,334 @@
+import React, { useEffect, useState } from 'react';
+import { DEFAULT_REPORT_TEMPLATE, copyTemplate, resolveColumns } from '../report/reportTemplates';
+import { countIssues } from '../validation';
+import { getColumnLabel } from '../columns';
+import { LANGUAGES } from '../i18n';
+import { useTranslation } from '../i18n/LanguageContext';
+import ValidationSummary from './ValidationSummary';
+
+// Logos are kept in local storage with the template, so they are limited in size.
+const MAX_LOGO_BYTES = 500 * 1024;
+
+// The optional sections of the report, in the order they appear in it.
+const SECTIONS = [
+    { key: 'coverPage', label: 'Cover page' },
+    { key: 'highlightBest', label: 'Highlight the best value in each column' },
+    { key: 'includeCharts', label: 'Projection charts' },
+    { key: 'includeNotes', label: 'Advisor notes' },
+    { key: 'detailPages', label: 'A page per product' },
+    { key: 'includeChangeLog', label: 'Change log' },
+    { key: 'pageNumbers', label: 'Page numbers' },
+];
+
+/**
+ * A modal for setting up the client report before it is generated: the report template
+ * (columns and their order, sections, disclaimer and branding), which can be saved for reuse,
+ * and the comparison set's own details (client, date and advisor notes). Validation problems
+ * in the files being reported on are listed first, and errors must be acknowledged before
+ * the report can be generated. The built-in template is written in the interface language;
+ * saved templates keep the language they were saved with.
+ * @param {object} props - Component props.
+ * @param {Array<object>} props.columns - The comparison's column definitions.
+ * @param {Array<object>} props.templates - The saved report templates.
+ * @param {Function} props.onSaveTemplate - Called with a template to save; throws when it cannot be stored.
+ * @param {Function} props.onDeleteTemplate - Called with the id of a template to delete.
+ * @param {{clientName: string, reportDate: string, notes: string, templateId: string}} props.details - The comparison set's report details.
+ * @param {Function} props.onDetailsChange - Called with the details to change.
+ * @param {number} props.changeCount - The number of manual corrections, for the change log option.
+ * @param {Array<object>} props.rows - The rows the report will include.
+ * @param {Map<string, Array<object>>} props.issuesByRow - Each row's validation problems, by row id.
+ * @param {Function} props.onGenerate - Called with the template to generate the report with.
+ * @param {Function} props.onClose - Called when the builder is dismissed.
+ */
+const ReportBuilder = ({ columns, templates, onSaveTemplate, onDeleteTemplate, details, onDetailsChange, changeCount, rows, issuesByRow, onGenerate, onClose }) => {
+    const { t, language } = useTranslation();
+    const builtIn = { ...DEFAULT_REPORT_TEMPLATE, language };
+    const [draft, setDraft] = useState(() => (
+        [builtIn, ...templates].find(template => template.id === details.templateId) || templates[0] || builtIn
+    ));
+    const [message, setMessage] = useState(null);
+    const [errorsAcknowledged, setErrorsAcknowledged] = useState(false);
+
+    const inputClassName = 'p-2 border border-gray-300 rounded-md w-full';
+    const buttonClassName = 'bg-gray-100 text-gray-700 font-medium py-2 px-3 rounded-md hover:bg-gray-200 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed';
+    const isBuiltIn = draft.id === DEFAULT_REPORT_TEMPLATE.id;
+    const { errors } = countIssues(rows.flatMap(row => issuesByRow.get(row.id) || []));
+
+    // Close on Escape
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    const updateDraft = (changes) => setDraft(current => ({ ...current, ...changes }));
+
+    // === COLUMNS ===
+    // Chosen columns in report order, then the rest. Keys for columns this set does not have are kept in the template.
+    const columnKeys = draft.columnKeys || columns.map(column => column.key);
+    const chosen = resolveColumns(columns, columnKeys);
+    const unchosen = columns.filter(column => !chosen.includes(column));
+
+    const toggleColumn = (key) => {
+        updateDraft({ columnKeys: columnKeys.includes(key) ? columnKeys.filter(k => k !== key) : [...columnKeys, key] });
+    };
+
+    const moveColumn = (index, offset) => {
+        const a = columnKeys.indexOf(chosen[index].key);
+        const b = columnKeys.indexOf(chosen[index + offset].key);
+        const next = [...columnKeys];
+        [next[a], next[b]] = [next[b], next[a]];
+        updateDraft({ columnKeys: next });
+    };
+
+    // === TEMPLATES ===
+    const save = (template) => {
+        try {
+            onSaveTemplate(template);
+            setDraft(template);
+            setMessage(t('Saved "{name}".', { name: template.name }));
+        } catch (err) {
+            console.error(err);
+            setMessage(t('The template could not be saved. The logo may be too large for browser storage.'));
+        }
+    };
+
+    const handleSaveAs = () => {
+        const name = window.prompt(t('Name for the report template:'), isBuiltIn ? '' : t('{name} (copy)', { name: draft.name }));
+        if (name && name.trim()) save(copyTemplate(draft, name.trim()));
+    };
+
+    const handleSave = () => {
+        if (isBuiltIn) handleSaveAs();
+        else save(draft);
+    };
+
+    const handleDelete = () => {
+        if (!window.confirm(t('Delete the report template "{name}"?', { name: draft.name }))) return;
+        onDeleteTemplate(draft.id);
+        setDraft(builtIn);
+        setMessage(null);
+    };
+
+    const handleSelectTemplate = (id) => {
+        setDraft([builtIn, ...templates].find(template => template.id === id));
+        setMessage(null);
+    };
+
+    const handleLogoChange = (e) => {
+        const [file] = e.target.files;
+        e.target.value = '';
+        if (!file) return;
+        if (!/^image\/(png|jpeg)$/.test(file.type)) {
+            setMessage(t('The logo must be a PNG or JPEG image.'));
+            return;
+        }
+        if (file.size > MAX_LOGO_BYTES) {
+            setMessage(t('The logo must be smaller than 500 KB.'));
+            return;
+        }
+        const reader = new FileReader();
+        reader.onload = () => updateDraft({ logo: reader.result });
+        reader.readAsDataURL(file);
+    };
+
+    const handleGenerate = () => {
+        onDetailsChange({ templateId: draft.id });
+        onGenerate(draft);
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+            <div className="bg-white rounded-lg shadow-xl w-full max-w-4xl max-h-full flex flex-col text-sm" onClick={(e) => e.stopPropagation()}>
+                <div className="flex justify-between items-center p-4 border-b border-gray-200">
+                    <h3 className="text-lg font-semibold text-gray-800">{t('Report Builder')}</h3>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-700 text-2xl leading-none ml-4" aria-label={t('Close report builder')}>×</button>
+                </div>
+
+                <div className="overflow-auto p-4 flex-1">
+                    <ValidationSummary rows={rows} issuesByRow={issuesByRow} open />
+                    {errors > 0 && (
+                        <label className="flex items-center gap-2 mb-4 text-red-700">
+                            <input type="checkbox" checked={errorsAcknowledged} onChange={(e) => setErrorsAcknowledged(e.target.checked)} />
+                            {errors === 1
+                                ? t('I have checked the error above and want to generate the report anyway.')
+                                : t('I have checked the errors above and want to generate the report anyway.')}
+                        </label>
+                    )}
+
+                    <div className="flex flex-wrap items-center gap-2 mb-4">
+                        <label htmlFor="report-template" className="text-gray-600 font-medium">{t('Template:')}</label>
+                        <select
+                            id="report-template"
+                            value={draft.id}
+                            onChange={(e) => handleSelectTemplate(e.target.value)}
+                            className="p-2 border border-gray-300 rounded-md"
+                        >
+                            <option value={DEFAULT_REPORT_TEMPLATE.id}>{t('{name} (built in)', { name: t(DEFAULT_REPORT_TEMPLATE.name) })}</option>
+                            {templates.map(template => <option key={template.id} value={template.id}>{template.name}</option>)}
+                        </select>
+                        <button type="button" onClick={handleSave} className={buttonClassName}>{t('Save')}</button>
+                        <button type="button" onClick={handleSaveAs} className={buttonClassName}>{t('Save As...')}</button>
+                        <button type="button" onClick={handleDelete} disabled={isBuiltIn} className={buttonClassName}>{t('Delete')}</button>
+                        {message && <span className="text-gray-600">{message}</span>}
+                    </div>
+
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                        <section>
+                            <h4 className="font-semibold text-gray-700 mb-2">{t('Columns')}</h4>
+                            <ul className="border border-gray-200 rounded-md divide-y divide-gray-100">
+                                {chosen.map((column, index) => (
+                                    <li key={column.key} className="flex items-center gap-2 px-2 py-1">
+                                        <input type="checkbox" checked onChange={() => toggleColumn(column.key)} aria-label={t('Include {column}', { column: getColumnLabel(column, t) })} />
+                                        <span className="flex-1">{getColumnLabel(column, t)}</span>
+                                        <button
+                                            type="button"
+                                            onClick={() => moveColumn(index, -1)}
+                                            disabled={index === 0}
+                                            className="text-gray-400 hover:text-gray-700 disabled:opacity-30 px-1"
+                                            aria-label={t('Move {column} up', { column: getColumnLabel(column, t) })}
+                                        >
+                                            ▲
+                                        </button>
+                                        <button
+                                            type="button"
+                                            onClick={() => moveColumn(index, 1)}
+                                            disabled={index === chosen.length - 1}
+                                            className="text-gray-400 hover:text-gray-700 disabled:opacity-30 px-1"
+                                            aria-label={t('Move {column} down', { column: getColumnLabel(column, t) })}
+                                        >
+                                            ▼
+                                        </button>
+                                    </li>
+                                ))}
+                                {unchosen.map(column => (
+                                    <li key={column.key} className="flex items-center gap-2 px-2 py-1 text-gray-400">
+                                        <input type="checkbox" checked={false} onChange={() => toggleColumn(column.key)} aria-label={t('Include {column}', { column: getColumnLabel(column, t) })} />
+                                        <span className="flex-1">{getColumnLabel(column, t)}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                            <button type="button" onClick={() => updateDraft({ columnKeys: null })} className={`${buttonClassName} mt-2`}>
+                                {t('Use all columns in table order')}
+                            </button>
+                        </section>
+
+                        <section className="space-y-4">
+                            <div>
+                                <h4 className="font-semibold text-gray-700 mb-2">{t('This report')}</h4>
+                                <div className="grid grid-cols-2 gap-2">
+                                    <label className="text-gray-600">
+                                        {t('Client name')}
+                                        <input
+                                            type="text"
+                                            value={details.clientName || ''}
+                                            onChange={(e) => onDetailsChange({ clientName: e.target.value })}
+                                            className={inputClassName}
+                                        />
+                                    </label>
+                                    <label className="text-gray-600">
+                                        {t('Report date')}
+                                        <input
+                                            type="date"
+                                            value={details.reportDate || ''}
+                                            onChange={(e) => onDetailsChange({ reportDate: e.target.value })}
+                                            className={inputClassName}
+                                        />
+                                    </label>
+                                </div>
+                                <label className="block text-gray-600 mt-2">
+                                    {t('Advisor notes')}
+                                    <textarea
+                                        rows={4}
+                                        value={details.notes || ''}
+                                        onChange={(e) => onDetailsChange({ notes: e.target.value })}
+                                        placeholder={t('Recommendations and points to discuss with the client')}
+                                        className={inputClassName}
+                                    />
+                                </label>
+                            </div>
+
+                            <div>
+                                <h4 className="font-semibold text-gray-700 mb-2">{t('Template')}</h4>
+                                <div className="grid grid-cols-2 gap-2">
+                                    <label className="text-gray-600">
+                                        {t('Report title')}
+                                        <input type="text" value={draft.title} onChange={(e) => updateDraft({ title: e.target.value })} className={inputClassName} />
+                                    </label>
+                                    <label className="text-gray-600">
+                                        {t('Advisor name')}
+                                        <input type="text" value={draft.advisorName} onChange={(e) => updateDraft({ advisorName: e.target.value })} className={inputClassName} />
+                                    </label>
+                                    <label className="text-gray-600">
+                                        {t('Report language')}
+                                        <select value={draft.language} onChange={(e) => updateDraft({ language: e.target.value })} className={inputClassName}>
+                                            {LANGUAGES.map(option => <option key={option.code} value={option.code}>{option.label}</option>)}
+                                        </select>
+                                    </label>
+                                </div>
+                                <div className="grid grid-cols-2 gap-1 mt-2">
+                                    {SECTIONS.map(section => (
+                                        <label key={section.key} className="flex items-center gap-2 text-gray-600">
+                                            <input
+                                                type="checkbox"
+                                                checked={draft[section.key]}
+                                                onChange={(e) => updateDraft({ [section.key]: e.target.checked })}
+                                            />
+                                            {t(section.label)}
+                                            {section.key === 'includeChangeLog' && changeCount > 0
+                                                ? ` (${t(changeCount === 1 ? '{count} edit' : '{count} edits', { count: changeCount })})`
+                                                : ''}
+                                        </label>
+                                    ))}
+                                </div>
+                                <label className="block text-gray-600 mt-2">
+                                    {t('Disclaimer (printed at the foot of every page)')}
+                                    <textarea rows={3} value={draft.disclaimer} onChange={(e) => updateDraft({ disclaimer: e.target.value })} className={inputClassName} />
+                                </label>
+                            </div>
+
+                            <div>
+                                <h4 className="font-semibold text-gray-700 mb-2">{t('Branding')}</h4>
+                                <div className="flex flex-wrap items-center gap-3">
+                                    {draft.logo && <img src={draft.logo} alt={t('Report logo')} className="h-10 max-w-32 object-contain border border-gray-200 rounded" />}
+                                    <label className={`${buttonClassName} cursor-pointer`}>
+                                        {draft.logo ? t('Change logo') : t('Upload logo')}
+                                        <input type="file" accept="image/png,image/jpeg" onChange={handleLogoChange} className="hidden" />
+                                    </label>
+                                    {draft.logo && (
+                                        <button type="button" onClick={() => updateDraft({ logo: null })} className={buttonClassName}>{t('Remove logo')}</button>
+                                    )}
+                                    <label className="flex items-center gap-2 text-gray-600">
+                                        {t('Brand colour')}
+                                        <input
+                                            type="color"
+                                            value={draft.primaryColor}
+                                            onChange={(e) => updateDraft({ primaryColor: e.target.value })}
+                                            className="h-9 w-12 border border-gray-300 rounded"
+                                        />
+                                    </label>
+                                </div>
+                            </div>
+                        </section>
+                    </div>
+                </div>
+
+                <div className="flex justify-end gap-2 p-4 border-t border-gray-200">
+                    <button type="button" onClick={onClose} className={buttonClassName}>{t('Cancel')}</button>
+                    <button
+                        type="button"
+                        onClick={handleGenerate}
+                        disabled={chosen.length === 0 || (errors > 0 && !errorsAcknowledged)}
+                        className="bg-teal-600 text-white font-bold py-2 px-4 rounded-md hover:bg-teal-700 transition-colors duration-200 disabled:opacity-50"
+                    >
+                        {t('Generate PDF')}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ReportBuilder;
@@ -0,0 +1,125 @@
+import React, { useRef, useState } from 'react';
+import { getCellValue, getCellProvenance, getColumnLabel } from '../columns';
+import { normaliseInput, isOverridden } from '../overrides';
+import { LOW_OCR_CONFIDENCE } from '../extraction/ocr';
+import { useTranslation } from '../i18n/LanguageContext';
+import IssueBadge from './IssueBadge';
+
+/**
+ * A comparison table cell. Clicking the value opens the source PDF at the value's origin,
+ * and the pencil button lets the user correct the value in place. Values read from a scanned
+ * page show the OCR confidence, and validation problems with the value are marked with a badge.
+ * @param {object} props - Component props.
+ * @param {object} props.data - The row of extracted data.
+ * @param {object} props.column - The column definition.
+ * @param {Function} props.onOpenSource - Called with `{ data, column, value, source }` when the value is clicked.
+ * @param {Function} props.onEdit - Called with `(data, column, value)` when a correction is saved.
+ * @param {Array<object>} [props.issues] - Validation problems to show in this cell.
+ */
+const ResultCell = ({ data, column, onOpenSource, onEdit, issues = [] }) => {
+    const { t } = useTranslation();
+    const [draft, setDraft] = useState(null);
+    const [invalid, setInvalid] = useState(false);
+    // Set when editing is cancelled, so the blur that follows does not save the draft
+    const cancelledRef = useRef(false);
+
+    const value = getCellValue(data, column);
+    const overridden = isOverridden(data, column);
+    // Provenance describes the extracted value, so it is not offered for corrected cells
+    const source = value !== 'N/A' && !overridden ? getCellProvenance(data, column) : null;
+    const editable = column.editable !== false;
+
+    const startEditing = () => {
+        cancelledRef.current = false;
+        setDraft(value === 'N/A' ? '' : value);
+        setInvalid(false);
+    };
+
+    const save = () => {
+        if (cancelledRef.current) return;
+        const normalised = normaliseInput(column, draft);
+        if (normalised === null) {
+            setInvalid(true);
+            return;
+        }
+        setDraft(null);
+        onEdit(data, column, normalised);
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter') save();
+        if (e.key === 'Escape') {
+            cancelledRef.current = true;
+            setDraft(null);
+        }
+    };
+
+    if (draft !== null) {
+        return (
+            <td className={column.cellClassName}>
+                <input
+                    type="text"
+                    autoFocus
+                    value={draft}
+                    onChange={(e) => { setDraft(e.target.value); setInvalid(false); }}
+                    onKeyDown={handleKeyDown}
+                    onBlur={save}
+                    aria-invalid={invalid}
+                    title={invalid ? t('Enter a number, or leave empty for N/A') : undefined}
+                    className={`w-28 p-1 border rounded text-sm ${invalid ? 'border-red-500' : 'border-teal-500'}`}
+                />
+            </td>
+        );
+    }
+
+    const override = data.overrides?.[column.key];
+    return (
+        <td
+            className={`${column.cellClassName} group ${overridden ? 'bg-amber-50' : ''}`}
+            title={overridden ? t('Corrected manually (extracted value: {value})', { value: override.original }) : undefined}
+        >
+            {source ? (
+                <span
+                    onClick={() => onOpenSource({ data, column, value, source })}
+                    title={`${t('Page {page}', { page: source.page ?? '?' })}: ${source.snippet}`}
+                    className="cursor-pointer hover:text-teal-700 underline decoration-dotted decoration-gray-300"
+                >
+                    {value}
+                </span>
+            ) : (
+                <span className={overridden ? 'text-amber-800 font-medium' : ''}>{value}</span>
+            )}
+            {overridden && <span className="ml-1 text-amber-500" aria-label={t('Corrected manually')}>●</span>}
+            {source?.confidence !== undefined && (
+                <span
+                    className={`ml-1 px-1 rounded text-xs whitespace-nowrap ${source.confidence < LOW_OCR_CONFIDENCE ? 'bg-amber-100 text-amber-800' : 'bg-gray-100 text-gray-600'}`}
+                    title={t('Read from a scanned page by OCR with {confidence}% confidence. Check it against the document.', { confidence: Math.round(source.confidence * 100) })}
+                >
+                    {t('OCR {confidence}%', { confidence: Math.round(source.confidence * 100) })}
+                </span>
+            )}
+            <IssueBadge issues={issues} />
+            {editable && (
+                <button
+                    onClick={startEditing}
+                    className="ml-1 text-gray-300 opacity-0 group-hover:opacity-100 hover:text-teal-600 focus:opacity-100"
+                    aria-label={t('Edit {column}', { column: getColumnLabel(column, t) })}
+                >
+                    ✎
+                </button>
+            )}
+            {editable && overridden && (
+                <button
+                    onClick={() => onEdit(data, column, override.original)}
+                    className="ml-1 text-gray-300 opacity-0 group-hover:opacity-100 hover:text-teal-600 focus:opacity-100"
+                    aria-label={t('Revert {column} to extracted value', { column: getColumnLabel(column, t) })}
+                    title={t('Revert to {value}', { value: override.original })}
+                >
+                    ↺
+                </button>
+            )}
+        </td>
+    );
+};
+
+export default ResultCell;
@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { DEFAULT_TABLE_VIEW, getVisibleColumns, isFilterActive } from '../tableView';
+import { getColumnLabel } from '../columns';
+import { useTranslation } from '../i18n/LanguageContext';
+
+/**
+ * Controls for the table view: saved views, which columns are shown and in what order, the
+ * current sort keys and clearing the column filters.
+ * @param {object} props - Component props.
+ * @param {Array<object>} props.columns - All column definitions.
+ * @param {object} props.view - The table view.
+ * @param {Function} props.onViewChange - Called with the view settings to change.
+ * @param {Array<object>} props.savedViews - The saved views.
+ * @param {Function} props.onSaveView - Called with a name to save the current view under; returns the saved view.
+ * @param {Function} props.onLoadView - Called with a saved view to apply.
+ * @param {Function} props.onDeleteView - Called with the id of a saved view to delete.
+ */
+const TableViewBar = ({ columns, view, onViewChange, savedViews, onSaveView, onLoadView, onDeleteView }) => {
+    const { t } = useTranslation();
+    const [showColumns, setShowColumns] = useState(false);
+    const [selectedId, setSelectedId] = useState('');
+    const buttonClassName = 'bg-gray-100 text-gray-700 font-medium py-2 px-3 rounded-md hover:bg-gray-200 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed';
+
+    // Every column in display order, hidden ones included
+    const ordered = getVisibleColumns(columns, { ...view, hiddenColumns: [] });
+    const visibleCount = ordered.filter(column => !view.hiddenColumns.includes(column.key)).length;
+    const activeFilters = Object.values(view.filters).filter(isFilterActive).length;
+    const selected = savedViews.find(v => v.id === selectedId);
+
+    const toggleColumn = (key) => {
+        const hidden = view.hiddenColumns.includes(key);
+        onViewChange({ hiddenColumns: hidden ? view.hiddenColumns.filter(k => k !== key) : [...view.hiddenColumns, key] });
+    };
+
+    const moveColumn = (index, offset) => {
+        const keys = ordered.map(column => column.key);
+        [keys[index], keys[index + offset]] = [keys[index + offset], keys[index]];
+        onViewChange({ columnOrder: keys });
+    };
+
+    const handleLoad = (id) => {
+        setSelectedId(id);
+        const saved = savedViews.find(v => v.id === id);
+        if (saved) onLoadView(saved);
+    };
+
+    const handleSave = () => {
+        const name = window.prompt(t('Name for this view:'), selected?.name || '');
+        if (!name || !name.trim()) return;
+        if (savedViews.some(v => v.name === name.trim() && v.id !== selectedId)
+            && !window.confirm(t('Replace the saved view "{name}"?', { name: name.trim() }))) return;
+        setSelectedId(onSaveView(name.trim()).id);
+    };
+
+    const handleDelete = () => {
+        if (!selected || !window.confirm(t('Delete the saved view "{name}"?', { name: selected.name }))) return;
+        onDeleteView(selected.id);
+        setSelectedId('');
+    };
+
+    const sortLabels = view.sort
+        .map(({ key, direction }) => {
+            const column = columns.find(c => c.key === key);
+            return column ? `${getColumnLabel(column, t)} ${direction === 'ascending' ? '▲' : '▼'}` : null;
+        })
+        .filter(Boolean);
+
+    return (
+        <div className="mb-4 text-sm">
+            <div className="flex flex-wrap items-center gap-2">
+                <label htmlFor="saved-view" className="text-gray-600">{t('View:')}</label>
+                <select
+                    id="saved-view"
+                    value={selectedId}
+                    onChange={(e) => handleLoad(e.target.value)}
+                    className="p-2 border border-gray-300 rounded-md"
+                >
+                    <option value="">{t('Unsaved view')}</option>
+                    {savedViews.map(v => <option key={v.id} value={v.id}>{v.name}</option>)}
+                </select>
+                <button type="button" onClick={handleSave} className={buttonClassName}>{t('Save View...')}</button>
+                <button type="button" onClick={handleDelete} disabled={!selected} className={buttonClassName}>{t('Delete View')}</button>
+                <button type="button" onClick={() => setShowColumns(!showColumns)} className={buttonClassName}>
+                    {t('Columns ({visible}/{total})', { visible: visibleCount, total: columns.length })}
+                </button>
+                {activeFilters > 0 && (
+                    <button type="button" onClick={() => onViewChange({ filters: {} })} className={buttonClassName}>
+                        {t(activeFilters === 1 ? 'Clear {count} filter' : 'Clear {count} filters', { count: activeFilters })}
+                    </button>
+                )}
+                <span className="text-gray-500">
+                    {t('Sorted by {keys}. Shift-click a heading to add a sort key.', { keys: sortLabels.join(', ') || t('upload order') })}
+                </span>
+            </div>
+
+            {showColumns && (
+                <div className="mt-2 p-3 border border-gray-200 rounded-md bg-gray-50">
+                    <ul className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-x-4">
+                        {ordered.map((column, index) => (
+                            <li key={column.key} className="flex items-center gap-2 py-0.5">
+                                <input
+                                    type="checkbox"
+                                    checked={!view.hiddenColumns.includes(column.key)}
+                                    onChange={() => toggleColumn(column.key)}
+                                    aria-label={t('Show {column}', { column: getColumnLabel(column, t) })}
+                                />
+                                <span className="flex-1">{getColumnLabel(column, t)}</span>
+                                <button
+                                    type="button"
+                                    onClick={() => moveColumn(index, -1)}
+                                    disabled={index === 0}
+                                    className="text-gray-400 hover:text-gray-700 disabled:opacity-30 px-1"
+                                    aria-label={t('Move {column} left', { column: getColumnLabel(column, t) })}
+                                >
+                                    ▲
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={() => moveColumn(index, 1)}
+                                    disabled={index === ordered.length - 1}
+                                    className="text-gray-400 hover:text-gray-700 disabled:opacity-30 px-1"
+                                    aria-label={t('Move {column} right', { column: getColumnLabel(column, t) })}
+                                >
+                                    ▼
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                    <button
+                        type="button"
+                        onClick={() => onViewChange({ hiddenColumns: DEFAULT_TABLE_VIEW.hiddenColumns, columnOrder: DEFAULT_TABLE_VIEW.columnOrder })}
+                        className={`${buttonClassName} mt-2`}
+                    >
+                        {t('Show all columns in the default order')}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TableViewBar;
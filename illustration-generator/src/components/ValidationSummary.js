@@ -0,0 +1,48 @@
+import React from 'react';
+import { countIssues, describeCounts } from '../validation';
+import { useTranslation } from '../i18n/LanguageContext';
+
+/**
+ * Lists the validation problems found in each file, or nothing when there are none.
+ * @param {object} props - Component props.
+ * @param {Array<object>} props.rows - The rows to summarise.
+ * @param {Map<string, Array<object>>} props.issuesByRow - Each row's problems, by row id.
+ * @param {boolean} [props.open] - Whether the list starts expanded.
+ */
+const ValidationSummary = ({ rows, issuesByRow, open = false }) => {
+    const { t } = useTranslation();
+    const withIssues = rows
+        .map(row => ({ row, issues: issuesByRow.get(row.id) || [] }))
+        .filter(({ issues }) => issues.length > 0);
+    if (withIssues.length === 0) return null;
+
+    const counts = countIssues(withIssues.flatMap(({ issues }) => issues));
+    const fileCount = withIssues.length;
+
+    return (
+        <details open={open} className={`mb-4 p-3 rounded-md border text-sm ${counts.errors > 0 ? 'bg-red-50 border-red-200' : 'bg-amber-50 border-amber-200'}`}>
+            <summary className="cursor-pointer font-medium text-gray-800">
+                {t(fileCount === 1
+                    ? 'Validation found {counts} in {count} file. Check the marked cells before relying on them.'
+                    : 'Validation found {counts} in {count} files. Check the marked cells before relying on them.',
+                { counts: describeCounts(counts, t), count: fileCount })}
+            </summary>
+            <ul className="mt-2 space-y-2">
+                {withIssues.map(({ row, issues }) => (
+                    <li key={row.id}>
+                        <span className="font-medium text-gray-700">{row.fileName}</span>
+                        <ul className="ml-4 list-disc">
+                            {issues.map((issue, index) => (
+                                <li key={index} className={issue.severity === 'error' ? 'text-red-700' : 'text-amber-800'}>
+                                    {issue.message} <span className="text-gray-500">{issue.description}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    </li>
+                ))}
+            </ul>
+        </details>
+    );
+};
+
+export default ValidationSummary;
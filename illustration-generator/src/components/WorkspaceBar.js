@@ -0,0 +1,54 @@
+import React, { useRef } from 'react';
+import { useTranslation } from '../i18n/LanguageContext';
+
+/**
+ * Lets the user switch between saved comparison sets, manage them, and move them
+ * between machines as JSON bundles.
+ * @param {object} props - Component props.
+ * @param {Array<object>} props.sets - The saved sets: `{ id, name, rowCount }`.
+ * @param {(object|null)} props.currentSet - The open set.
+ * @param {boolean} props.disabled - Disables switching while files are being processed.
+ * @param {Function} props.onSwitch - Called with a set id.
+ * @param {Function} props.onCreate - Called to start a new set.
+ * @param {Function} props.onRename - Called to rename the open set.
+ * @param {Function} props.onDelete - Called to delete the open set.
+ * @param {Function} props.onExport - Called to export the open set.
+ * @param {Function} props.onImport - Called with the chosen bundle file.
+ */
+const WorkspaceBar = ({ sets, currentSet, disabled, onSwitch, onCreate, onRename, onDelete, onExport, onImport }) => {
+    const { t } = useTranslation();
+    const importInputRef = useRef(null);
+    const buttonClassName = 'bg-gray-100 text-gray-700 font-medium py-2 px-3 rounded-md hover:bg-gray-200 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed';
+
+    const handleImportChange = (e) => {
+        const [file] = e.target.files;
+        e.target.value = '';
+        if (file) onImport(file);
+    };
+
+    return (
+        <div className="bg-white p-4 rounded-lg shadow-lg mb-8 flex flex-wrap items-center gap-2 text-sm">
+            <label htmlFor="comparison-set" className="text-gray-600 font-medium">{t('Comparison set:')}</label>
+            <select
+                id="comparison-set"
+                value={currentSet?.id || ''}
+                onChange={(e) => onSwitch(e.target.value)}
+                disabled={disabled || !currentSet}
+                className="p-2 border border-gray-300 rounded-md min-w-48"
+            >
+                {sets.map(set => (
+                    <option key={set.id} value={set.id}>{set.name} ({t(set.rowCount === 1 ? '{count} file' : '{count} files', { count: set.rowCount })})</option>
+                ))}
+            </select>
+            <button onClick={onCreate} disabled={disabled} className={buttonClassName}>{t('New')}</button>
+            <button onClick={onRename} disabled={disabled || !currentSet} className={buttonClassName}>{t('Rename')}</button>
+            <button onClick={onDelete} disabled={disabled || !currentSet} className={buttonClassName}>{t('Delete')}</button>
+            <span className="flex-1" />
+            <button onClick={onExport} disabled={disabled} className={buttonClassName}>{t('Export Set')}</button>
+            <button onClick={() => importInputRef.current.click()} disabled={disabled} className={buttonClassName}>{t('Import Set')}</button>
+            <input ref={importInputRef} type="file" accept=".json,application/json" onChange={handleImportChange} className="hidden" />
+        </div>
+    );
+};
+
+export default WorkspaceBar;
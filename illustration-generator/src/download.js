@@ -0,0 +1,24 @@
+/**
+ * Offers data to the user as a file download.
+ * @param {(Blob|string|Uint8Array)} content - The file contents.
+ * @param {string} fileName - The suggested file name.
+ * @param {string} [type] - The MIME type, used when `content` is not a Blob.
+ */
+export const downloadFile = (content, fileName, type = 'application/octet-stream') => {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * Turns a name into something safe to use in a file name.
+ * @param {string} name - The name, e.g. a comparison set's name.
+ * @returns {string} - Lowercase words joined by hyphens.
+ */
+export const toFileSlug = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'comparison';
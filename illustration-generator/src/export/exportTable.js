@@ -0,0 +1,193 @@
+import { SCHEDULE_FIELDS } from '../extraction/schedule';
+import { getCellValue, getNumericValue, getRowCurrency } from '../columns';
+import { writeXlsx } from './xlsx';
+
+// === TABLE EXPORT ===
+// Exports the comparison table as CSV, XLSX or JSON for spreadsheets and downstream systems.
+// Each format has the rows and columns of the table as shown (sorted, filtered and with the
+// chosen columns), led by every row's source file, extraction status and the currency of its
+// amounts. Numbers are written as numbers, with percentages as fractions. The JSON format is
+// described by comparison-export.schema.json.
+
+/**
+ * Identifies the JSON export format; the version changes when its shape does.
+ */
+export const JSON_EXPORT_FORMAT = 'illustration-comparison-export';
+export const JSON_EXPORT_VERSION = 1;
+
+// The fields that lead every exported row.
+const ROW_FIELDS = [
+    { key: 'sourceFile', label: 'Source File', width: 30 },
+    { key: 'status', label: 'Status', width: 10 },
+    { key: 'error', label: 'Error', width: 30 },
+    { key: 'amountCurrency', label: 'Amount Currency', width: 10 },
+];
+
+// Excel number formats by column `numberFormat`. Amounts also show their currency.
+const EXCEL_FORMATS = {
+    amount: '#,##0.00',
+    percent: '0.00%',
+    multiple: '0.00"x"',
+    year: '0',
+};
+
+/**
+ * Describes where a row came from and whether it could be read.
+ * @param {object} row - A row of extracted data.
+ * @param {{baseCurrency: string, convert: boolean}} currencySettings - The currency settings.
+ * @returns {{sourceFile: string, status: string, error: (string|null), amountCurrency: (string|null)}} - The row's leading fields.
+ */
+const describeRow = (row, { baseCurrency, convert }) => {
+    const failed = row.status === 'failed';
+    return {
+        sourceFile: row.fileName,
+        status: failed ? 'failed' : 'extracted',
+        error: failed ? row.error?.message || 'Unknown error' : null,
+        amountCurrency: failed ? null : (convert ? baseCurrency : getRowCurrency(row)),
+    };
+};
+
+/**
+ * Reads one cell for export: a number for numeric columns, otherwise text.
+ * @param {object} row - A row of extracted data.
+ * @param {object} column - The column definition.
+ * @returns {(number|string|null)} - The value, or null when it is missing or the file could not be read.
+ */
+export const getExportValue = (row, column) => {
+    if (row.status === 'failed') return null;
+    if (column.numeric) return getNumericValue(row, column);
+    const value = getCellValue(row, column);
+    return value === undefined || value === null || value === '' || value === 'N/A' ? null : String(value);
+};
+
+/**
+ * Quotes a CSV field when needed. Text that a spreadsheet would run as a formula is prefixed with an apostrophe.
+ * @param {(number|string|null)} value - The value.
+ * @returns {string} - The field.
+ */
+const toCsvField = (value) => {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return String(value);
+    const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Exports the table as CSV, with a byte order mark so spreadsheets read it as UTF-8.
+ * @param {Array<object>} rows - The rows, as sorted and filtered in the table.
+ * @param {Array<object>} columns - The table's columns.
+ * @param {object} currencySettings - The currency settings.
+ * @returns {string} - The CSV text.
+ */
+export const toCsv = (rows, columns, currencySettings) => {
+    const header = [...ROW_FIELDS.map(field => field.label), ...columns.map(column => column.label)];
+    const lines = rows.map(row => {
+        const described = describeRow(row, currencySettings);
+        return [...ROW_FIELDS.map(field => described[field.key]), ...columns.map(column => getExportValue(row, column))];
+    });
+    return `\ufeff${[header, ...lines].map(line => line.map(toCsvField).join(',')).join('\r\n')}\r\n`;
+};
+
+/**
+ * The Excel number format for a column's numbers, e.g. `"HKD" #,##0.00` for an amount in HKD.
+ * @param {object} column - A numeric column definition.
+ * @param {(string|null)} currency - The currency of the row's amounts.
+ * @returns {string} - The number format.
+ */
+const toExcelFormat = (column, currency) => {
+    const format = EXCEL_FORMATS[column.numberFormat] || 'General';
+    return column.money && currency ? `"${currency}" ${format}` : format;
+};
+
+/**
+ * Exports the table as an Excel workbook. The first sheet is the table, with numeric cells in
+ * their currency's format; a second sheet lists each file's year-by-year schedule, in the
+ * document's own currency, when any file has one.
+ * @param {Array<object>} rows - The rows, as sorted and filtered in the table.
+ * @param {Array<object>} columns - The table's columns.
+ * @param {object} currencySettings - The currency settings.
+ * @returns {Uint8Array} - The .xlsx file.
+ */
+export const toXlsx = (rows, columns, currencySettings) => {
+    const sheets = [{
+        name: 'Comparison',
+        columns: [
+            ...ROW_FIELDS.map(field => ({ header: field.label, width: field.width })),
+            ...columns.map(column => ({ header: column.label, width: Math.max(12, column.label.length + 2) })),
+        ],
+        rows: rows.map(row => {
+            const described = describeRow(row, currencySettings);
+            return [
+                ...ROW_FIELDS.map(field => described[field.key]),
+                ...columns.map(column => {
+                    const value = getExportValue(row, column);
+                    return column.numeric && value !== null ? { value, format: toExcelFormat(column, described.amountCurrency) } : value;
+                }),
+            ];
+        }),
+    }];
+
+    const scheduled = rows.filter(row => row.status !== 'failed' && row.schedule?.length > 0);
+    if (scheduled.length > 0) {
+        sheets.push({
+            name: 'Schedules',
+            columns: [
+                { header: 'Source File', width: 30 },
+                { header: 'Currency', width: 10 },
+                { header: 'Policy Year', width: 11 },
+                { header: 'Age', width: 8 },
+                ...SCHEDULE_FIELDS.map(field => ({ header: field.label, width: 22 })),
+            ],
+            rows: scheduled.flatMap(row => {
+                const currency = getRowCurrency(row);
+                const format = currency ? `"${currency}" ${EXCEL_FORMATS.amount}` : EXCEL_FORMATS.amount;
+                return row.schedule.map(r => [
+                    row.fileName,
+                    currency,
+                    r.policyYear ?? null,
+                    r.age ?? null,
+                    ...SCHEDULE_FIELDS.map(field => (typeof r[field.key] === 'number' ? { value: r[field.key], format } : null)),
+                ]);
+            }),
+        });
+    }
+    return writeXlsx(sheets);
+};
+
+/**
+ * Exports the table as a JSON document following comparison-export.schema.json.
+ * @param {Array<object>} rows - The rows, as sorted and filtered in the table.
+ * @param {Array<object>} columns - The table's columns.
+ * @param {object} currencySettings - The currency settings.
+ * @param {string} name - The comparison set's name.
+ * @returns {object} - The document, ready for `JSON.stringify`.
+ */
+export const toJsonExport = (rows, columns, currencySettings, name) => ({
+    format: JSON_EXPORT_FORMAT,
+    version: JSON_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    name,
+    currency: {
+        view: currencySettings.convert ? 'converted' : 'original',
+        baseCurrency: currencySettings.baseCurrency,
+        rates: currencySettings.rates,
+    },
+    columns: columns.map(column => ({
+        key: column.key,
+        label: column.label,
+        type: column.numeric ? 'number' : 'text',
+        numberFormat: column.numberFormat || null,
+        money: Boolean(column.money),
+        point: column.point || null,
+    })),
+    rows: rows.map(row => ({
+        ...describeRow(row, currencySettings),
+        documentCurrency: row.status === 'failed' ? null : getRowCurrency(row),
+        values: Object.fromEntries(columns.map(column => [column.key, getExportValue(row, column)])),
+        schedule: row.status === 'failed' ? [] : (row.schedule || []).map(r => ({
+            policyYear: r.policyYear ?? null,
+            age: r.age ?? null,
+            ...Object.fromEntries(SCHEDULE_FIELDS.map(field => [field.key, typeof r[field.key] === 'number' ? r[field.key] : null])),
+        })),
+    })),
+});
@@ -0,0 +1,69 @@
+import { unzipSync, strFromU8 } from 'fflate';
+import { BASE_COLUMNS, scheduleColumn, applyCurrencyView } from '../columns';
+import { toCsv, toXlsx, toJsonExport } from './exportTable';
+import { columnLetters } from './xlsx';
+import schema from './comparison-export.schema.json';
+
+const settings = { baseCurrency: 'USD', convert: false, rates: [{ from: 'USD', to: 'HKD', rate: 7.8 }] };
+const pick = keys => BASE_COLUMNS.filter(column => keys.includes(column.key));
+const columns = applyCurrencyView(
+    [...pick(['productCode', 'annualPremium', 'faceToPremium']), scheduleColumn({ by: 'year', value: 2, field: 'irr' })],
+    settings
+);
+
+const rows = [
+    {
+        id: 'a',
+        fileName: 'plan, "A".pdf',
+        currency: 'HKD',
+        productCode: '=SUM(A1)',
+        faceAmount: '100000',
+        annualPremium: '1,000.50',
+        schedule: [
+            { policyYear: 1, age: 41, premiumsPaid: 1000, nonGuaranteedCashValue: 0 },
+            { policyYear: 2, age: 42, premiumsPaid: 2000, nonGuaranteedCashValue: 2100 },
+        ],
+    },
+    { id: 'b', fileName: 'b.pdf', status: 'failed', error: { message: 'No text found' } },
+];
+
+test('exports CSV with numbers, row status and safe quoting', () => {
+    const lines = toCsv(rows, columns, settings).replace(/^\ufeff/, '').trim().split('\r\n');
+
+    expect(lines[0]).toBe('Source File,Status,Error,Amount Currency,Product Code,Annual Premium,Face / Premiums,IRR Y2');
+    expect(lines[1]).toMatch(/^"plan, ""A"".pdf",extracted,,HKD,'=SUM\(A1\),1000.5,/);
+    expect(lines[2]).toBe('b.pdf,failed,No text found,,,,,');
+});
+
+test('exports XLSX with numeric cells and a schedules sheet', () => {
+    const files = unzipSync(toXlsx(rows, columns, settings));
+    const workbook = strFromU8(files['xl/workbook.xml']);
+    const sheet = strFromU8(files['xl/worksheets/sheet1.xml']);
+    const styles = strFromU8(files['xl/styles.xml']);
+
+    expect(workbook).toContain('<sheet name="Comparison"');
+    expect(workbook).toContain('<sheet name="Schedules"');
+    // The premium is a number cell in an HKD format, not text
+    expect(sheet).toMatch(/<c r="F2" s="\d+"><v>1000.5<\/v><\/c>/);
+    expect(styles).toContain('formatCode="&quot;HKD&quot; #,##0.00"');
+    expect(styles).toContain('formatCode="0.00%"');
+    expect(strFromU8(files['xl/worksheets/sheet2.xml'])).toMatch(/<c r="C3"><v>2<\/v><\/c>/);
+    expect(columnLetters(27)).toBe('AB');
+});
+
+test('exports JSON in the documented shape', () => {
+    const converted = { ...settings, convert: true };
+    const json = toJsonExport(rows, applyCurrencyView(columns, converted), converted, 'Chan family');
+
+    schema.required.forEach(key => expect(json).toHaveProperty(key));
+    const rowSchema = schema.properties.rows.items;
+    json.rows.forEach(row => rowSchema.required.forEach(key => expect(row).toHaveProperty(key)));
+    expect(json.columns.map(column => column.type)).toEqual(['text', 'number', 'number', 'number']);
+
+    const [extracted, failed] = json.rows;
+    expect(extracted).toMatchObject({ sourceFile: 'plan, "A".pdf', status: 'extracted', amountCurrency: 'USD', documentCurrency: 'HKD' });
+    expect(extracted.values.annualPremium).toBeCloseTo(128.27, 2);
+    expect(extracted.values['metric:irr:year:2']).toBeCloseTo(0.0328, 3);
+    expect(extracted.schedule[1]).toEqual({ policyYear: 2, age: 42, premiumsPaid: 2000, guaranteedCashValue: null, nonGuaranteedCashValue: 2100, deathBenefit: null });
+    expect(failed).toMatchObject({ status: 'failed', error: 'No text found', values: { annualPremium: null }, schedule: [] });
+});
@@ -0,0 +1,166 @@
+import { zipSync, strToU8 } from 'fflate';
+
+// === XLSX WRITER ===
+// Writes simple workbooks: one or more sheets of numbers and text under a bold, frozen header
+// row, with Excel number formats for the numbers. Strings are written inline, so the package
+// needs no shared string table.
+
+// Excel's first id for custom number formats.
+const FIRST_CUSTOM_FORMAT_ID = 164;
+
+// Cell styles before the per-number-format ones: 0 is the default, 1 the header.
+const HEADER_STYLE = 1;
+const FIRST_FORMAT_STYLE = 2;
+
+// Sheet names are limited to 31 characters and cannot contain these.
+const SHEET_NAME_LENGTH = 31;
+const INVALID_SHEET_NAME = /[[\]:*?/\\]/g;
+
+/**
+ * Escapes text for XML, dropping characters XML cannot hold.
+ * @param {string} text - The text.
+ * @returns {string} - The escaped text.
+ */
+const escapeXml = (text) => String(text)
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Converts a zero-based column index to its letters, e.g. 0 to "A" and 27 to "AB".
+ * @param {number} index - The column index.
+ * @returns {string} - The column letters.
+ */
+export const columnLetters = (index) => {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+};
+
+/**
+ * Writes one cell.
+ * @param {(null|string|number|{value: number, format: string})} cell - The cell.
+ * @param {string} ref - The cell reference, e.g. "B2".
+ * @param {Map<string, number>} styles - Style ids by number format, added to as formats are found.
+ * @param {number} [style] - The style for text cells.
+ * @returns {string} - The cell's XML, or an empty string for an empty cell.
+ */
+const writeCell = (cell, ref, styles, style = 0) => {
+    if (cell === null || cell === undefined || cell === '') return '';
+    if (typeof cell === 'object') {
+        if (!Number.isFinite(cell.value)) return '';
+        if (!styles.has(cell.format)) styles.set(cell.format, FIRST_FORMAT_STYLE + styles.size);
+        return `<c r="${ref}" s="${styles.get(cell.format)}"><v>${cell.value}</v></c>`;
+    }
+    if (typeof cell === 'number') {
+        return Number.isFinite(cell) ? `<c r="${ref}"><v>${cell}</v></c>` : '';
+    }
+    return `<c r="${ref}" t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${escapeXml(cell)}</t></is></c>`;
+};
+
+/**
+ * Writes a worksheet.
+ * @param {{columns: Array<{header: string, width: number}>, rows: Array<Array>}} sheet - The sheet.
+ * @param {Map<string, number>} styles - Style ids by number format.
+ * @returns {string} - The worksheet XML.
+ */
+const writeSheet = (sheet, styles) => {
+    const header = `<row r="1">${sheet.columns.map((column, i) => writeCell(column.header, `${columnLetters(i)}1`, styles, HEADER_STYLE)).join('')}</row>`;
+    const rows = sheet.rows.map((row, r) => (
+        `<row r="${r + 2}">${row.map((cell, i) => writeCell(cell, `${columnLetters(i)}${r + 2}`, styles)).join('')}</row>`
+    ));
+    const cols = sheet.columns.map((column, i) => `<col min="${i + 1}" max="${i + 1}" width="${column.width || 14}" customWidth="1"/>`);
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+        + `<cols>${cols.join('')}</cols>`
+        + `<sheetData>${header}${rows.join('')}</sheetData>`
+        + '</worksheet>';
+};
+
+/**
+ * Writes the style sheet: the default and header styles, then one style per number format.
+ * @param {Map<string, number>} styles - Style ids by number format.
+ * @returns {string} - The styles XML.
+ */
+const writeStyles = (styles) => {
+    const formats = [...styles.keys()];
+    const numFmts = formats.map((format, i) => `<numFmt numFmtId="${FIRST_CUSTOM_FORMAT_ID + i}" formatCode="${escapeXml(format)}"/>`);
+    const formatXfs = formats.map((format, i) => `<xf numFmtId="${FIRST_CUSTOM_FORMAT_ID + i}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>`);
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + (numFmts.length ? `<numFmts count="${numFmts.length}">${numFmts.join('')}</numFmts>` : '')
+        + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + `<cellXfs count="${FIRST_FORMAT_STYLE + formatXfs.length}">`
+        + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+        + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+        + `${formatXfs.join('')}</cellXfs>`
+        + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+        + '</styleSheet>';
+};
+
+/**
+ * Makes a valid, unique sheet name.
+ * @param {string} name - The wanted name.
+ * @param {Set<string>} used - Names already taken, in lower case; the result is added.
+ * @returns {string} - The sheet name.
+ */
+const toSheetName = (name, used) => {
+    const base = (String(name).replace(INVALID_SHEET_NAME, ' ').trim() || 'Sheet').slice(0, SHEET_NAME_LENGTH);
+    let sheetName = base;
+    for (let n = 2; used.has(sheetName.toLowerCase()); n++) {
+        sheetName = `${base.slice(0, SHEET_NAME_LENGTH - String(n).length - 1)} ${n}`;
+    }
+    used.add(sheetName.toLowerCase());
+    return sheetName;
+};
+
+/**
+ * Writes a workbook.
+ * @param {Array<{name: string, columns: Array<{header: string, width: number}>, rows: Array<Array>}>} sheets - The sheets. Each cell is null, text, a number, or `{ value, format }` for a number with an Excel number format such as `'#,##0.00'`.
+ * @returns {Uint8Array} - The .xlsx file.
+ */
+export const writeXlsx = (sheets) => {
+    const styles = new Map();
+    const used = new Set();
+    const files = {};
+    const names = sheets.map(sheet => toSheetName(sheet.name, used));
+
+    sheets.forEach((sheet, i) => {
+        files[`xl/worksheets/sheet${i + 1}.xml`] = strToU8(writeSheet(sheet, styles));
+    });
+    files['xl/styles.xml'] = strToU8(writeStyles(styles));
+
+    const sheetIds = sheets.map((sheet, i) => i + 1);
+    files['[Content_Types].xml'] = strToU8('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + sheetIds.map(id => `<Override PartName="/xl/worksheets/sheet${id}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+        + '</Types>');
+    files['_rels/.rels'] = strToU8('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>');
+    files['xl/workbook.xml'] = strToU8('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + `<sheets>${sheetIds.map((id, i) => `<sheet name="${escapeXml(names[i])}" sheetId="${id}" r:id="rId${id}"/>`).join('')}</sheets>`
+        + '</workbook>');
+    files['xl/_rels/workbook.xml.rels'] = strToU8('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + sheetIds.map(id => `<Relationship Id="rId${id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${id}.xml"/>`).join('')
+        + `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+        + '</Relationships>');
+
+    return zipSync(files);
+};
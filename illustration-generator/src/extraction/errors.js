@@ -0,0 +1,45 @@
+// === EXTRACTION FAILURES ===
+// Files that cannot be processed are reported with a specific reason rather than a
+// generic error, so the user knows whether to re-export, unlock or key in the document.
+
+/**
+ * Messages shown for each failure reason.
+ */
+export const FAILURE_MESSAGES = {
+    encrypted: 'The PDF is password-protected. Remove the password and upload it again.',
+    'invalid-pdf': 'The file is not a valid PDF or is corrupted.',
+    'no-text-layer': 'The PDF has no text layer (it may be a scanned image).',
+    'unreadable-scan': 'The PDF is a scanned image and no text could be read from it.',
+    'ocr-unavailable': 'The PDF is a scanned image, and the OCR language data could not be loaded. Reload the app and try again.',
+    'no-template': 'No template matched this document and no values could be extracted.',
+    cancelled: 'Processing was cancelled.',
+    unknown: 'An unexpected error occurred while processing this file.',
+};
+
+/**
+ * An error raised when a file cannot be extracted, carrying a machine-readable reason.
+ */
+export class ExtractionError extends Error {
+    /**
+     * @param {string} reason - One of the keys of FAILURE_MESSAGES.
+     * @param {string} [message] - A more specific message, defaulting to the reason's message.
+     */
+    constructor(reason, message = FAILURE_MESSAGES[reason]) {
+        super(message);
+        this.name = 'ExtractionError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Converts any error thrown while processing a file into a plain failure record.
+ * pdf.js reports password-protected and malformed documents with named exceptions.
+ * @param {Error} err - The error that was thrown.
+ * @returns {{reason: string, message: string}} - The failure reason and message.
+ */
+export const toFailure = (err) => {
+    if (err instanceof ExtractionError) return { reason: err.reason, message: err.message };
+    if (err?.name === 'PasswordException') return { reason: 'encrypted', message: FAILURE_MESSAGES.encrypted };
+    if (err?.name === 'InvalidPDFException') return { reason: 'invalid-pdf', message: FAILURE_MESSAGES['invalid-pdf'] };
+    return { reason: 'unknown', message: err?.message ? `${FAILURE_MESSAGES.unknown} (${err.message})` : FAILURE_MESSAGES.unknown };
+};
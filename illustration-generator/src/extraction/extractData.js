@@ -0,0 +1,113 @@
+import { parseSchedule, getScheduleValue } from './schedule';
+import { detectTemplate, templateLabel } from './templates';
+import { locateMatch, snippetAround } from './provenance';
+import { parseMoney, detectScale, toCurrencyCode } from './money';
+import { toHalfWidth } from './textLayout';
+
+// Policy years that the summary cash value columns are read from.
+const SUMMARY_YEARS = [10, 20, 30];
+
+// The fields extracted from every document, in display order.
+export const FIELD_KEYS = [
+    'productCode', 'currency', 'faceAmount', 'annualPremium', 'total10PayPremium',
+    'cashValueYear10', 'cashValueYear20', 'cashValueYear30',
+    'guaranteedInterestRate', 'surrenderPenaltyPeriod', 'spRating',
+];
+
+// Fields holding money amounts, which are parsed into plain numbers.
+const CURRENCY_FIELDS = [
+    'faceAmount', 'annualPremium', 'total10PayPremium',
+    'cashValueYear10', 'cashValueYear20', 'cashValueYear30',
+];
+
+/**
+ * Describes where a schedule value came from.
+ * @param {{rows: Array<object>, rules: object}} schedule - The parsed schedule.
+ * @param {{by: string, value: number, field: string}} point - The schedule point that was read.
+ * @returns {(object|null)} - The provenance record, with the row's OCR `confidence` when it has one, or null when the schedule has no such row.
+ */
+export const getScheduleProvenance = (schedule, point) => {
+    const rowKey = point.by === 'age' ? 'age' : 'policyYear';
+    const row = schedule.rows?.find(r => r[rowKey] === point.value);
+    if (!row || !row.source) return null;
+    return {
+        page: row.source.page,
+        lines: row.source.lines,
+        text: row.source.text,
+        snippet: row.source.text,
+        rule: schedule.rules?.[point.field] || 'Schedule',
+        ...(row.source.confidence !== undefined && { confidence: row.source.confidence }),
+    };
+};
+
+/**
+ * Extracts specific financial data points from raw text using the rules of the template
+ * detected for the document (or the one given). Where each value came from is recorded
+ * in `provenance`, keyed by field. Full-width digits and punctuation are read as ASCII.
+ * @param {string} rawText - The raw text content from a PDF.
+ * @param {object} [layout] - The layout-aware text layer from `readPdfLayout`, when available.
+ * @param {object} [template] - The template to apply, overriding detection.
+ * @returns {object} - An object containing the extracted data.
+ */
+export const extractDataFromText = (rawText, layout, template = detectTemplate(toHalfWidth(rawText))) => {
+    const text = toHalfWidth(rawText);
+    const provenance = {};
+
+    // Helper to try multiple regex patterns and return the first valid match, recording where it was found
+    const getValue = (key, patterns = [], clean = val => val) => {
+        for (const [index, pattern] of patterns.entries()) {
+            const match = text.match(pattern);
+            // Check for match and ensure it's not just whitespace
+            if (match && match[1] && match[1].trim()) {
+                const end = match.index + match[0].length;
+                provenance[key] = {
+                    ...locateMatch(layout, match.index, end),
+                    text: match[0],
+                    snippet: snippetAround(text, match.index, end),
+                    rule: `${templateLabel(template)}, ${key} rule ${index + 1}: ${pattern}`,
+                };
+                return clean(match[1], match[0]);
+            }
+        }
+        return 'N/A';
+    };
+
+    // Stores an amount as a plain number, noting any currency printed with it or its label.
+    // A label such as "Sum Assured (HK$'000)" means the amount is in thousands.
+    const amountCurrencies = [];
+    const cleanMoney = (val, matchText) => {
+        const money = parseMoney(val, { currency: toCurrencyCode(matchText), scale: detectScale(matchText) });
+        if (!money) return 'N/A';
+        if (money.currency) amountCurrencies.push(money.currency);
+        return String(money.amount);
+    };
+
+    const data = {};
+    FIELD_KEYS.forEach(key => {
+        data[key] = getValue(key, template.fields[key], CURRENCY_FIELDS.includes(key) ? cleanMoney : undefined);
+    });
+
+    const schedule = parseSchedule(text, { layout, columns: template.schedule?.columns });
+
+    // The summary cash value columns are views into the schedule, falling back to the template's rules
+    SUMMARY_YEARS.forEach(year => {
+        const key = `cashValueYear${year}`;
+        const point = { by: 'year', value: year, field: 'nonGuaranteedCashValue' };
+        const scheduled = getScheduleValue(schedule.rows, point, point.field);
+        if (scheduled !== null) {
+            data[key] = String(scheduled);
+            provenance[key] = getScheduleProvenance(schedule, point);
+        }
+    });
+
+    return {
+        ...data,
+        // The ISO currency of the amounts, from the currency field or else from the amounts themselves
+        currencyCode: toCurrencyCode(data.currency) || amountCurrencies[0] || null,
+        provenance,
+        scheduleRules: schedule.rules,
+        issueAge: schedule.issueAge,
+        schedule: schedule.rows,
+        template: { id: template.id, name: template.name, version: template.version },
+    };
+};
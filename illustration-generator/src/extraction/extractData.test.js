@@ -0,0 +1,63 @@
+import { extractDataFromText } from './extractData';
+
+test('applies the template whose fingerprint matches', () => {
+    const text = [
+        '"Product Code ","WL10"',
+        '"Currency ","USD"',
+        '"Face Amount ","USD 1,000,000"',
+        '"Guaranteed Interest Rate ","2.5%"',
+        // Another layout's label must not be picked up by this template
+        'Sum Assured: 5',
+    ].join('\n');
+
+    const data = extractDataFromText(text);
+
+    expect(data.template).toEqual({ id: 'summary-table', name: 'Summary Table', version: 2 });
+    expect(data.productCode).toBe('WL10');
+    expect(data.faceAmount).toBe('1000000');
+    expect(data.currencyCode).toBe('USD');
+    expect(data.guaranteedInterestRate).toBe('2.5%');
+    expect(data.provenance.faceAmount).toMatchObject({
+        text: '"Face Amount ","USD 1,000,000',
+        rule: expect.stringMatching(/^Summary Table v2, faceAmount rule 1: /),
+    });
+    expect(data.provenance.spRating).toBeUndefined();
+});
+
+test('falls back to the generic template when nothing matches', () => {
+    const data = extractDataFromText('Sum Assured: USD 250,000\nSome other text');
+
+    expect(data.template.id).toBe('generic');
+    expect(data.faceAmount).toBe('250000');
+    expect(data.annualPremium).toBe('N/A');
+});
+
+test('parses amounts in other locales and takes the currency from the amount', () => {
+    const data = extractDataFromText('SUM ASSURED: HK$ 1.234.567,89');
+
+    expect(data.faceAmount).toBe('1234567.89');
+    expect(data.currencyCode).toBe('HKD');
+});
+
+test('reads Chinese and bilingual labels with full-width digits and punctuation', () => {
+    const text = [
+        '計劃編號 Plan Code：ＷＬ１０',
+        '保單貨幣 Currency：美元',
+        '基本保額 (美元)：５００，０００',
+        '年繳保費：１０，０００',
+        '十年總保費：１００，０００',
+        '保證利率：２．５％',
+        '標準普爾財務實力評級：AA-',
+    ].join('\n');
+
+    const data = extractDataFromText(text);
+
+    expect(data.template.id).toBe('chinese-summary');
+    expect(data.productCode).toBe('WL10');
+    expect(data.currencyCode).toBe('USD');
+    expect(data.faceAmount).toBe('500000');
+    expect(data.annualPremium).toBe('10000');
+    expect(data.total10PayPremium).toBe('100000');
+    expect(data.guaranteedInterestRate).toBe('2.5%');
+    expect(data.spRating).toBe('AA-');
+});
@@ -0,0 +1,119 @@
+// === MONEY PARSING ===
+// Turns amounts as printed in illustrations ("HK$1,234,567.89", "1.234.567,89", "RMB 50 000",
+// amounts in thousands) into numbers with an ISO 4217 currency code.
+
+// Ways currencies are written, most specific first: "HK$" must be tried before a bare "$".
+const CURRENCY_ALIASES = [
+    { code: 'HKD', pattern: /HK\$|\bHKD\b|\bHK\s*Dollars?|Hong\s*Kong\s*Dollars?|港元|港幣|港币/i },
+    { code: 'USD', pattern: /US\$|\bUSD\b|U\.S\.\s*Dollars?|\bUS\s+Dollars?|美元/i },
+    { code: 'SGD', pattern: /S\$|\bSGD\b|Singapore\s*Dollars?/i },
+    { code: 'AUD', pattern: /A\$|\bAUD\b|Australian\s*Dollars?/i },
+    { code: 'CAD', pattern: /C\$|\bCAD\b|Canadian\s*Dollars?/i },
+    { code: 'MOP', pattern: /\bMOP\b|Patacas?|澳門元|澳门元/i },
+    { code: 'CNY', pattern: /\bRMB\b|\bCNY\b|Renminbi|人民幣|人民币|[¥￥]/i },
+    { code: 'JPY', pattern: /\bJPY\b|Japanese\s*Yen/i },
+    { code: 'EUR', pattern: /€|\bEUR\b|\bEuros?\b/i },
+    { code: 'GBP', pattern: /£|\bGBP\b|Pounds?\s*Sterling/i },
+];
+
+/**
+ * The currency codes that can be recognised, for pickers in the UI.
+ */
+export const CURRENCY_CODES = CURRENCY_ALIASES.map(alias => alias.code);
+
+// Markers that an amount or a table's amounts are printed in thousands or millions.
+const SCALE_MARKERS = [
+    { scale: 1000000, pattern: /in\s+millions|'000,000|百萬|百万/i },
+    { scale: 1000, pattern: /in\s+thousands|'000\b|\b000's\b|\(\s*000s?\s*\)|千元/i },
+];
+
+// The first run of digits and separators. Plain spaces only count as separators before a group of three digits.
+const AMOUNT_PATTERN = /\d(?:[\d.,'\u00a0\u202f]|\s(?=\d{3}(?!\d)))*/;
+
+/**
+ * Recognises the currency named in a piece of text, such as a currency field or a prefixed amount.
+ * A bare "$" is ambiguous and is not recognised.
+ * @param {string} text - The text to look in.
+ * @returns {(string|null)} - The ISO 4217 code, or null when no currency is named.
+ */
+export const toCurrencyCode = (text) => {
+    if (!text) return null;
+    const alias = CURRENCY_ALIASES.find(({ pattern }) => pattern.test(text));
+    return alias ? alias.code : null;
+};
+
+/**
+ * Finds whether amounts are printed in thousands or millions, from a label or table header.
+ * @param {string} text - The label or header text.
+ * @returns {number} - The multiplier: 1, 1000 or 1000000.
+ */
+export const detectScale = (text) => {
+    const marker = SCALE_MARKERS.find(({ pattern }) => pattern.test(text || ''));
+    return marker ? marker.scale : 1;
+};
+
+/**
+ * Parses the first amount in a piece of text, whichever of "," and "." it uses as the
+ * decimal separator. When only one kind of separator appears once, it is read as a
+ * thousands separator if exactly three digits follow it, and as a decimal point otherwise;
+ * a single "." is always a decimal point.
+ * @param {string} text - Text such as `'HK$ 1,234,567.89'`, `'1.234.567,89'` or `'(2,500)'`.
+ * @returns {(number|null)} - The amount, or null when the text holds no amount.
+ */
+export const parseAmount = (text) => {
+    if (text === null || text === undefined) return null;
+    const value = String(text);
+    const match = value.match(AMOUNT_PATTERN);
+    if (!match) return null;
+
+    const before = value.slice(0, match.index);
+    const negative = /-\s*$/.test(before) || (/\(\s*[^\d()]*$/.test(before) && /^[^(]*\)/.test(value.slice(match.index)));
+    let digits = match[0].replace(/['\s\u00a0\u202f]/g, '').replace(/[.,]+$/, '');
+
+    const lastDot = digits.lastIndexOf('.');
+    const lastComma = digits.lastIndexOf(',');
+    if (lastDot !== -1 && lastComma !== -1) {
+        const decimal = lastDot > lastComma ? '.' : ',';
+        const thousands = decimal === '.' ? ',' : '.';
+        digits = digits.split(thousands).join('').replace(decimal, '.');
+    } else if (lastComma !== -1) {
+        const isThousands = digits.indexOf(',') !== lastComma || digits.length - lastComma - 1 === 3;
+        digits = isThousands ? digits.replace(/,/g, '') : digits.replace(',', '.');
+    } else if (lastDot !== -1 && digits.indexOf('.') !== lastDot) {
+        digits = digits.replace(/\./g, '');
+    }
+
+    if (!/^\d+(\.\d+)?$/.test(digits)) return null;
+    const amount = parseFloat(digits);
+    return negative ? -amount : amount;
+};
+
+/**
+ * Checks that a piece of text is one amount and nothing else, apart from a sign or a currency
+ * symbol or code. Used to validate amounts typed by the user.
+ * @param {string} text - The text to check.
+ * @returns {boolean} - True when the text is a single amount.
+ */
+export const isAmountText = (text) => {
+    const match = String(text).match(AMOUNT_PATTERN);
+    if (!match) return false;
+    const rest = (text.slice(0, match.index) + text.slice(match.index + match[0].length)).replace(/[\s()-]/g, '');
+    return !rest || rest === '$' || toCurrencyCode(rest) !== null;
+};
+
+/**
+ * Parses an amount into a typed money value.
+ * @param {string} text - The amount as printed, possibly with a currency prefix.
+ * @param {object} [options] - Parsing options.
+ * @param {(string|null)} [options.currency] - The currency to assume when the text does not name one.
+ * @param {number} [options.scale] - Multiplier for amounts printed in thousands or millions.
+ * @returns {({amount: number, currency: (string|null)}|null)} - The money value, or null when the text holds no amount.
+ */
+export const parseMoney = (text, { currency = null, scale = 1 } = {}) => {
+    const amount = parseAmount(text);
+    if (amount === null) return null;
+    return {
+        amount: Math.round(amount * scale * 100) / 100,
+        currency: toCurrencyCode(text) || currency,
+    };
+};
@@ -0,0 +1,30 @@
+import { parseAmount, isAmountText, parseMoney, toCurrencyCode, detectScale } from './money';
+
+test('parses amounts whichever separators they use', () => {
+    expect(parseAmount('1,234,567.89')).toBe(1234567.89);
+    expect(parseAmount('1.234.567,89')).toBe(1234567.89);
+    expect(parseAmount('1 234 567,89')).toBe(1234567.89);
+    expect(parseAmount('500,000')).toBe(500000);
+    expect(parseAmount('12,5')).toBe(12.5);
+    expect(parseAmount('(2,500)')).toBe(-2500);
+    expect(parseAmount('N/A')).toBeNull();
+    expect(isAmountText('HK$ 1.250.000,00')).toBe(true);
+    expect(isAmountText('1 2')).toBe(false);
+});
+
+test('recognises currency prefixes and names', () => {
+    expect(parseMoney('HK$1,000')).toEqual({ amount: 1000, currency: 'HKD' });
+    expect(parseMoney('US$ 2,500.50')).toEqual({ amount: 2500.5, currency: 'USD' });
+    expect(parseMoney('RMB 30,000')).toEqual({ amount: 30000, currency: 'CNY' });
+    expect(parseMoney('¥8,000')).toEqual({ amount: 8000, currency: 'CNY' });
+    expect(parseMoney('$100', { currency: 'SGD' })).toEqual({ amount: 100, currency: 'SGD' });
+    expect(toCurrencyCode('Hong Kong Dollar')).toBe('HKD');
+    expect(toCurrencyCode('$')).toBeNull();
+});
+
+test('applies amounts printed in thousands', () => {
+    const scale = detectScale("Cash Value (HK$'000)");
+    expect(scale).toBe(1000);
+    expect(parseMoney('1,234.5', { scale })).toEqual({ amount: 1234500, currency: null });
+    expect(detectScale('Cash Value')).toBe(1);
+});
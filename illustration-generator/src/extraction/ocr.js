@@ -0,0 +1,93 @@
+// === OCR FALLBACK ===
+// A scanned illustration is a picture of each page, so pdf.js finds no text on it. Such pages
+// are rendered through pdf.js and read by an OCR engine instead. The words it finds become
+// text items positioned like pdf.js's own, so the page goes through the same line and table
+// reconstruction, templates and provenance as any other. Each word keeps the engine's
+// confidence, and a value read from OCR text takes the lowest confidence of its lines.
+
+/**
+ * Pages with fewer characters than this have no usable text layer; scans often carry a stray
+ * page number or stamp in text.
+ */
+export const MIN_TEXT_CHARACTERS = 20;
+
+/**
+ * Values read by OCR with less confidence than this are flagged for checking.
+ */
+export const LOW_OCR_CONFIDENCE = 0.8;
+
+// Pages are rendered at 300 dpi, the resolution OCR engines are trained on.
+const OCR_SCALE = 300 / 72;
+
+/**
+ * Checks whether a page's text layer has enough text to extract from.
+ * @param {Array<object>} items - The `items` array from pdf.js `page.getTextContent()`.
+ * @returns {boolean} - True when the page has usable text.
+ */
+export const hasTextLayer = (items) => (
+    items.reduce((count, item) => count + (item.str || '').replace(/\s/g, '').length, 0) >= MIN_TEXT_CHARACTERS
+);
+
+/**
+ * Turns the words found by OCR into pdf.js-style text items in PDF coordinates. Words on one
+ * OCR line share its bottom edge and height, so they are kept on one line when the page is laid out.
+ * @param {Array<object>} blocks - The blocks recognised by Tesseract, holding paragraphs, lines and words with pixel `bbox`es.
+ * @param {object} viewport - The pdf.js viewport the page was rendered with.
+ * @returns {Array<object>} - Text items with `str`, `transform`, `width` and a `confidence` from 0 to 1.
+ */
+export const toTextItems = (blocks, viewport) => (blocks || [])
+    .flatMap(block => block.paragraphs)
+    .flatMap(paragraph => paragraph.lines)
+    .flatMap(line => {
+        const fontSize = (line.bbox.y1 - line.bbox.y0) / viewport.scale;
+        return line.words
+            .filter(word => word.text.trim())
+            .map(word => {
+                const [left, bottom] = viewport.convertToPdfPoint(word.bbox.x0, line.bbox.y1);
+                const [right] = viewport.convertToPdfPoint(word.bbox.x1, line.bbox.y1);
+                return {
+                    str: word.text,
+                    transform: [fontSize, 0, 0, fontSize, left, bottom],
+                    width: right - left,
+                    confidence: word.confidence / 100,
+                };
+            });
+    });
+
+/**
+ * Renders a page and reads its text by OCR.
+ * @param {object} page - The pdf.js page.
+ * @param {{canvasFactory: object, recognize: Function}} ocr - The OCR engine: a pdf.js canvas factory to render with, and `recognize(canvas)` resolving to Tesseract blocks.
+ * @returns {Promise<Array<object>>} - The text items found, as from `toTextItems`.
+ */
+export const readPageWithOcr = async (page, ocr) => {
+    const viewport = page.getViewport({ scale: OCR_SCALE });
+    const canvasAndContext = ocr.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    try {
+        await page.render({ canvasContext: canvasAndContext.context, viewport }).promise;
+        return toTextItems(await ocr.recognize(canvasAndContext.canvas), viewport);
+    } finally {
+        ocr.canvasFactory.destroy(canvasAndContext);
+    }
+};
+
+/**
+ * Records on each extracted value read from OCR text how confident the engine was: the lowest
+ * confidence of the lines it was read from. Values from the text layer are left unmarked.
+ * @param {object} data - The extracted data, whose field provenance and schedule row sources are marked.
+ * @param {object} layout - The layout from `readPdfLayout`, with `ocr` set on pages read by OCR.
+ * @returns {object} - The same data.
+ */
+export const markOcrConfidence = (data, layout) => {
+    const mark = (record) => {
+        const page = record && layout.pages.find(p => p.pageNumber === record.page);
+        if (!page?.ocr) return;
+        const confidences = page.lines
+            .filter(line => record.lines.includes(line.y) && line.confidence !== undefined)
+            .map(line => line.confidence);
+        if (confidences.length > 0) record.confidence = Math.min(...confidences);
+    };
+    Object.values(data.provenance).forEach(mark);
+    data.schedule.forEach(row => mark(row.source));
+    return data;
+};
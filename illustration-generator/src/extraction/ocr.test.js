@@ -0,0 +1,87 @@
+import { hasTextLayer, toTextItems } from './ocr';
+import { parsePdf } from './parsePdf';
+import { buildPageLayout } from './textLayout';
+
+const PAGE_HEIGHT = 842;
+
+// A pdf.js-style viewport for an A4 page rendered at `scale`
+const viewportAt = (scale) => ({
+    scale,
+    width: 595 * scale,
+    height: PAGE_HEIGHT * scale,
+    convertToPdfPoint: (x, y) => [x / scale, PAGE_HEIGHT - y / scale],
+});
+
+// A Tesseract line of words, each `[text, left, right, confidence]` in pixels
+const ocrLine = (top, words) => ({
+    bbox: { x0: words[0][1], y0: top, x1: words[words.length - 1][2], y1: top + 40 },
+    words: words.map(([text, x0, x1, confidence]) => ({ text, confidence, bbox: { x0, y0: top, x1, y1: top + 40 } })),
+});
+
+const scannedBlocks = [{
+    paragraphs: [
+        { lines: [ocrLine(400, [['Sum', 100, 170, 96], ['Assured:', 185, 340, 93], ['USD', 800, 880, 91], ['500,000', 900, 1060, 72]])] },
+        { lines: [ocrLine(460, [['Annualised', 100, 300, 95], ['Premium:', 315, 480, 94], ['USD', 800, 880, 95], ['10,000', 900, 1040, 90]])] },
+    ],
+}];
+
+// A stand-in for pdf.js whose page is a scan, by default with a page number in text
+const scannedPdf = (items = [{ str: '1', transform: [10, 0, 0, 10, 300, 20], width: 5 }]) => ({
+    getDocument: () => ({
+        promise: Promise.resolve({
+            numPages: 1,
+            getPage: async () => ({
+                getTextContent: async () => ({ items }),
+                getViewport: ({ scale }) => viewportAt(scale),
+                render: () => ({ promise: Promise.resolve() }),
+            }),
+            destroy: async () => {},
+        }),
+    }),
+});
+
+const fakeOcr = (blocks) => ({
+    canvasFactory: {
+        create: () => ({ canvas: {}, context: {} }),
+        destroy: jest.fn(),
+    },
+    recognize: jest.fn(async () => blocks),
+});
+
+const file = { name: 'scan.pdf', arrayBuffer: async () => new ArrayBuffer(0) };
+
+test('tells pages with text from scanned ones', () => {
+    expect(hasTextLayer([{ str: 'Page 1' }, { str: '  ' }])).toBe(false);
+    expect(hasTextLayer([{ str: 'Sum Assured: USD 500,000' }])).toBe(true);
+});
+
+test('lays out OCR words like a text layer, keeping the lowest confidence per line', () => {
+    const layout = buildPageLayout(toTextItems(scannedBlocks, viewportAt(2)), 1);
+
+    expect(layout.text).toBe('Sum Assured: USD 500,000\nAnnualised Premium: USD 10,000');
+    expect(layout.lines.map(line => line.cells.map(cell => cell.text))).toEqual([
+        ['Sum Assured:', 'USD 500,000'],
+        ['Annualised Premium:', 'USD 10,000'],
+    ]);
+    expect(layout.lines[0]).toMatchObject({ y: 622, fontSize: 20, confidence: 0.72 });
+});
+
+test('reads scanned pages by OCR and marks the values with its confidence', async () => {
+    const ocr = fakeOcr(scannedBlocks);
+    const onOcr = jest.fn();
+
+    const data = await parsePdf(file, scannedPdf(), { ocr, onOcr });
+
+    expect(onOcr).toHaveBeenCalledWith(1);
+    expect(ocr.canvasFactory.destroy).toHaveBeenCalled();
+    expect(data.ocrPages).toEqual([1]);
+    expect(data.faceAmount).toBe('500000');
+    expect(data.provenance.faceAmount).toMatchObject({ page: 1, confidence: 0.72 });
+    expect(data.provenance.faceAmount.lines).toHaveLength(1);
+    expect(data.provenance.annualPremium.confidence).toBe(0.9);
+});
+
+test('fails scanned files that OCR cannot read, or when there is no OCR engine', async () => {
+    await expect(parsePdf(file, scannedPdf(), { ocr: fakeOcr([]) })).rejects.toMatchObject({ reason: 'unreadable-scan' });
+    await expect(parsePdf(file, scannedPdf([]))).rejects.toMatchObject({ reason: 'no-text-layer' });
+});
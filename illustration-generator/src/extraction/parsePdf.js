@@ -0,0 +1,77 @@
+import { buildPageLayout } from './textLayout';
+import { extractDataFromText, FIELD_KEYS } from './extractData';
+import { FALLBACK_TEMPLATE } from './templates';
+import { ExtractionError } from './errors';
+import { hasTextLayer, readPageWithOcr, markOcrConfidence } from './ocr';
+
+/**
+ * Reads every page of a PDF and rebuilds its text layer from item positions. Pages without a
+ * usable text layer are read by OCR when an engine is given.
+ * @param {ArrayBuffer} data - The PDF file contents.
+ * @param {object} pdfjsLib - The pdf.js library.
+ * @param {object} [options] - Reading options.
+ * @param {Function} [options.onProgress] - Called with `(pageNumber, numPages)` after each page is read.
+ * @param {object} [options.ocr] - The OCR engine for scanned pages; see `readPageWithOcr`.
+ * @param {Function} [options.onOcr] - Called with `(pageNumber)` before a page is read by OCR.
+ * @returns {Promise<{text: string, pages: Array<object>, tables: Array<object>}>} - The flat text, per-page layouts (with each page's `offset` into the flat text, and `ocr` set on pages read by OCR) and all tables.
+ */
+export const readPdfLayout = async (data, pdfjsLib, { onProgress, ocr, onOcr } = {}) => {
+    const pdf = await pdfjsLib.getDocument({ data, ...(ocr && { canvasFactory: ocr.canvasFactory }) }).promise;
+    const pages = [];
+
+    for (let i = 1; i <= pdf.numPages; i++) {
+        const page = await pdf.getPage(i);
+        const textContent = await page.getTextContent();
+        if (ocr && !hasTextLayer(textContent.items)) {
+            if (onOcr) onOcr(i);
+            pages.push({ ...buildPageLayout(await readPageWithOcr(page, ocr), i), ocr: true });
+        } else {
+            pages.push(buildPageLayout(textContent.items, i));
+        }
+        if (onProgress) onProgress(i, pdf.numPages);
+    }
+    await pdf.destroy();
+
+    // Pages are separated by a blank line so regexes can still tell them apart
+    let offset = 0;
+    pages.forEach(page => {
+        page.offset = offset;
+        offset += page.text.length + 2;
+    });
+
+    return {
+        text: pages.map(page => page.text).join('\n\n'),
+        pages,
+        tables: pages.flatMap(page => page.tables),
+    };
+};
+
+/**
+ * Parses a single PDF file, extracts text, and then extracts structured data.
+ * @param {File} file - The PDF file to process.
+ * @param {object} pdfjsLib - The pdf.js library.
+ * @param {object} [options] - Processing options.
+ * @param {Function} [options.onProgress] - Called with `(pageNumber, numPages)` after each page is read.
+ * @param {object} [options.ocr] - The OCR engine for pages without a text layer. Without one, a scanned PDF cannot be extracted.
+ * @param {Function} [options.onOcr] - Called with `(pageNumber)` before a page is read by OCR.
+ * @returns {Promise<object>} - A promise that resolves with the extracted data. Values read by OCR have a `confidence` from 0 to 1 in their provenance, and `ocrPages` lists the pages read by OCR.
+ * @throws {ExtractionError} - When the PDF has no text layer (or OCR found no text), or no template matched and nothing was extracted.
+ */
+export const parsePdf = async (file, pdfjsLib, options = {}) => {
+    const arrayBuffer = await file.arrayBuffer();
+    const layout = await readPdfLayout(arrayBuffer, pdfjsLib, options);
+    const ocrPages = layout.pages.filter(page => page.ocr).map(page => page.pageNumber);
+    if (!layout.text.trim()) {
+        throw new ExtractionError(ocrPages.length > 0 ? 'unreadable-scan' : 'no-text-layer');
+    }
+
+    const data = markOcrConfidence(extractDataFromText(layout.text, layout), layout);
+    data.ocrPages = ocrPages;
+    const extractedNothing = FIELD_KEYS.every(key => data[key] === 'N/A') && data.schedule.length === 0;
+    if (data.template.id === FALLBACK_TEMPLATE.id && extractedNothing) {
+        throw new ExtractionError('no-template');
+    }
+
+    data.fileName = file.name; // Add filename for reference
+    return data;
+};
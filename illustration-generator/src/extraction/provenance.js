@@ -0,0 +1,42 @@
+// === EXTRACTION PROVENANCE ===
+// Every extracted value records where it came from: the page, the lines on that page
+// (by their y position, so a viewer can find them again), the matched text, a snippet
+// of the surrounding text, and a description of the rule that produced it.
+
+// Characters of context kept either side of a match in its snippet.
+const SNIPPET_CONTEXT = 40;
+
+/**
+ * Finds the page and lines covering a range of the flat text built by `readPdfLayout`.
+ * @param {object} [layout] - The layout-aware text layer, with `offset` recorded on each page.
+ * @param {number} start - Index of the first character of the range.
+ * @param {number} end - Index just past the last character of the range.
+ * @returns {{page: (number|null), lines: Array<number>}} - The 1-based page number and the y positions of the lines, when known.
+ */
+export const locateMatch = (layout, start, end) => {
+    const pages = layout?.pages?.filter(page => page.offset !== undefined && page.offset <= start);
+    if (!pages || pages.length === 0) return { page: null, lines: [] };
+
+    const page = pages[pages.length - 1];
+    const lines = [];
+    let offset = page.offset;
+    page.lines.forEach(line => {
+        const lineEnd = offset + line.text.length;
+        if (lineEnd > start && offset < end) lines.push(line.y);
+        offset = lineEnd + 1;
+    });
+    return { page: page.pageNumber, lines };
+};
+
+/**
+ * Cuts a short snippet of text around a match, for showing to reviewers.
+ * @param {string} text - The full text.
+ * @param {number} start - Index of the first character of the match.
+ * @param {number} end - Index just past the last character of the match.
+ * @returns {string} - The match with some context either side, on a single line.
+ */
+export const snippetAround = (text, start, end) => {
+    const from = Math.max(0, start - SNIPPET_CONTEXT);
+    const to = Math.min(text.length, end + SNIPPET_CONTEXT);
+    return `${from > 0 ? '…' : ''}${text.slice(from, to)}${to < text.length ? '…' : ''}`.replace(/\s+/g, ' ').trim();
+};
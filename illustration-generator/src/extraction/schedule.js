@@ -0,0 +1,383 @@
+import { locateMatch } from './provenance';
+import { parseMoney, detectScale } from './money';
+
+// === POLICY VALUE SCHEDULE ===
+// Illustrations print a year-by-year table of policy values. Rather than matching fixed
+// rows with regexes (which forced us to assume an issue age), we look for rows where the
+// policy year and the insured's age advance together, which is what every schedule row
+// looks like regardless of layout. Tables found by the layout-aware text layer are used
+// first; the flat text's stream of numbers is the fallback.
+//
+// Each row carries a `source` ({ page, lines, text }) and the result describes, per field,
+// the rule that read it, so values taken from the schedule can show their provenance.
+
+/**
+ * The value columns tracked for each schedule row, in the order they are shown in the UI.
+ */
+export const SCHEDULE_FIELDS = [
+    { key: 'premiumsPaid', label: 'Premiums Paid' },
+    { key: 'guaranteedCashValue', label: 'Guaranteed Cash Value' },
+    { key: 'nonGuaranteedCashValue', label: 'Cash Value' },
+    { key: 'deathBenefit', label: 'Death Benefit' },
+];
+
+// Header wording used to work out which value column holds which field, in English and in
+// Traditional and Simplified Chinese. Order matters: the non-guaranteed check must run before
+// the guaranteed one ("非保證" contains "保證"). Qualifiers such as "non-guaranteed" also head
+// bonus and death benefit columns, so the cash value needs a cash or surrender value term too.
+const HEADER_KEYWORDS = [
+    {
+        key: 'nonGuaranteedCashValue',
+        pattern: /(?:(?:non[\s-]*guaranteed|projected|current)\s+(?:total\s+)?|total\s+)(?:cash|surrender)\s+values?|(?:非保證|預期)\s*總?\s*(?:現金|退保)價值|總\s*(?:現金|退保)價值|(?:非保证|预期)\s*总?\s*(?:现金|退保)价值|总\s*(?:现金|退保)价值/gi,
+    },
+    { key: 'guaranteedCashValue', pattern: /guaranteed\s+(?:cash|surrender)\s+value|保證(?:現金|退保)價值|保证(?:现金|退保)价值/gi },
+    {
+        key: 'premiumsPaid',
+        pattern: /(?:total|accumulated)\s+premiums?(?:\s+paid)?|premiums?\s+paid|已繳(?:總)?保費|已缴(?:总)?保费|(?:累積|累计|累積已繳)保費|(?:累计已缴)保费|保費總額|保费总额|總保費|总保费/gi,
+    },
+    { key: 'deathBenefit', pattern: /death\s+benefit|身故(?:賠償|赔偿|保障|利益)/gi },
+];
+
+// A total cash value column is taken over a non-guaranteed one when a table has both, as the
+// total is what the policy pays on surrender.
+const TOTAL_CASH_VALUE = /total\s+(?:cash|surrender)\s+value|總\s*(?:現金|退保)價值|总\s*(?:现金|退保)价值/i;
+
+// How far back from the first row we look for column headers, in characters.
+const HEADER_WINDOW = 600;
+
+// A schedule needs at least this many aligned rows before we trust it.
+const MIN_ROWS = 3;
+
+// Value columns per row (excluding year and age) we are prepared to consider.
+const MIN_VALUES = 1;
+const MAX_VALUES = 12;
+
+const MAX_POLICY_YEAR = 120;
+const MAX_AGE = 120;
+
+/**
+ * Splits text into numeric tokens, remembering where each one sits in the text.
+ * @param {string} text - The raw text content.
+ * @returns {Array<{value: number, raw: string, index: number, integer: boolean}>} - The numeric tokens in order.
+ */
+const tokenize = (text) => {
+    const tokens = [];
+    const numberPattern = /\d[\d,]*(?:\.\d+)?/g;
+    let match;
+    while ((match = numberPattern.exec(text)) !== null) {
+        const raw = match[0].replace(/,+$/, '');
+        tokens.push({
+            value: parseFloat(raw.replace(/,/g, '')),
+            raw,
+            index: match.index,
+            integer: /^\d{1,3}$/.test(raw),
+        });
+    }
+    return tokens;
+};
+
+/**
+ * Checks whether a year/age pair could start a schedule row.
+ * @param {object} yearToken - The token for the policy year.
+ * @param {object} ageToken - The token for the insured's age.
+ * @returns {boolean} - True when both look like plausible row keys.
+ */
+const isRowKey = (yearToken, ageToken) => (
+    yearToken && ageToken && yearToken.integer && ageToken.integer &&
+    yearToken.value >= 1 && yearToken.value <= MAX_POLICY_YEAR &&
+    ageToken.value <= MAX_AGE && ageToken.value >= yearToken.value - 1
+);
+
+/**
+ * Measures how many rows of a given width follow on from a starting token,
+ * with year and age increasing by the same step each row.
+ * @param {Array<object>} tokens - The numeric tokens.
+ * @param {number} start - Index of the first year token.
+ * @param {number} width - Tokens per row, including year and age.
+ * @returns {number} - The number of aligned rows.
+ */
+const measureRun = (tokens, start, width) => {
+    const issueAge = tokens[start + 1].value - tokens[start].value;
+    let rows = 1;
+    let position = start;
+    while (true) {
+        const next = position + width;
+        const year = tokens[next];
+        const age = tokens[next + 1];
+        if (!isRowKey(year, age)) break;
+        if (year.value <= tokens[position].value) break;
+        if (age.value - year.value !== issueAge) break;
+        rows++;
+        position = next;
+    }
+    return rows;
+};
+
+/**
+ * Finds every run of aligned schedule rows in the token stream.
+ * @param {Array<object>} tokens - The numeric tokens.
+ * @returns {Array<{start: number, width: number, rows: number, issueAge: number}>} - The runs found, in document order.
+ */
+const findRuns = (tokens) => {
+    const runs = [];
+    let i = 0;
+    while (i < tokens.length - 1) {
+        if (!isRowKey(tokens[i], tokens[i + 1])) {
+            i++;
+            continue;
+        }
+        let best = null;
+        for (let width = MIN_VALUES + 2; width <= MAX_VALUES + 2; width++) {
+            const rows = measureRun(tokens, i, width);
+            // Prefer the narrowest width on ties: wider widths can skip rows and still line up.
+            if (rows >= MIN_ROWS && (!best || rows > best.rows)) {
+                best = { start: i, width, rows, issueAge: tokens[i + 1].value - tokens[i].value };
+            }
+        }
+        if (best) {
+            runs.push(best);
+            i += best.rows * best.width;
+        } else {
+            i++;
+        }
+    }
+    return runs;
+};
+
+/**
+ * Reads the schedule field named by a single column header.
+ * @param {string} headerText - The header text of one column.
+ * @returns {(string|null)} - The schedule field key, or null when the header is not recognised.
+ */
+const fieldForHeader = (headerText) => {
+    const keyword = HEADER_KEYWORDS.find(({ pattern }) => {
+        pattern.lastIndex = 0;
+        return pattern.test(headerText);
+    });
+    return keyword ? keyword.key : null;
+};
+
+/**
+ * Works out which value column holds which schedule field from the header text above a table.
+ * Falls back to the most common illustration layout: premiums first, then guaranteed
+ * cash value, with non-guaranteed cash value and death benefit as the last two columns.
+ * @param {string} headerText - The text immediately preceding the first row.
+ * @param {number} valueCount - The number of value columns in each row.
+ * @returns {object} - A map of schedule field key to value column index.
+ */
+export const inferColumns = (headerText, valueCount) => {
+    const found = [];
+    const claimed = [];
+    HEADER_KEYWORDS.forEach(({ key, pattern }) => {
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(headerText)) !== null) {
+            const start = match.index;
+            const end = start + match[0].length;
+            // Skip matches that fall inside text already claimed by an earlier keyword.
+            if (claimed.some(([s, e]) => start < e && end > s)) continue;
+            claimed.push([start, end]);
+            if (!found.some(f => f.key === key)) found.push({ key, index: start });
+        }
+    });
+
+    if (found.length === valueCount) {
+        return found
+            .sort((a, b) => a.index - b.index)
+            .reduce((columns, { key }, column) => ({ ...columns, [key]: column }), {});
+    }
+
+    if (valueCount === 1) return { nonGuaranteedCashValue: 0 };
+    if (valueCount === 2) return { guaranteedCashValue: 0, nonGuaranteedCashValue: 1 };
+    if (valueCount === 3) return { premiumsPaid: 0, guaranteedCashValue: 1, nonGuaranteedCashValue: 2 };
+    return {
+        premiumsPaid: 0,
+        guaranteedCashValue: 1,
+        nonGuaranteedCashValue: valueCount - 2,
+        deathBenefit: valueCount - 1,
+    };
+};
+
+/**
+ * Extracts schedule rows from the tables found by the layout-aware text layer.
+ * Each table's own column headers decide which column holds which field.
+ * @param {Array<object>} tables - Tables as returned by `findTables`.
+ * @param {object} [columnsOverride] - A map of schedule field key to value column index, overriding the headers.
+ * @returns {{rows: Array<object>, issueAge: (number|null), rules: object}} - The schedule rows sorted by policy year, the issue age, and the rule used for each field.
+ */
+export const parseScheduleFromTables = (tables, columnsOverride) => {
+    const candidates = [];
+    tables.forEach(table => {
+        // The year and age are the first two integer columns of the table's rows
+        const keyColumn = table.columns.findIndex((_, c) => (
+            table.rows.filter(row => /^\d{1,3}$/.test(row[c] || '')).length >= MIN_ROWS
+        ));
+        if (keyColumn === -1 || keyColumn + 1 >= table.columns.length) return;
+
+        const rows = table.rows
+            .map((row, index) => ({
+                cells: row,
+                y: table.rowY[index],
+                year: tokenize(row[keyColumn])[0],
+                age: tokenize(row[keyColumn + 1])[0],
+            }))
+            .filter(({ year, age }) => isRowKey(year, age));
+        if (rows.length < MIN_ROWS) return;
+
+        const issueAge = rows[0].age.value - rows[0].year.value;
+        if (rows.some(({ year, age }) => age.value - year.value !== issueAge)) return;
+
+        const valueHeaders = table.header.slice(keyColumn + 2);
+        let columns = columnsOverride;
+        if (!columns) {
+            columns = {};
+            valueHeaders.forEach((headerText, index) => {
+                const key = fieldForHeader(headerText);
+                if (!key) return;
+                const total = key === 'nonGuaranteedCashValue' && TOTAL_CASH_VALUE.test(headerText);
+                const taken = columns[key] !== undefined;
+                if (!taken || (total && !TOTAL_CASH_VALUE.test(valueHeaders[columns[key]]))) columns[key] = index;
+            });
+            if (Object.keys(columns).length === 0) columns = inferColumns('', valueHeaders.length);
+        }
+
+        // Headers such as "Cash Value (HK$'000)" mean the table's amounts are in thousands
+        const scale = detectScale(table.header.join(' '));
+
+        const rules = {};
+        Object.entries(columns).forEach(([key, index]) => {
+            const headerText = valueHeaders[index];
+            rules[key] = headerText
+                ? `Schedule table, "${headerText}" column`
+                : `Schedule table, value column ${index + 1}`;
+        });
+
+        candidates.push({
+            issueAge,
+            rules,
+            rows: rows.map(({ cells, y, year, age }) => {
+                const row = {
+                    policyYear: year.value,
+                    age: age.value,
+                    source: { page: table.page, lines: [y], text: cells.filter(Boolean).join(' ') },
+                };
+                SCHEDULE_FIELDS.forEach(({ key }) => {
+                    const money = columns[key] !== undefined ? parseMoney(cells[keyColumn + 2 + columns[key]], { scale }) : null;
+                    row[key] = money ? money.amount : null;
+                });
+                return row;
+            }),
+        });
+    });
+
+    if (candidates.length === 0) return { rows: [], issueAge: null, rules: {} };
+
+    // Tables continued over several pages share an issue age; keep the largest such set
+    const byIssueAge = {};
+    candidates.forEach(candidate => {
+        byIssueAge[candidate.issueAge] = byIssueAge[candidate.issueAge] || [];
+        byIssueAge[candidate.issueAge].push(candidate);
+    });
+    const [issueAge, group] = Object.entries(byIssueAge)
+        .sort(([, a], [, b]) => b.reduce((n, c) => n + c.rows.length, 0) - a.reduce((n, c) => n + c.rows.length, 0))[0];
+
+    const byYear = new Map();
+    group.forEach(candidate => candidate.rows.forEach(row => {
+        if (!byYear.has(row.policyYear)) byYear.set(row.policyYear, row);
+    }));
+
+    return {
+        rows: [...byYear.values()].sort((a, b) => a.policyYear - b.policyYear),
+        issueAge: Number(issueAge),
+        rules: group[0].rules,
+    };
+};
+
+/**
+ * Extracts the year-by-year policy value schedule from an illustration's text.
+ * The insured's issue age is inferred from the rows themselves, so no age is assumed.
+ * @param {string} text - The raw text content from a PDF.
+ * @param {object} [options] - Parsing options.
+ * @param {object} [options.layout] - The layout-aware text layer; its tables are tried before the flat text.
+ * @param {object} [options.columns] - A map of schedule field key to value column index, overriding header detection.
+ * @returns {{rows: Array<object>, issueAge: (number|null), rules: object}} - The schedule rows sorted by policy year, the issue age, and the rule used for each field.
+ */
+export const parseSchedule = (text, options = {}) => {
+    const { layout } = options;
+    if (layout?.tables) {
+        const fromTables = parseScheduleFromTables(layout.tables, options.columns);
+        if (fromTables.rows.length > 0) return fromTables;
+    }
+
+    const tokens = tokenize(text);
+    const runs = findRuns(tokens);
+    if (runs.length === 0) return { rows: [], issueAge: null, rules: {} };
+
+    // Illustrations often repeat the table (e.g. per page or per scenario). Keep the runs
+    // belonging to the largest table shape and merge them, first occurrence winning.
+    const groups = {};
+    runs.forEach(run => {
+        const id = `${run.issueAge}:${run.width}`;
+        groups[id] = groups[id] || [];
+        groups[id].push(run);
+    });
+    const mainRuns = Object.values(groups)
+        .sort((a, b) => b.reduce((n, r) => n + r.rows, 0) - a.reduce((n, r) => n + r.rows, 0))[0];
+
+    const { width, issueAge } = mainRuns[0];
+    const valueCount = width - 2;
+    const firstToken = tokens[mainRuns[0].start];
+    const headerText = text.slice(Math.max(0, firstToken.index - HEADER_WINDOW), firstToken.index);
+    const columns = options.columns || inferColumns(headerText, valueCount);
+    const scale = detectScale(headerText);
+
+    const byYear = new Map();
+    mainRuns.forEach(({ start, rows }) => {
+        for (let r = 0; r < rows; r++) {
+            const rowStart = start + r * width;
+            const policyYear = tokens[rowStart].value;
+            if (byYear.has(policyYear)) continue;
+
+            const last = tokens[rowStart + width - 1];
+            const textStart = tokens[rowStart].index;
+            const textEnd = last.index + last.raw.length;
+            const row = {
+                policyYear,
+                age: tokens[rowStart + 1].value,
+                source: { ...locateMatch(layout, textStart, textEnd), text: text.slice(textStart, textEnd) },
+            };
+            SCHEDULE_FIELDS.forEach(({ key }) => {
+                const column = columns[key];
+                row[key] = column !== undefined && column < valueCount
+                    ? Math.round(tokens[rowStart + 2 + column].value * scale * 100) / 100
+                    : null;
+            });
+            byYear.set(policyYear, row);
+        }
+    });
+
+    const rules = {};
+    Object.entries(columns).forEach(([key, index]) => {
+        rules[key] = `Schedule rows in text, value column ${index + 1}`;
+    });
+
+    return {
+        rows: [...byYear.values()].sort((a, b) => a.policyYear - b.policyYear),
+        issueAge,
+        rules,
+    };
+};
+
+/**
+ * Looks up a single value in a schedule by policy year or by attained age.
+ * @param {Array<object>} schedule - The schedule rows.
+ * @param {{by: string, value: number}} point - Either `{ by: 'year', value }` or `{ by: 'age', value }`.
+ * @param {string} field - The schedule field key to read.
+ * @returns {(number|null)} - The value, or null when the schedule has no such row or field.
+ */
+export const getScheduleValue = (schedule, point, field) => {
+    if (!schedule) return null;
+    const rowKey = point.by === 'age' ? 'age' : 'policyYear';
+    const row = schedule.find(r => r[rowKey] === point.value);
+    return row && row[field] !== null && row[field] !== undefined ? row[field] : null;
+};
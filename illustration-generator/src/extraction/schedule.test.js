@@ -0,0 +1,82 @@
+import { parseSchedule, parseScheduleFromTables, getScheduleValue, inferColumns } from './schedule';
+
+const row = (year, age, values) => `${year} ${age} ${values.join(' ')}`;
+
+test('parses a schedule without assuming an issue age', () => {
+    const text = [
+        'Policy Year Age Total Premiums Paid Guaranteed Cash Value Non-Guaranteed Cash Value Death Benefit',
+        row(1, 36, ['10,000', '0', '0', '500,000']),
+        row(2, 37, ['20,000', '1,200', '1,500', '500,000']),
+        row(3, 38, ['30,000', '8,400', '9,100.50', '500,000']),
+        'Page 2 of 5',
+        row(4, 39, ['40,000', '18,000', '21,000', '510,000']),
+        row(5, 40, ['50,000', '28,000', '33,000', '520,000']),
+        row(6, 41, ['50,000', '30,000', '36,000', '530,000']),
+    ].join('\n');
+
+    const { rows, issueAge } = parseSchedule(text);
+
+    expect(issueAge).toBe(35);
+    expect(rows).toHaveLength(6);
+    expect(rows[2]).toEqual({
+        policyYear: 3,
+        age: 38,
+        premiumsPaid: 30000,
+        guaranteedCashValue: 8400,
+        nonGuaranteedCashValue: 9100.5,
+        deathBenefit: 500000,
+        source: { page: null, lines: [], text: '3 38 30,000 8,400 9,100.50 500,000' },
+    });
+    expect(getScheduleValue(rows, { by: 'age', value: 40 }, 'deathBenefit')).toBe(520000);
+    expect(getScheduleValue(rows, { by: 'year', value: 30 }, 'deathBenefit')).toBeNull();
+});
+
+test('handles schedules that skip years', () => {
+    const text = [10, 15, 20, 25].map(year => row(year, year + 45, ['1,000', '2,000', '3,000'])).join(' ');
+
+    const { rows, issueAge } = parseSchedule(text);
+
+    expect(issueAge).toBe(45);
+    expect(rows.map(r => r.policyYear)).toEqual([10, 15, 20, 25]);
+});
+
+test('returns an empty schedule when there is no table', () => {
+    expect(parseSchedule('Sum Assured: 500,000 Currency USD')).toEqual({ rows: [], issueAge: null, rules: {} });
+});
+
+test('falls back to the common layout when headers cannot be matched', () => {
+    expect(inferColumns('', 7)).toEqual({
+        premiumsPaid: 0,
+        guaranteedCashValue: 1,
+        nonGuaranteedCashValue: 5,
+        deathBenefit: 6,
+    });
+});
+
+test('matches Chinese column headers', () => {
+    expect(inferColumns('保單年度 年齡 已繳總保費 保證現金價值 非保證現金價值 身故賠償', 4)).toEqual({
+        premiumsPaid: 0,
+        guaranteedCashValue: 1,
+        nonGuaranteedCashValue: 2,
+        deathBenefit: 3,
+    });
+    expect(inferColumns('保单年度 身故赔偿 总现金价值 保证现金价值', 3)).toEqual({
+        deathBenefit: 0,
+        nonGuaranteedCashValue: 1,
+        guaranteedCashValue: 2,
+    });
+});
+
+test('takes the cash value from a cash value column, preferring the total', () => {
+    const header = ['Policy Year', 'Age', 'Non-Guaranteed Reversionary Bonus', 'Non-Guaranteed Cash Value', 'Total Cash Value', 'Death Benefit'];
+    const rows = [1, 2, 3].map(year => [String(year), String(40 + year), `${year}00`, `${year},000`, `${year},500`, '300,000']);
+    const table = { page: 2, columns: header.map(() => ({})), header, rows, rowY: [600, 580, 560] };
+
+    const { rows: schedule, rules } = parseScheduleFromTables([table]);
+
+    expect(schedule[2]).toMatchObject({ nonGuaranteedCashValue: 3500, deathBenefit: 300000, guaranteedCashValue: null });
+    expect(rules.nonGuaranteedCashValue).toBe('Schedule table, "Total Cash Value" column');
+
+    const chinese = { ...table, header: ['保單年度', '年齡', '非保證歸原紅利', '非保證 現金價值', '身故賠償'], rows: rows.map(r => r.filter((_, c) => c !== 4)) };
+    expect(parseScheduleFromTables([chinese]).rows[2]).toMatchObject({ nonGuaranteedCashValue: 3000, deathBenefit: 300000 });
+});
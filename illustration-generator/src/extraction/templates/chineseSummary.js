@@ -0,0 +1,40 @@
+/**
+ * Hong Kong illustrations printed in Chinese, Traditional or Simplified, including bilingual
+ * documents that carry the Chinese label beside the English one. Full-width digits and
+ * punctuation are converted to ASCII before these rules run, so "：" is matched as ":".
+ */
+
+// Text after a label: either "label (anything): value" or "label value", up to the end of the line.
+const textAfter = (labels) => new RegExp(`(?:${labels})(?:[^:\\n]*:|\\s)\\s*([^\\n]*\\S)`);
+// The first amount after a label on the same line, skipping any currency or unit printed between.
+const amountAfter = (labels) => new RegExp(`(?:${labels})[^\\d\\n]*?([\\d.,]*\\d)`);
+
+const chineseSummary = {
+    id: 'chinese-summary',
+    name: 'Chinese Summary',
+    insurer: null,
+    product: null,
+    version: 1,
+    fingerprint: {
+        patterns: [
+            /保額|保额|名義金額|名义金额/,
+            /年繳保費|年缴保费|每年保費|每年保费|年化保費|年化保费/,
+            /保單貨幣|保单货币/,
+            /保證(?:現金|退保)價值|保证(?:现金|退保)价值/,
+            /保單年度|保单年度/,
+        ],
+        minMatches: 2,
+    },
+    fields: {
+        faceAmount: [amountAfter('名義金額|名义金额|投保額|投保额|保額|保额')],
+        annualPremium: [amountAfter('年繳保費|年缴保费|每年保費|每年保费|年化保費|年化保费')],
+        total10PayPremium: [/(?:10|十)\s*年(?:繳|缴)?\s*(?:總保費|总保费)[^\d\n]*?([\d.,]*\d)/],
+        guaranteedInterestRate: [/(?:保證利率|保证利率|保證回報率|保证回报率)[^\d\n]*?(\d+(?:\.\d+)?\s*%)/],
+        surrenderPenaltyPeriod: [textAfter('退保費用期|退保费用期|提早退保費用期|提早退保费用期')],
+        spRating: [/(?:標準普爾|标准普尔)[^:\n]*:\s*([^\n]*\S)/],
+        productCode: [textAfter('產品編號|产品编号|計劃編號|计划编号|計劃代號|计划代号')],
+        currency: [textAfter('保單貨幣|保单货币|貨幣|货币')],
+    },
+};
+
+export default chineseSummary;
@@ -0,0 +1,44 @@
+import chineseSummary from './chineseSummary';
+
+/**
+ * The fallback used when no template's fingerprint matches. It tries every known
+ * layout's rules for each field, English and Chinese, so it can still pull values
+ * from an unfamiliar document, at the cost of sometimes matching the wrong label.
+ */
+const generic = {
+    id: 'generic',
+    name: 'Generic',
+    insurer: null,
+    product: null,
+    version: 3,
+    fingerprint: null,
+    fields: {
+        faceAmount: [
+            /"Face Amount\s*","[^"]*?([\d.,]+\d)/,
+            /Sum Assured:\s*.*?([\d.,]+\d)/,
+            /Initial Death Benefit:\s*.*?([\d.,]+\d)/,
+            /SPECIFIED FACE AMOUNT:\s*.*?([\d.,]+\d)/,
+            /SUM ASSURED:\s*.*?([\d.,]+\d)/,
+            ...chineseSummary.fields.faceAmount,
+        ],
+        annualPremium: [
+            /"10 Pay\s*","[^"]*?([\d.,]+\d)/,
+            /Annualised Premium:\s*.*?([\d.,]+\d)/,
+            /Initial Planned Premium:\s*.*?([\d,]+\.\d{2})/,
+            /INITIAL PREMIUM:\s*.*?([\d.,]+\d)/,
+            /Initial Premium:\s*.*?([\d.,]+\d)/,
+            ...chineseSummary.fields.annualPremium,
+        ],
+        cashValueYear10: [/"Year 10\s*","[^"]*?",\s*"([^"]+)"/],
+        cashValueYear20: [/"Year 20\s*","[^"]*?",\s*"([^"]+)"/],
+        cashValueYear30: [/"Year 30\s*","[^"]*?",\s*"([^"]+)"/],
+        guaranteedInterestRate: [/"Guaranteed Interest Rate\s*","([^"]+)"/, ...chineseSummary.fields.guaranteedInterestRate],
+        surrenderPenaltyPeriod: [/"Surrender Penalty Period\s*","([^"]+)"/, ...chineseSummary.fields.surrenderPenaltyPeriod],
+        spRating: [/"\(S&P\) Financial Strength Rating\s*","([^"]+)"/, ...chineseSummary.fields.spRating],
+        productCode: [/"Product Code\s*","([^"]+)"/, ...chineseSummary.fields.productCode],
+        currency: [/"Currency\s*","([^"]+)"/, ...chineseSummary.fields.currency],
+        total10PayPremium: [/Total 10 Pay Premium\s*([\d.,]*\d)/, ...chineseSummary.fields.total10PayPremium],
+    },
+};
+
+export default generic;
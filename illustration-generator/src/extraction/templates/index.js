@@ -0,0 +1,69 @@
+import summaryTable from './summaryTable';
+import sumAssured from './sumAssured';
+import universalLife from './universalLife';
+import chineseSummary from './chineseSummary';
+import generic from './generic';
+
+// === TEMPLATE REGISTRY ===
+// Each template describes one insurer's or product's illustration layout:
+//   id, name, version  - identify the template; bump `version` when its rules change
+//   insurer, product   - what the template covers (null when the layout is shared)
+//   fingerprint        - `{ patterns, minMatches }`: text that identifies the layout
+//   fields             - a list of regexes per field, tried in order; the first group is the value
+//   schedule           - optional `{ columns }` to fix the schedule's value column order
+// To support a new layout, add a module to this directory and list it in TEMPLATES.
+// Templates are independent: a template's rules are only run against documents it was detected in.
+
+/**
+ * All registered templates, most specific first. Ties during detection go to the earlier entry.
+ */
+export const TEMPLATES = [
+    summaryTable,
+    sumAssured,
+    universalLife,
+    chineseSummary,
+];
+
+/**
+ * The template used when no fingerprint matches.
+ */
+export const FALLBACK_TEMPLATE = generic;
+
+/**
+ * Counts how many of a template's fingerprint patterns appear in the text.
+ * @param {object} template - The template to score.
+ * @param {string} text - The raw text content from a PDF.
+ * @returns {number} - The number of fingerprint patterns found, or 0 when below the template's minimum.
+ */
+export const scoreTemplate = (template, text) => {
+    if (!template.fingerprint) return 0;
+    const { patterns, minMatches = patterns.length } = template.fingerprint;
+    const matches = patterns.filter(pattern => pattern.test(text)).length;
+    return matches >= minMatches ? matches : 0;
+};
+
+/**
+ * Picks the template whose fingerprint best matches a document.
+ * @param {string} text - The raw text content from a PDF.
+ * @param {Array<object>} [templates] - The templates to choose from.
+ * @returns {object} - The best matching template, or the fallback template when none match.
+ */
+export const detectTemplate = (text, templates = TEMPLATES) => {
+    let best = null;
+    let bestScore = 0;
+    templates.forEach(template => {
+        const score = scoreTemplate(template, text);
+        if (score > bestScore) {
+            best = template;
+            bestScore = score;
+        }
+    });
+    return best || FALLBACK_TEMPLATE;
+};
+
+/**
+ * Formats a template for display, e.g. "Summary Table v1".
+ * @param {{name: string, version: number}} template - The template, or the summary stored on a row.
+ * @returns {string} - The display label.
+ */
+export const templateLabel = (template) => `${template.name} v${template.version}`;
@@ -0,0 +1,32 @@
+/**
+ * Participating savings and whole life illustrations that state a "Sum Assured"
+ * and an annualised or initial premium.
+ */
+const sumAssured = {
+    id: 'sum-assured',
+    name: 'Sum Assured',
+    insurer: null,
+    product: 'Participating Whole Life',
+    version: 2,
+    fingerprint: {
+        patterns: [
+            /Sum Assured:/i,
+            /Annualised Premium:/,
+            /Initial Premium:/i,
+        ],
+        minMatches: 2,
+    },
+    fields: {
+        faceAmount: [
+            /Sum Assured:\s*.*?([\d.,]+\d)/,
+            /SUM ASSURED:\s*.*?([\d.,]+\d)/,
+        ],
+        annualPremium: [
+            /Annualised Premium:\s*.*?([\d.,]+\d)/,
+            /INITIAL PREMIUM:\s*.*?([\d.,]+\d)/,
+            /Initial Premium:\s*.*?([\d.,]+\d)/,
+        ],
+    },
+};
+
+export default sumAssured;
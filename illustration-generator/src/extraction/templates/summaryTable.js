@@ -0,0 +1,37 @@
+/**
+ * Illustrations whose summary page is a two-column label/value table, rendered by pdf.js
+ * as quoted, comma-separated cells (e.g. `"Face Amount ","USD 500,000"`).
+ */
+const summaryTable = {
+    id: 'summary-table',
+    name: 'Summary Table',
+    insurer: null,
+    product: '10 Pay',
+    version: 2,
+    fingerprint: {
+        patterns: [
+            /"Product Code\s*","/,
+            /"Face Amount\s*","/,
+            /"Guaranteed Interest Rate\s*","/,
+            /"Surrender Penalty Period\s*","/,
+            /"\(S&P\) Financial Strength Rating\s*","/,
+        ],
+        minMatches: 2,
+    },
+    fields: {
+        productCode: [/"Product Code\s*","([^"]+)"/],
+        currency: [/"Currency\s*","([^"]+)"/],
+        faceAmount: [/"Face Amount\s*","[^"]*?([\d.,]+\d)/],
+        annualPremium: [/"10 Pay\s*","[^"]*?([\d.,]+\d)/],
+        total10PayPremium: [/Total 10 Pay Premium\s*([\d.,]*\d)/],
+        // The 'Current' value is the second value in each "Year N" row
+        cashValueYear10: [/"Year 10\s*","[^"]*?",\s*"([^"]+)"/],
+        cashValueYear20: [/"Year 20\s*","[^"]*?",\s*"([^"]+)"/],
+        cashValueYear30: [/"Year 30\s*","[^"]*?",\s*"([^"]+)"/],
+        guaranteedInterestRate: [/"Guaranteed Interest Rate\s*","([^"]+)"/],
+        surrenderPenaltyPeriod: [/"Surrender Penalty Period\s*","([^"]+)"/],
+        spRating: [/"\(S&P\) Financial Strength Rating\s*","([^"]+)"/],
+    },
+};
+
+export default summaryTable;
@@ -0,0 +1,32 @@
+/**
+ * Universal life illustrations that state a specified face amount or initial death
+ * benefit and a planned premium.
+ */
+const universalLife = {
+    id: 'universal-life',
+    name: 'Universal Life',
+    insurer: null,
+    product: 'Universal Life',
+    version: 2,
+    fingerprint: {
+        patterns: [
+            /Initial Death Benefit:/,
+            /Initial Planned Premium:/,
+            /SPECIFIED FACE AMOUNT:/,
+            /INITIAL PREMIUM:/,
+        ],
+        minMatches: 2,
+    },
+    fields: {
+        faceAmount: [
+            /Initial Death Benefit:\s*.*?([\d.,]+\d)/,
+            /SPECIFIED FACE AMOUNT:\s*.*?([\d.,]+\d)/,
+        ],
+        annualPremium: [
+            /Initial Planned Premium:\s*.*?([\d,]+\.\d{2})/,
+            /INITIAL PREMIUM:\s*.*?([\d.,]+\d)/,
+        ],
+    },
+};
+
+export default universalLife;
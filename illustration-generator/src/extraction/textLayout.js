@@ -0,0 +1,225 @@
+// === LAYOUT-AWARE TEXT RECONSTRUCTION ===
+// pdf.js gives us a flat list of text items per page, each with a transform whose last
+// two entries are its x/y position. Using those positions we rebuild lines and cells,
+// then find the tabular regions so extractors can work with rows and columns directly
+// instead of guessing at them from space-separated text.
+
+// Text items whose baselines differ by less than this fraction of the font size share a line.
+const LINE_TOLERANCE = 0.5;
+
+// A horizontal gap wider than this fraction of the font size starts a new cell.
+const CELL_GAP = 0.8;
+
+// A gap wider than this fraction of the font size is treated as a space between words.
+const WORD_GAP = 0.15;
+
+// Data lines need at least this many cells, and this many numeric ones, to be part of a table.
+const MIN_TABLE_CELLS = 3;
+const MIN_NUMERIC_CELLS = 2;
+
+// Header lines we attach to a table, at most.
+const MAX_HEADER_LINES = 3;
+
+const NUMERIC_CELL = /^[-(]?[A-Z]{0,3}\$?\s?[\d,]*\d(?:\.\d+)?%?\)?$/;
+
+// The full-width forms of the printable ASCII characters, which Chinese documents often use
+// for digits and punctuation, are this far above their ASCII counterparts.
+const FULL_WIDTH_OFFSET = 0xFEE0;
+
+/**
+ * Replaces full-width digits, letters and punctuation (e.g. "１２３，４５６．７８", "：", "％")
+ * and the ideographic space with their ASCII forms. Each character maps to exactly one
+ * character, so positions in the text are unchanged.
+ * @param {string} text - The text to normalise.
+ * @returns {string} - The text with ASCII digits, letters and punctuation.
+ */
+export const toHalfWidth = (text) => text.replace(/[\uFF01-\uFF5E\u3000]/g, char => (
+    char === '\u3000' ? ' ' : String.fromCharCode(char.charCodeAt(0) - FULL_WIDTH_OFFSET)
+));
+
+/**
+ * Checks whether a cell holds a single number (allowing currency symbols, percentages and brackets).
+ * @param {string} text - The cell text.
+ * @returns {boolean} - True when the cell is numeric.
+ */
+export const isNumericCell = (text) => NUMERIC_CELL.test(text.trim());
+
+/**
+ * Groups the text items of one page into lines and cells by position. Items read by OCR carry
+ * a `confidence`, and a line made from them keeps the lowest.
+ * @param {Array<object>} items - The `items` array from pdf.js `page.getTextContent()`, or items built from OCR.
+ * @returns {Array<object>} - The lines from top to bottom, each with its `y`, `fontSize`, `text`, `cells` and, for OCR text, `confidence`.
+ */
+export const buildLines = (items) => {
+    const positioned = items
+        .filter(item => item.str && item.str.trim())
+        .map(item => {
+            const [, , , scaleY, x, y] = item.transform;
+            const fontSize = Math.abs(scaleY) || item.height || 10;
+            return { str: toHalfWidth(item.str), x, y, width: item.width || 0, fontSize, confidence: item.confidence };
+        })
+        // PDF y coordinates grow upwards, so higher y means nearer the top of the page
+        .sort((a, b) => b.y - a.y || a.x - b.x);
+
+    const lines = [];
+    positioned.forEach(item => {
+        const line = lines.find(l => Math.abs(l.y - item.y) < l.fontSize * LINE_TOLERANCE);
+        if (line) {
+            line.items.push(item);
+        } else {
+            lines.push({ y: item.y, fontSize: item.fontSize, items: [item] });
+        }
+    });
+
+    return lines
+        .sort((a, b) => b.y - a.y)
+        .map(({ y, fontSize, items: lineItems }) => {
+            const cells = [];
+            lineItems
+                .sort((a, b) => a.x - b.x)
+                .forEach(item => {
+                    const cell = cells[cells.length - 1];
+                    const gap = cell ? item.x - cell.right : Infinity;
+                    if (cell && gap <= fontSize * CELL_GAP) {
+                        cell.text += (gap > fontSize * WORD_GAP ? ' ' : '') + item.str;
+                        cell.right = Math.max(cell.right, item.x + item.width);
+                    } else {
+                        cells.push({ text: item.str, left: item.x, right: item.x + item.width });
+                    }
+                });
+            cells.forEach(cell => { cell.text = cell.text.replace(/\s+/g, ' ').trim(); });
+            const line = { y, fontSize, cells, text: cells.map(cell => cell.text).join(' ') };
+            const confidences = lineItems.map(item => item.confidence).filter(confidence => confidence !== undefined);
+            if (confidences.length > 0) line.confidence = Math.min(...confidences);
+            return line;
+        });
+};
+
+/**
+ * Clusters the right edges of a table's data cells into column anchors.
+ * Numbers in illustration tables are right-aligned, so right edges line up best.
+ * @param {Array<object>} lines - The data lines of the table.
+ * @returns {Array<{left: number, right: number}>} - The column spans from left to right.
+ */
+const findColumns = (lines) => {
+    const tolerance = Math.max(...lines.map(line => line.fontSize)) * 1.5;
+    const cells = lines.flatMap(line => line.cells).sort((a, b) => a.right - b.right);
+
+    const columns = [];
+    cells.forEach(cell => {
+        const column = columns[columns.length - 1];
+        if (column && cell.right - column.right <= tolerance) {
+            column.left = Math.min(column.left, cell.left);
+            column.right = cell.right;
+        } else {
+            columns.push({ left: cell.left, right: cell.right });
+        }
+    });
+    return columns;
+};
+
+/**
+ * Finds the column a cell belongs to.
+ * @param {Array<{left: number, right: number}>} columns - The column spans.
+ * @param {object} cell - The cell to place.
+ * @param {boolean} byCentre - Match on the cell's centre (for headers) rather than its right edge.
+ * @returns {number} - The index of the nearest column.
+ */
+const nearestColumn = (columns, cell, byCentre) => {
+    const position = byCentre ? (cell.left + cell.right) / 2 : cell.right;
+    let best = 0;
+    let bestDistance = Infinity;
+    columns.forEach((column, index) => {
+        const target = byCentre ? (column.left + column.right) / 2 : column.right;
+        const distance = Math.abs(position - target);
+        if (distance < bestDistance) {
+            best = index;
+            bestDistance = distance;
+        }
+    });
+    return best;
+};
+
+/**
+ * Lays a line's cells out against a table's columns.
+ * @param {Array<object>} columns - The column spans.
+ * @param {object} line - The line to place.
+ * @param {boolean} byCentre - Whether to place cells by their centre.
+ * @returns {Array<string>} - One string per column, empty where the line has no cell.
+ */
+const toRow = (columns, line, byCentre) => {
+    const row = columns.map(() => '');
+    line.cells.forEach(cell => {
+        const index = nearestColumn(columns, cell, byCentre);
+        row[index] = row[index] ? `${row[index]} ${cell.text}` : cell.text;
+    });
+    return row;
+};
+
+/**
+ * Finds the tabular regions of a page: runs of consecutive lines with several numeric cells.
+ * @param {Array<object>} lines - The page's lines, as returned by `buildLines`.
+ * @param {number} pageNumber - The 1-based page number, recorded on each table.
+ * @returns {Array<object>} - Tables with their `page`, `columns`, `header` (one string per column), `rows`, and each row's `y` position in `rowY`.
+ */
+export const findTables = (lines, pageNumber) => {
+    const isDataLine = (line) => (
+        line.cells.length >= MIN_TABLE_CELLS &&
+        line.cells.filter(cell => isNumericCell(cell.text)).length >= MIN_NUMERIC_CELLS
+    );
+
+    const tables = [];
+    let i = 0;
+    while (i < lines.length) {
+        if (!isDataLine(lines[i])) {
+            i++;
+            continue;
+        }
+        let end = i;
+        while (end + 1 < lines.length && isDataLine(lines[end + 1])) end++;
+
+        if (end > i) {
+            const dataLines = lines.slice(i, end + 1);
+            const columns = findColumns(dataLines);
+
+            // Headers are the text lines directly above the data, often wrapped over several lines
+            const headerLines = [];
+            for (let h = i - 1; h >= 0 && headerLines.length < MAX_HEADER_LINES; h--) {
+                if (lines[h].cells.length < 2 || isDataLine(lines[h])) break;
+                headerLines.unshift(lines[h]);
+            }
+            const header = columns.map(() => '');
+            headerLines.forEach(line => {
+                toRow(columns, line, true).forEach((text, index) => {
+                    if (text) header[index] = header[index] ? `${header[index]} ${text}` : text;
+                });
+            });
+
+            tables.push({
+                page: pageNumber,
+                columns,
+                header,
+                rows: dataLines.map(line => toRow(columns, line, false)),
+                rowY: dataLines.map(line => line.y),
+            });
+        }
+        i = end + 1;
+    }
+    return tables;
+};
+
+/**
+ * Builds the structured text layer for one page.
+ * @param {Array<object>} items - The `items` array from pdf.js `page.getTextContent()`.
+ * @param {number} pageNumber - The 1-based page number.
+ * @returns {{pageNumber: number, lines: Array<object>, tables: Array<object>, text: string}} - The page layout.
+ */
+export const buildPageLayout = (items, pageNumber) => {
+    const lines = buildLines(items);
+    return {
+        pageNumber,
+        lines,
+        tables: findTables(lines, pageNumber),
+        text: lines.map(line => line.text).join('\n'),
+    };
+};
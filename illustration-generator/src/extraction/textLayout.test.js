@@ -0,0 +1,74 @@
+import { buildPageLayout, toHalfWidth } from './textLayout';
+import { parseSchedule } from './schedule';
+
+// Builds a pdf.js-style text item at the given position
+const item = (str, x, y, width = str.length * 5) => ({ str, transform: [10, 0, 0, 10, x, y], width, height: 10 });
+
+// Right-aligns a numeric item so that it ends at `right`
+const number = (str, right, y) => item(str, right - str.length * 5, y);
+
+const scheduleItems = () => {
+    const items = [
+        item('Policy Year', 20, 700), item('Age', 85, 700),
+        item('Death', 140, 712), item('Benefit', 140, 700),
+        item('Guaranteed', 230, 712), item('Cash Value', 230, 700),
+        item('Total', 330, 712), item('Premiums Paid', 330, 700),
+        item('Non-Guaranteed', 420, 712), item('Cash Value', 420, 700),
+    ];
+    [[1, 41, '300,000', '0', '12,000', '0'], [2, 42, '300,000', '1,500', '24,000', '1,800'], [3, 43, '310,000', '9,000', '36,000', '10,250']]
+        .forEach(([year, age, ...values], index) => {
+            const y = 680 - index * 14;
+            items.push(number(String(year), 40, y), number(String(age), 95, y));
+            values.forEach((value, column) => items.push(number(value, 200 + column * 95, y)));
+        });
+    return items;
+};
+
+test('groups items into lines and cells by position', () => {
+    const layout = buildPageLayout([
+        item('Sum', 20, 500, 15), item('Assured:', 38, 500, 40), item('USD 500,000', 200, 500),
+        item('Currency', 20, 480), item('USD', 200, 480),
+    ], 1);
+
+    expect(layout.lines.map(line => line.cells.map(cell => cell.text))).toEqual([
+        ['Sum Assured:', 'USD 500,000'],
+        ['Currency', 'USD'],
+    ]);
+    expect(layout.text).toBe('Sum Assured: USD 500,000\nCurrency USD');
+});
+
+test('finds tables with their wrapped headers', () => {
+    const { tables } = buildPageLayout(scheduleItems(), 3);
+
+    expect(tables).toHaveLength(1);
+    expect(tables[0].page).toBe(3);
+    expect(tables[0].header).toEqual([
+        'Policy Year', 'Age', 'Death Benefit', 'Guaranteed Cash Value', 'Total Premiums Paid', 'Non-Guaranteed Cash Value',
+    ]);
+    expect(tables[0].rows[1]).toEqual(['2', '42', '300,000', '1,500', '24,000', '1,800']);
+});
+
+test('maps schedule fields from table headers rather than column order', () => {
+    const layout = buildPageLayout(scheduleItems(), 1);
+
+    const { rows, issueAge, rules } = parseSchedule(layout.text, { layout });
+
+    expect(issueAge).toBe(40);
+    expect(rows[2]).toEqual({
+        policyYear: 3,
+        age: 43,
+        premiumsPaid: 36000,
+        guaranteedCashValue: 9000,
+        nonGuaranteedCashValue: 10250,
+        deathBenefit: 310000,
+        source: { page: 1, lines: [652], text: '3 43 310,000 9,000 36,000 10,250' },
+    });
+    expect(rules.premiumsPaid).toBe('Schedule table, "Total Premiums Paid" column');
+});
+
+test('reads full-width digits and punctuation as ASCII', () => {
+    expect(toHalfWidth('保額：ＵＳＤ　５００，０００．５０')).toBe('保額:USD 500,000.50');
+
+    const layout = buildPageLayout([item('年繳保費：', 20, 500), item('１０，０００', 200, 500)]);
+    expect(layout.lines[0].text).toContain('10,000');
+});
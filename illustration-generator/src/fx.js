@@ -0,0 +1,65 @@
+// === CURRENCY CONVERSION ===
+// Converts amounts with the user's own FX rate table, so no rates are fetched from anywhere.
+// A rate `{ from, to, rate }` means 1 unit of `from` is worth `rate` units of `to`. Rates work in
+// both directions and can be chained, so HKD → USD and USD → CNY together give HKD → CNY.
+
+/**
+ * The currency settings before the user changes them: amounts are shown in their own currency.
+ */
+export const DEFAULT_CURRENCY_SETTINGS = { baseCurrency: 'USD', convert: false, rates: [] };
+
+/**
+ * Finds the rate between two currencies from the rate table.
+ * @param {string} from - The ISO code to convert from.
+ * @param {string} to - The ISO code to convert to.
+ * @param {Array<{from: string, to: string, rate: number}>} rates - The rate table.
+ * @returns {(number|null)} - Units of `to` per unit of `from`, or null when the table cannot connect them.
+ */
+export const findRate = (from, to, rates) => {
+    if (from === to) return 1;
+
+    // Breadth-first search, so the shortest chain of rates is used
+    const visited = new Set([from]);
+    let frontier = [{ currency: from, rate: 1 }];
+    while (frontier.length > 0) {
+        const next = [];
+        for (const { currency, rate } of frontier) {
+            for (const entry of rates) {
+                if (!(entry.rate > 0)) continue;
+                let step = null;
+                if (entry.from === currency && !visited.has(entry.to)) step = { currency: entry.to, rate: rate * entry.rate };
+                if (entry.to === currency && !visited.has(entry.from)) step = { currency: entry.from, rate: rate / entry.rate };
+                if (!step) continue;
+                if (step.currency === to) return step.rate;
+                visited.add(step.currency);
+                next.push(step);
+            }
+        }
+        frontier = next;
+    }
+    return null;
+};
+
+/**
+ * Converts an amount between currencies.
+ * @param {number} amount - The amount.
+ * @param {string} from - The ISO code of the amount's currency.
+ * @param {string} to - The ISO code to convert to.
+ * @param {Array<object>} rates - The rate table.
+ * @returns {(number|null)} - The converted amount, rounded to cents, or null when there is no rate.
+ */
+export const convertAmount = (amount, from, to, rates) => {
+    const rate = findRate(from, to, rates);
+    return rate === null ? null : Math.round(amount * rate * 100) / 100;
+};
+
+/**
+ * Lists the currencies that cannot be converted to the base currency with the rate table.
+ * @param {Array<string>} currencies - The currencies in use.
+ * @param {string} baseCurrency - The ISO code to convert to.
+ * @param {Array<object>} rates - The rate table.
+ * @returns {Array<string>} - The currencies with no rate.
+ */
+export const findMissingRates = (currencies, baseCurrency, rates) => (
+    [...new Set(currencies)].filter(currency => findRate(currency, baseCurrency, rates) === null)
+);
@@ -0,0 +1,35 @@
+import { findRate, convertAmount, findMissingRates } from './fx';
+import { BASE_COLUMNS, applyCurrencyView, getCellValue, getSortValue } from './columns';
+
+const rates = [
+    { from: 'USD', to: 'HKD', rate: 7.8 },
+    { from: 'USD', to: 'CNY', rate: 7.2 },
+];
+
+test('finds direct, inverse and chained rates', () => {
+    expect(findRate('USD', 'HKD', rates)).toBe(7.8);
+    expect(findRate('HKD', 'USD', rates)).toBeCloseTo(1 / 7.8, 10);
+    expect(findRate('HKD', 'CNY', rates)).toBeCloseTo(7.2 / 7.8, 10);
+    expect(findRate('EUR', 'USD', rates)).toBeNull();
+    expect(convertAmount(7800, 'HKD', 'USD', rates)).toBe(1000);
+    expect(findMissingRates(['HKD', 'EUR', 'USD'], 'USD', rates)).toEqual(['EUR']);
+});
+
+test('sorts amounts in different currencies by their base currency value', () => {
+    const usd = { currency: 'USD', faceAmount: '200000' };
+    const hkd = { currency: 'HK Dollar', faceAmount: '1000000' };
+    const eur = { currency: 'EUR', faceAmount: '1' };
+
+    const original = applyCurrencyView(BASE_COLUMNS, { baseCurrency: 'USD', convert: false, rates });
+    const faceAmount = original.find(column => column.key === 'faceAmount');
+    expect(getCellValue(hkd, faceAmount)).toBe('1000000');
+    expect(getSortValue(hkd, faceAmount)).toBeCloseTo(128205.13, 2);
+    expect(getSortValue(usd, faceAmount)).toBe(200000);
+    expect(getSortValue(eur, faceAmount)).toBeNull();
+
+    const converted = applyCurrencyView(BASE_COLUMNS, { baseCurrency: 'USD', convert: true, rates });
+    const convertedFace = converted.find(column => column.key === 'faceAmount');
+    expect(convertedFace).toMatchObject({ label: 'Face Amount (USD)', editable: false });
+    expect(getCellValue(hkd, convertedFace)).toBe('128205.13');
+    expect(getCellValue(eur, convertedFace)).toBe('N/A');
+});
@@ -0,0 +1,39 @@
+import { useCallback, useEffect, useState } from 'react';
+import { DEFAULT_CURRENCY_SETTINGS } from '../fx';
+
+// The currency settings apply to every comparison set, so they are kept apart from the sets.
+const SETTINGS_KEY = 'illustration-generator:currency';
+
+/**
+ * Reads the saved settings, falling back to the defaults when there are none or they cannot be read.
+ * @returns {object} - The currency settings.
+ */
+const loadSettings = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+        return saved ? { ...DEFAULT_CURRENCY_SETTINGS, ...saved } : DEFAULT_CURRENCY_SETTINGS;
+    } catch {
+        return DEFAULT_CURRENCY_SETTINGS;
+    }
+};
+
+/**
+ * Keeps the base currency, the original/converted view choice and the user's FX rate table
+ * in state and in local storage.
+ * @returns {[object, Function]} - The settings `{ baseCurrency, convert, rates }`, and a function that merges changes into them.
+ */
+const useCurrencySettings = () => {
+    const [settings, setSettings] = useState(loadSettings);
+
+    useEffect(() => {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    }, [settings]);
+
+    const updateSettings = useCallback((changes) => {
+        setSettings(current => ({ ...current, ...changes }));
+    }, []);
+
+    return [settings, updateSettings];
+};
+
+export default useCurrencySettings;
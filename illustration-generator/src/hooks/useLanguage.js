@@ -0,0 +1,32 @@
+import { useEffect, useState } from 'react';
+import { LANGUAGES, matchLanguage } from '../i18n';
+
+// The interface language is the user's own choice, so every comparison set uses it.
+const LANGUAGE_KEY = 'illustration-generator:language';
+
+/**
+ * Reads the saved language, falling back to the browser's language when none has been chosen.
+ * @returns {string} - A language code from LANGUAGES.
+ */
+const loadLanguage = () => {
+    const saved = localStorage.getItem(LANGUAGE_KEY);
+    if (LANGUAGES.some(language => language.code === saved)) return saved;
+    return matchLanguage(typeof navigator === 'undefined' ? null : navigator.language);
+};
+
+/**
+ * Keeps the interface language in state and in local storage, and on the page's `lang` attribute.
+ * @returns {[string, Function]} - The language code, and a function that changes it.
+ */
+const useLanguage = () => {
+    const [language, setLanguage] = useState(loadLanguage);
+
+    useEffect(() => {
+        localStorage.setItem(LANGUAGE_KEY, language);
+        document.documentElement.lang = language;
+    }, [language]);
+
+    return [language, setLanguage];
+};
+
+export default useLanguage;
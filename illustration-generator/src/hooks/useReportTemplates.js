@@ -0,0 +1,46 @@
+import { useCallback, useState } from 'react';
+import { normaliseTemplate } from '../report/reportTemplates';
+
+// Report templates are the advisor's own, so they are shared by every comparison set.
+const TEMPLATES_KEY = 'illustration-generator:report-templates';
+
+/**
+ * Reads the saved templates, or none when there are none or they cannot be read.
+ * @returns {Array<object>} - The templates.
+ */
+const loadTemplates = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(TEMPLATES_KEY));
+        return Array.isArray(saved) ? saved.map(normaliseTemplate) : [];
+    } catch {
+        return [];
+    }
+};
+
+/**
+ * Keeps the advisor's saved report templates in state and in local storage. Saving writes
+ * straight away and throws when storage is full, e.g. because of a large logo, so the
+ * caller can tell the user.
+ * @returns {{templates: Array<object>, saveTemplate: Function, deleteTemplate: Function}} - The templates, and functions to save (add or replace by id) and delete one.
+ */
+const useReportTemplates = () => {
+    const [templates, setTemplates] = useState(loadTemplates);
+
+    const persist = useCallback((next) => {
+        localStorage.setItem(TEMPLATES_KEY, JSON.stringify(next));
+        setTemplates(next);
+    }, []);
+
+    const saveTemplate = useCallback((template) => {
+        const exists = templates.some(t => t.id === template.id);
+        persist(exists ? templates.map(t => (t.id === template.id ? template : t)) : [...templates, template]);
+    }, [templates, persist]);
+
+    const deleteTemplate = useCallback((id) => {
+        persist(templates.filter(t => t.id !== id));
+    }, [templates, persist]);
+
+    return { templates, saveTemplate, deleteTemplate };
+};
+
+export default useReportTemplates;
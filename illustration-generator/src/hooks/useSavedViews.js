@@ -0,0 +1,46 @@
+import { useCallback, useState } from 'react';
+
+// Saved views are the user's own ways of looking at a comparison, so every set can use them.
+const VIEWS_KEY = 'illustration-generator:table-views';
+
+/**
+ * Reads the saved views, or none when there are none or they cannot be read.
+ * @returns {Array<object>} - The saved views.
+ */
+const loadViews = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(VIEWS_KEY));
+        return Array.isArray(saved) ? saved : [];
+    } catch {
+        return [];
+    }
+};
+
+/**
+ * Keeps the named table views in state and in local storage. A saved view holds the table
+ * view and the comparison columns it was saved with.
+ * @returns {{views: Array<{id: string, name: string, view: object, comparisonPoints: Array<object>}>, saveView: Function, deleteView: Function}} - The views, and functions to save one (replacing any with the same name) and delete one by id.
+ */
+const useSavedViews = () => {
+    const [views, setViews] = useState(loadViews);
+
+    const persist = useCallback((next) => {
+        localStorage.setItem(VIEWS_KEY, JSON.stringify(next));
+        setViews(next);
+    }, []);
+
+    const saveView = useCallback((name, view, comparisonPoints) => {
+        const existing = views.find(v => v.name === name);
+        const saved = { id: existing?.id || `view-${Date.now()}`, name, view, comparisonPoints };
+        persist(existing ? views.map(v => (v.id === existing.id ? saved : v)) : [...views, saved]);
+        return saved;
+    }, [views, persist]);
+
+    const deleteView = useCallback((id) => {
+        persist(views.filter(v => v.id !== id));
+    }, [views, persist]);
+
+    return { views, saveView, deleteView };
+};
+
+export default useSavedViews;
@@ -0,0 +1,146 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { listSets, loadSet, saveSet, deleteSet, createSetRecord } from '../storage/workspaceDb';
+
+// Remembers which set was open, so a reload returns to it.
+const LAST_SET_KEY = 'illustration-generator:lastSetId';
+
+const DEFAULT_SET_NAME = 'Untitled comparison';
+
+/**
+ * Keeps the current comparison set's rows, comparison points and report details in state and in IndexedDB.
+ * Changes are saved automatically; the rest of the app works with `rows` as plain state.
+ * @returns {object} - The workspace state and the actions to manage sets.
+ */
+const useWorkspace = () => {
+    const [sets, setSets] = useState([]);
+    const [currentSet, setCurrentSet] = useState(null);
+    const [rows, setRows] = useState([]);
+    const [comparisonPoints, setComparisonPoints] = useState([]);
+    const [reportDetails, setReportDetails] = useState({});
+    const [storageError, setStorageError] = useState(null);
+    // The set whose rows are in state; saving is skipped until a set has been loaded into it
+    const loadedSetIdRef = useRef(null);
+    // Guards against opening twice when effects are run twice in development
+    const openedRef = useRef(false);
+
+    const refreshSets = useCallback(() => listSets().then(setSets), []);
+
+    /**
+     * Puts a set's contents into state.
+     * @param {object} set - The set record.
+     */
+    const showSet = useCallback((set) => {
+        loadedSetIdRef.current = set.id;
+        setCurrentSet({ id: set.id, name: set.name, createdAt: set.createdAt });
+        setRows(set.rows);
+        setComparisonPoints(set.comparisonPoints || []);
+        setReportDetails(set.reportDetails || {});
+        localStorage.setItem(LAST_SET_KEY, set.id);
+    }, []);
+
+    /**
+     * Creates, saves and opens a new set.
+     * @param {string} name - The set's name.
+     * @param {object} [contents] - Initial `rows`, `comparisonPoints` and `reportDetails`, e.g. from an imported bundle.
+     * @returns {Promise<void>}
+     */
+    const createSet = useCallback(async (name, contents = {}) => {
+        const set = { ...createSetRecord(name), ...contents };
+        await saveSet(set);
+        showSet(set);
+        await refreshSets();
+    }, [showSet, refreshSets]);
+
+    // Open the last used set, or start a new one
+    useEffect(() => {
+        if (openedRef.current) return;
+        openedRef.current = true;
+
+        const open = async () => {
+            try {
+                const lastId = localStorage.getItem(LAST_SET_KEY);
+                const last = lastId ? await loadSet(lastId) : null;
+                if (last) {
+                    showSet(last);
+                    await refreshSets();
+                } else {
+                    const existing = await listSets();
+                    const latest = existing.length > 0 ? await loadSet(existing[0].id) : null;
+                    if (latest) {
+                        showSet(latest);
+                        await refreshSets();
+                    } else {
+                        await createSet(DEFAULT_SET_NAME);
+                    }
+                }
+            } catch (err) {
+                console.error(err);
+                setStorageError('Saved comparisons are unavailable in this browser, so results will be lost on reload.');
+            }
+        };
+        open();
+    }, [showSet, refreshSets, createSet]);
+
+    // Save the open set whenever its contents change
+    useEffect(() => {
+        if (!currentSet || loadedSetIdRef.current !== currentSet.id) return;
+        saveSet({ ...currentSet, rows, comparisonPoints, reportDetails })
+            .then(refreshSets)
+            .catch(err => {
+                console.error(err);
+                setStorageError('The comparison could not be saved. Recent changes may be lost on reload.');
+            });
+    }, [currentSet, rows, comparisonPoints, reportDetails, refreshSets]);
+
+    /**
+     * Opens another saved set.
+     * @param {string} id - The set id.
+     * @returns {Promise<void>}
+     */
+    const switchSet = useCallback(async (id) => {
+        const set = await loadSet(id);
+        if (set) showSet(set);
+    }, [showSet]);
+
+    /**
+     * Renames the open set.
+     * @param {string} name - The new name.
+     */
+    const renameSet = useCallback((name) => {
+        setCurrentSet(set => ({ ...set, name }));
+    }, []);
+
+    /**
+     * Deletes the open set and opens the next most recent one, or a new empty set.
+     * @returns {Promise<void>}
+     */
+    const deleteCurrentSet = useCallback(async () => {
+        loadedSetIdRef.current = null;
+        await deleteSet(currentSet.id);
+        const remaining = await listSets();
+        if (remaining.length > 0) {
+            await switchSet(remaining[0].id);
+            await refreshSets();
+        } else {
+            await createSet(DEFAULT_SET_NAME);
+        }
+    }, [currentSet, switchSet, refreshSets, createSet]);
+
+    return {
+        sets,
+        currentSet,
+        rows,
+        setRows,
+        comparisonPoints,
+        setComparisonPoints,
+        reportDetails,
+        setReportDetails,
+        storageError,
+        createSet,
+        switchSet,
+        renameSet,
+        deleteCurrentSet,
+    };
+};
+
+export default useWorkspace;
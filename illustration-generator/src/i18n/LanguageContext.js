@@ -0,0 +1,17 @@
+import { createContext, useContext } from 'react';
+import { DEFAULT_LANGUAGE, createTranslator } from './index';
+
+/**
+ * The interface language and its translation function. Components rendered outside a provider,
+ * as in tests, get English.
+ */
+export const LanguageContext = createContext({
+    language: DEFAULT_LANGUAGE,
+    t: createTranslator(DEFAULT_LANGUAGE),
+});
+
+/**
+ * Reads the interface language.
+ * @returns {{language: string, t: Function}} - The language code, and the function that translates text into it.
+ */
+export const useTranslation = () => useContext(LanguageContext);
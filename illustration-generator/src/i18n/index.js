@@ -0,0 +1,52 @@
+import zhHK from './zh-HK';
+
+// === TRANSLATION ===
+// The English text is the key: components wrap what they show in `t('...')`, and each language
+// other than English is a dictionary from that text to its translation. Text missing from a
+// dictionary is shown in English, so an untranslated string is never blank. Placeholders such
+// as `{name}` are filled in from the params after translating.
+
+/**
+ * The languages the interface and the client report can be shown in.
+ */
+export const LANGUAGES = [
+    { code: 'en', label: 'English' },
+    { code: 'zh-HK', label: '繁體中文' },
+];
+
+/**
+ * The language used when none has been chosen.
+ */
+export const DEFAULT_LANGUAGE = 'en';
+
+const DICTIONARIES = {
+    'zh-HK': zhHK,
+};
+
+/**
+ * Translates a piece of interface text.
+ * @param {string} language - A language code from LANGUAGES.
+ * @param {string} text - The English text.
+ * @param {object} [params] - Values for the text's `{placeholders}`.
+ * @returns {string} - The translated text, or the English text when there is no translation.
+ */
+export const translate = (language, text, params) => {
+    const translated = DICTIONARIES[language]?.[text] ?? text;
+    if (!params) return translated;
+    return translated.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+};
+
+/**
+ * Makes a translation function for one language, for code that runs outside React such as the
+ * report builder and the command-line tool.
+ * @param {string} [language] - A language code from LANGUAGES.
+ * @returns {Function} - Called with `(text, params)`; see `translate`.
+ */
+export const createTranslator = (language = DEFAULT_LANGUAGE) => (text, params) => translate(language, text, params);
+
+/**
+ * Picks the language that best matches a browser locale such as 'zh-TW' or 'en-GB'.
+ * @param {string} [locale] - The browser's locale.
+ * @returns {string} - A language code from LANGUAGES.
+ */
+export const matchLanguage = (locale) => (/^zh\b/i.test(locale || '') ? 'zh-HK' : DEFAULT_LANGUAGE);
@@ -0,0 +1,24 @@
+import { translate, createTranslator, matchLanguage } from './index';
+import zhHK from './zh-HK';
+
+test('translates text and fills in its placeholders, falling back to English', () => {
+    expect(translate('zh-HK', 'Comparison Results')).toBe('比較結果');
+    expect(translate('zh-HK', 'Page {page} of {pages}', { page: 2, pages: 5 })).toBe('第 2 頁，共 5 頁');
+    expect(translate('zh-HK', 'Not in the dictionary {name}', { name: 'A' })).toBe('Not in the dictionary A');
+    expect(createTranslator()('Remove {name}', { name: 'a.pdf' })).toBe('Remove a.pdf');
+    expect(createTranslator('en')('Rate {missing}', {})).toBe('Rate {missing}');
+});
+
+test('keeps every placeholder in the Chinese translations', () => {
+    const placeholders = text => (text.match(/\{\w+\}/g) || []).sort();
+    Object.entries(zhHK).forEach(([english, chinese]) => {
+        expect([english, placeholders(chinese)]).toEqual([english, placeholders(english)]);
+    });
+});
+
+test('matches browser locales to a language', () => {
+    expect(matchLanguage('zh-TW')).toBe('zh-HK');
+    expect(matchLanguage('zh')).toBe('zh-HK');
+    expect(matchLanguage('en-GB')).toBe('en');
+    expect(matchLanguage(undefined)).toBe('en');
+});
@@ -0,0 +1,293 @@
+// === TRADITIONAL CHINESE (HONG KONG) ===
+// Translations of the interface and client report, keyed by their English text. Placeholders
+// such as `{name}` must be kept as they are; they may move to suit the sentence.
+
+const zhHK = {
+    // Page and upload
+    'Illustration Comparator': '保險建議書比較工具',
+    'Upload, compare, and analyze financial illustration PDFs with ease.': '輕鬆上載、比較及分析保險建議書 PDF。',
+    'Language': '語言',
+    'Upload Your PDF Files': '上載 PDF 檔案',
+    'Choose files or drag and drop': '選擇檔案或拖放至此',
+    'PDF documents only': '只接受 PDF 文件',
+    'Add More PDF Files': '加入更多 PDF 檔案',
+    'Starting the PDF reader, please wait...': '正在啟動 PDF 閱讀器，請稍候…',
+    'Processing PDFs...': '正在處理 PDF…',
+    'Extracting data from your documents...': '正在從文件擷取資料…',
+    'Processing complete': '處理完成',
+    '{finished} of {total} files': '已完成 {finished}／{total} 個檔案',
+    'Skipped {count} duplicate file: {files}.': '已略過 {count} 個重複檔案：{files}。',
+    'Skipped {count} duplicate files: {files}.': '已略過 {count} 個重複檔案：{files}。',
+    '{file} (same as {original})': '{file}（與 {original} 相同）',
+    'Dismiss': '關閉',
+    'Error': '錯誤',
+    'Warning': '警告',
+    'Failed to start the PDF reader. Please refresh the page.': '無法啟動 PDF 閱讀器，請重新載入頁面。',
+    'An error occurred while processing the PDFs. Please ensure they are valid and not corrupted.': '處理 PDF 時發生錯誤，請確保檔案有效且未損壞。',
+    'The report could not be generated: {message}': '無法產生報告：{message}',
+    'No data to export!': '沒有可匯出的資料！',
+
+    // Processing jobs and failures
+    'Queued': '排隊中',
+    'Processing': '處理中',
+    'Done': '完成',
+    'Failed': '失敗',
+    'Cancelled': '已取消',
+    'Page {page}': '第 {page} 頁',
+    'page {page}': '第 {page} 頁',
+    'page {page} of {pages}': '第 {page} 頁，共 {pages} 頁',
+    'The PDF is password-protected. Remove the password and upload it again.': '此 PDF 受密碼保護，請移除密碼後再上載。',
+    'The file is not a valid PDF or is corrupted.': '此檔案不是有效的 PDF 或已損壞。',
+    'The PDF has no text layer (it may be a scanned image).': '此 PDF 沒有文字層（可能是掃描圖像）。',
+    'The PDF is a scanned image and no text could be read from it.': '此 PDF 是掃描圖像，未能從中讀取任何文字。',
+    'The PDF is a scanned image, and the OCR language data could not be loaded. Reload the app and try again.': '此 PDF 是掃描圖像，但未能載入 OCR 語言資料。請重新載入應用程式後再試。',
+    'reading scanned page {page} (OCR)': '正在以 OCR 讀取第 {page} 頁掃描頁',
+    'No template matched this document and no values could be extracted.': '沒有範本符合此文件，亦未能擷取任何數值。',
+    'Processing was cancelled.': '處理已取消。',
+    'An unexpected error occurred while processing this file.': '處理此檔案時發生未預期的錯誤。',
+    'Could not process:': '無法處理：',
+
+    // Comparison sets
+    'Comparison set:': '比較組合：',
+    '{count} file': '{count} 個檔案',
+    '{count} files': '{count} 個檔案',
+    'New': '新增',
+    'Rename': '重新命名',
+    'Delete': '刪除',
+    'Import Set': '匯入組合',
+    'Export Set': '匯出組合',
+    'Name for the new comparison set (for example, the client case):': '新比較組合的名稱（例如客戶個案）：',
+    'Rename comparison set:': '重新命名比較組合：',
+    'Delete "{name}" and all of its results? This cannot be undone.': '刪除「{name}」及其所有結果？此操作無法復原。',
+    'Remove from this comparison set': '從此比較組合移除',
+    'Saved comparisons are unavailable in this browser, so results will be lost on reload.': '此瀏覽器無法儲存比較，重新載入後結果將會遺失。',
+    'The comparison could not be saved. Recent changes may be lost on reload.': '無法儲存比較，重新載入後最近的更改可能會遺失。',
+    'The file is not a valid comparison set bundle.': '此檔案不是有效的比較組合檔。',
+    'This bundle was exported by a newer version of the app.': '此組合檔由較新版本的程式匯出。',
+    'IndexedDB is not available in this browser.': '此瀏覽器不支援 IndexedDB。',
+
+    // Comparison table
+    'Comparison Results': '比較結果',
+    'Filter results...': '篩選結果…',
+    'Export:': '匯出：',
+    'CSV': 'CSV',
+    'Excel': 'Excel',
+    'JSON': 'JSON',
+    'Generate PDF Report': '產生 PDF 報告',
+    'Add comparison column:': '加入比較欄：',
+    'Schedule values': '保單價值表數值',
+    'Metrics': '指標',
+    'Year {year}': '第 {year} 年',
+    'at': '於',
+    'e.g. {value}': '例如 {value}',
+    'Add': '加入',
+    'Remove': '移除',
+    'Remove {name}': '移除 {name}',
+    'No results match your filters.': '沒有符合篩選條件的結果。',
+    'upload order': '上載次序',
+    'Sorted by {keys}. Shift-click a heading to add a sort key.': '按 {keys} 排序。按住 Shift 點擊標題可加入排序欄。',
+    'Edit {column}': '編輯{column}',
+    'Enter a number, or leave empty for N/A': '輸入數字，或留空表示不適用',
+    'Corrected manually': '已手動修正',
+    'Corrected manually (extracted value: {value})': '已手動修正（擷取值：{value}）',
+    'Revert {column} to extracted value': '將{column}還原為擷取值',
+    'Revert to {value}': '還原為 {value}',
+    'Matched:': '符合：',
+    'Rule:': '規則：',
+    'Value:': '數值：',
+    'OCR {confidence}%': 'OCR {confidence}%',
+    'Read from a scanned page by OCR with {confidence}% confidence. Check it against the document.': '以 OCR 從掃描頁讀取，可信度 {confidence}%。請與文件核對。',
+
+    // Column headings
+    'File Name': '檔案名稱',
+    'Template': '範本',
+    'Product Code': '計劃編號',
+    'Currency': '貨幣',
+    'Face Amount': '保額',
+    'Annual Premium': '每年保費',
+    'Total 10 Pay Premium': '10 年繳總保費',
+    'Cash Value Y10': '第 10 年現金價值',
+    'Cash Value Y20': '第 20 年現金價值',
+    'Cash Value Y30': '第 30 年現金價值',
+    'Guaranteed Rate': '保證利率',
+    'Surrender Period': '退保費用期',
+    'S&P Rating': '標準普爾評級',
+    'Total Premiums': '總保費',
+    'Breakeven Year': '回本年度',
+    'Face / Premiums': '保額／保費',
+    'Premiums Paid': '已繳保費',
+    'Guaranteed Cash Value': '保證現金價值',
+    'Cash Value': '現金價值',
+    'Death Benefit': '身故賠償',
+    'IRR': '內部回報率',
+    'Cash Value / Premiums': '現金價值／保費',
+    '{field} {at}': '{at}{field}',
+    'Age {age}': '{age} 歲',
+    'Y{year}': '第 {year} 年',
+
+    // Filters and views
+    'All': '全部',
+    '{count} selected': '已選 {count} 項',
+    'Contains...': '包含…',
+    '{column} contains': '{column}包含',
+    '{column} from': '{column}由',
+    '{column} to': '{column}至',
+    'From': '由',
+    'To': '至',
+    'View:': '檢視：',
+    'Unsaved view': '未儲存的檢視',
+    'Save View...': '儲存檢視…',
+    'Delete View': '刪除檢視',
+    'Name for this view:': '此檢視的名稱：',
+    'Replace the saved view "{name}"?': '取代已儲存的檢視「{name}」？',
+    'Delete the saved view "{name}"?': '刪除已儲存的檢視「{name}」？',
+    'Clear {count} filter': '清除 {count} 個篩選',
+    'Clear {count} filters': '清除 {count} 個篩選',
+    'Columns': '欄',
+    'Columns ({visible}/{total})': '欄（{visible}/{total}）',
+    'Show {column}': '顯示{column}',
+    'Move {column} left': '將{column}左移',
+    'Move {column} right': '將{column}右移',
+    'Show all columns in the default order': '按預設次序顯示所有欄',
+
+    // Currencies
+    'Show amounts in:': '金額顯示為：',
+    "Each document's currency": '各文件的貨幣',
+    'Base currency': '基準貨幣',
+    'Base currency:': '基準貨幣：',
+    'FX Rates ({count})': '匯率（{count}）',
+    'Rates are only kept in this browser. Each works in both directions and rates can be chained.': '匯率只會儲存在此瀏覽器。每個匯率可雙向使用，亦可串連換算。',
+    'Rate': '匯率',
+    'Add Rate': '加入匯率',
+    'Remove {from} to {to} rate': '移除 {from} 兌 {to} 匯率',
+    '"{text}" is not a recognised currency.': '「{text}」不是可識別的貨幣。',
+    '"{text}" does not look like a rate.': '「{text}」看來不是匯率。',
+    'No FX rate to convert {currencies} to {base}. Those amounts sort last and show as N/A when converted.': '沒有將 {currencies} 兌換為 {base} 的匯率。這些金額會排在最後，兌換後顯示為 N/A。',
+    'mixed currencies': '多種貨幣',
+
+    // Validation
+    'Validation found {counts} in {count} file. Check the marked cells before relying on them.': '檢查在 {count} 個檔案中發現{counts}。使用前請核對已標示的儲存格。',
+    'Validation found {counts} in {count} files. Check the marked cells before relying on them.': '檢查在 {count} 個檔案中發現{counts}。使用前請核對已標示的儲存格。',
+    '{count} error': '{count} 個錯誤',
+    '{count} errors': '{count} 個錯誤',
+    '{count} warning': '{count} 個警告',
+    '{count} warnings': '{count} 個警告',
+    ' and ': '及',
+    'no problems': '沒有問題',
+    'The face amount and annual premium are needed for most comparisons and metrics.': '大部分比較及指標都需要保額及每年保費。',
+    'No face amount was found.': '找不到保額。',
+    'No annual premium was found.': '找不到每年保費。',
+    'A small whole number in an amount field is usually an age, policy year or page number matched by mistake.': '金額欄中的細小整數通常是誤配的年齡、保單年度或頁碼。',
+    '{value} looks like an age or year rather than an amount.': '{value} 看來是年齡或年份，而非金額。',
+    'The total premium of a 10-pay plan should be close to ten annual premiums.': '10 年繳計劃的總保費應接近十倍每年保費。',
+    'The 10-pay total of {total} is {ratio} times the annual premium, not about 10.': '10 年繳總保費 {total} 是每年保費的 {ratio} 倍，而非約 10 倍。',
+    'An annual premium larger than the face amount usually means the two were swapped or misread.': '每年保費大於保額，通常表示兩者互換或讀錯。',
+    'The annual premium ({annual}) is larger than the face amount ({face}).': '每年保費（{annual}）大於保額（{face}）。',
+    'Cash values normally grow over time; a sharp fall between summary years suggests a value was read from the wrong row.': '現金價值通常隨時間增長；摘要年度之間大幅下跌，表示數值可能讀自錯誤的行。',
+    'The cash value falls from {from} in year {fromYear} to {to} in year {toYear}.': '現金價值由第 {fromYear} 年的 {from} 跌至第 {toYear} 年的 {to}。',
+    'The guaranteed rate should be a percentage between 0% and 15%.': '保證利率應為 0% 至 15% 之間的百分比。',
+    'A guaranteed rate of {rate}% is not plausible.': '保證利率 {rate}% 並不合理。',
+    'Amounts can only be compared and converted when their currency is recognised.': '只有可識別貨幣的金額才能比較及兌換。',
+    'No currency was found.': '找不到貨幣。',
+    'In the policy value schedule, the guaranteed cash value should not exceed the total cash value.': '在保單價值表中，保證現金價值不應超過總現金價值。',
+    "The schedule's guaranteed cash value is above the total cash value in {count} year (first in year {year}); its columns may be misread.": '保單價值表有 {count} 個年度的保證現金價值高於總現金價值（首見於第 {year} 年）；表中各欄可能讀錯。',
+    'Values read from a scanned page by OCR with less than 80% confidence may be misread.': '以 OCR 從掃描頁讀取而可信度低於 80% 的數值可能讀錯。',
+    'Read by OCR with only {confidence}% confidence.': '以 OCR 讀取，可信度只有 {confidence}%。',
+    "The schedule's guaranteed cash value is above the total cash value in {count} years (first in year {year}); its columns may be misread.": '保單價值表有 {count} 個年度的保證現金價值高於總現金價值（首見於第 {year} 年）；表中各欄可能讀錯。',
+
+    // Document viewer
+    'Loading document...': '正在載入文件…',
+    'Close viewer': '關閉檢視器',
+    'The original file is not available for this result.': '此結果的原始檔案無法使用。',
+    'This file could not be opened.': '無法開啟此檔案。',
+
+    // Projection charts
+    'Projections': '預測',
+    'Plot by:': '橫軸：',
+    'Policy Year': '保單年度',
+    'Age': '年齡',
+    'Non-guaranteed': '非保證',
+    'Guaranteed': '保證',
+    'Guaranteed cash value': '保證現金價值',
+    'dashed': '虛線',
+    '{chart} by age': '{chart}（按年齡）',
+    '{chart} by policy year': '{chart}（按保單年度）',
+    'Nothing to show for the selected files and series.': '所選檔案及數列沒有可顯示的資料。',
+
+    // Report builder
+    'Report Builder': '報告製作',
+    'Close report builder': '關閉報告製作',
+    'Template:': '範本：',
+    'Standard report': '標準報告',
+    '{name} (built in)': '{name}（內置）',
+    '{name} (copy)': '{name}（副本）',
+    'This report': '此報告',
+    'Save': '儲存',
+    'Save As...': '另存為…',
+    'Cancel': '取消',
+    'Name for the report template:': '報告範本名稱：',
+    'Delete the report template "{name}"?': '刪除報告範本「{name}」？',
+    'Saved "{name}".': '已儲存「{name}」。',
+    'The template could not be saved. The logo may be too large for browser storage.': '無法儲存範本，標誌可能太大，超出瀏覽器儲存空間。',
+    'Use all columns in table order': '按表格次序使用所有欄',
+    'Include {column}': '包括{column}',
+    'Move {column} up': '將{column}上移',
+    'Move {column} down': '將{column}下移',
+    'Report title': '報告標題',
+    'Client name': '客戶姓名',
+    'Advisor name': '顧問姓名',
+    'Report date': '報告日期',
+    'Report language': '報告語言',
+    'Advisor notes': '顧問備註',
+    'Recommendations and points to discuss with the client': '建議及與客戶討論的要點',
+    'Disclaimer (printed at the foot of every page)': '免責聲明（印於每頁底部）',
+    'Branding': '品牌',
+    'Brand colour': '品牌顏色',
+    'Report logo': '報告標誌',
+    'Upload logo': '上載標誌',
+    'Change logo': '更換標誌',
+    'Remove logo': '移除標誌',
+    'The logo must be a PNG or JPEG image.': '標誌必須是 PNG 或 JPEG 圖像。',
+    'The logo must be smaller than 500 KB.': '標誌必須小於 500 KB。',
+    'Cover page': '封面',
+    'Highlight the best value in each column': '標示每欄的最佳數值',
+    'Projection charts': '預測圖表',
+    'A page per product': '每個產品一頁',
+    'Change log': '修改記錄',
+    'Page numbers': '頁碼',
+    '{count} edit': '{count} 項修改',
+    '{count} edits': '{count} 項修改',
+    'I have checked the error above and want to generate the report anyway.': '我已核對上述錯誤，仍要產生報告。',
+    'I have checked the errors above and want to generate the report anyway.': '我已核對上述錯誤，仍要產生報告。',
+    'Generate PDF': '產生 PDF',
+
+    // Client report
+    'Illustration Comparison Report': '保險建議書比較報告',
+    'Prepared for: {name}': '客戶：{name}',
+    'Prepared by: {name}': '顧問：{name}',
+    'Prepared for {name}': '為 {name} 編製',
+    'Prepared by {name}': '由 {name} 編製',
+    'Date: {date}': '日期：{date}',
+    'Illustrations compared: {count}': '比較的建議書數目：{count}',
+    'Comparison': '比較',
+    'Bold values shaded green are the best in their column.': '綠底粗體數值為該欄的最佳數值。',
+    'Values shaded amber were corrected manually after extraction.': '琥珀色底的數值在擷取後經手動修正。',
+    'Amounts are converted to {currency} at {rates}.': '金額按 {rates} 兌換為 {currency}。',
+    'Amounts are converted to {currency}.': '金額已兌換為 {currency}。',
+    'Advisor Notes': '顧問備註',
+    'Field': '項目',
+    'Value': '數值',
+    'Year': '年度',
+    'Change Log': '修改記錄',
+    'Old Value': '原數值',
+    'New Value': '新數值',
+    'Changed At': '修改時間',
+    'Page {page} of {pages}': '第 {page} 頁，共 {pages} 頁',
+    ['This comparison summarises the illustrations provided by each insurer and is for discussion only. '
+        + 'Non-guaranteed values are not guaranteed and may be higher or lower than shown. '
+        + 'Please refer to the original illustrations and policy documents for full terms.']:
+        '本比較綜合各保險公司提供的建議書，僅供討論之用。非保證數值並不保證，實際可能高於或低於所示數值。'
+        + '完整條款請參閱原有建議書及保單文件。',
+};
+
+export default zhHK;
@@ -0,0 +1,52 @@
+// === EXTERNAL LIBRARIES ===
+// pdf.js, jsPDF and autotable are bundled with the app rather than fetched from a CDN, so the
+// app works offline and behind proxies. The parse workers import the same pdf.js package, so
+// the main thread and the workers always run the same version. The Chinese report font is too
+// large to bundle, so it is served from public/fonts, where the service worker precaches it,
+// and only read when a report needs it.
+import * as pdfjsLib from 'pdfjs-dist';
+import { jsPDF } from 'jspdf';
+import autoTable from 'jspdf-autotable';
+
+export { pdfjsLib, jsPDF, autoTable };
+
+// Copied from @expo-google-fonts/noto-sans-tc by scripts/copy-assets.mjs
+const CJK_FONT_URL = `${process.env.PUBLIC_URL}/fonts/NotoSansTC_400Regular.ttf`;
+
+/**
+ * Gives the main thread's pdf.js (used by the viewer) its own bundled worker.
+ * @returns {Promise<void>}
+ */
+export const startPdfjsWorker = async () => {
+    if (pdfjsLib.GlobalWorkerOptions.workerPort) return;
+    const { default: createPdfjsWorker } = await import('./pipeline/createPdfjsWorker');
+    pdfjsLib.GlobalWorkerOptions.workerPort = createPdfjsWorker();
+};
+
+let cjkFontPromise = null;
+
+/**
+ * Downloads the Chinese report font once, for `writeComparisonReport`.
+ * @returns {Promise<string>} - The font file, base64 encoded.
+ */
+export const loadCjkFont = () => {
+    if (!cjkFontPromise) {
+        cjkFontPromise = fetch(CJK_FONT_URL)
+            .then(response => {
+                if (!response.ok) throw new Error(`Could not download the Chinese font (${response.status}).`);
+                return response.blob();
+            })
+            .then(blob => new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result.split(',')[1]);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(blob);
+            }))
+            .catch(err => {
+                // Let the next report try again
+                cjkFontPromise = null;
+                throw err;
+            });
+    }
+    return cjkFontPromise;
+};
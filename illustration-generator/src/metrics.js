@@ -0,0 +1,250 @@
+// === COMPARISON METRICS ===
+// Figures derived from a row's extracted premiums and values. They are calculated from the
+// values shown in the table, so manual corrections flow through, both to the summary fields
+// and to schedule cells such as "Cash Value Y15". Every metric returns null
+// when an input it needs is missing, rather than guessing.
+
+// The summary cash value fields and the policy years they describe.
+const SUMMARY_CASH_VALUE_YEARS = [10, 20, 30];
+
+// Premium term implied by the `total10PayPremium` field.
+const TEN_PAY_TERM = 10;
+
+// Bounds and precision for the IRR search.
+const IRR_MIN = -0.99;
+const IRR_MAX = 10;
+const IRR_TOLERANCE = 1e-7;
+
+/**
+ * Metrics that are calculated at a chosen policy year or age, offered alongside the schedule fields.
+ */
+export const POINT_METRICS = [
+    { key: 'irr', label: 'IRR' },
+    { key: 'cashValueMultiple', label: 'Cash Value / Premiums' },
+];
+
+/**
+ * Parses a table value as a number.
+ * @param {*} value - A value such as `'12500.00'`, `12500` or `'N/A'`.
+ * @returns {(number|null)} - The number, or null when the value is missing or not numeric.
+ */
+export const toNumber = (value) => {
+    if (value === null || value === undefined) return null;
+    const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+    return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Reads a top-level field as a number, preferring the user's correction when there is one.
+ * @param {object} row - A row of extracted data.
+ * @param {string} key - The field key.
+ * @returns {(number|null)} - The value.
+ */
+const readField = (row, key) => {
+    const override = row.overrides?.[key];
+    return toNumber(override ? override.value : row[key]);
+};
+
+/**
+ * Finds the schedule row for a policy year.
+ * @param {object} row - A row of extracted data.
+ * @param {number} year - The policy year.
+ * @returns {(object|undefined)} - The schedule row.
+ */
+const scheduleRowAt = (row, year) => (row.schedule || []).find(r => r.policyYear === year);
+
+/**
+ * Finds the user's correction to a schedule cell, made in a comparison column either by policy
+ * year or by the age at that year.
+ * @param {object} row - A row of extracted data.
+ * @param {number} year - The policy year.
+ * @param {string} field - The schedule field key, e.g. `'nonGuaranteedCashValue'`.
+ * @returns {(object|undefined)} - The override record.
+ */
+const scheduleOverride = (row, year, field) => {
+    const age = scheduleRowAt(row, year)?.age;
+    return row.overrides?.[`schedule:${field}:year:${year}`]
+        || (age !== undefined ? row.overrides?.[`schedule:${field}:age:${age}`] : undefined);
+};
+
+/**
+ * Reads a schedule field at a policy year as a number, preferring the user's correction.
+ * @param {object} row - A row of extracted data.
+ * @param {number} year - The policy year.
+ * @param {string} field - The schedule field key.
+ * @returns {(number|null)} - The value.
+ */
+export const scheduleValueAt = (row, year, field) => {
+    const override = scheduleOverride(row, year, field);
+    return toNumber(override ? override.value : scheduleRowAt(row, year)?.[field]);
+};
+
+/**
+ * Works out which policy year a comparison point refers to.
+ * @param {object} row - A row of extracted data.
+ * @param {{by: string, value: number}} point - A policy year or attained age.
+ * @returns {(number|null)} - The policy year, or null when an age cannot be placed in the schedule.
+ */
+export const toPolicyYear = (row, point) => {
+    if (point.by !== 'age') return point.value;
+    const scheduleRow = (row.schedule || []).find(r => r.age === point.value);
+    return scheduleRow ? scheduleRow.policyYear : null;
+};
+
+/**
+ * The total premiums paid by the end of a policy year. Read from the schedule, or for 10-pay
+ * plans without one, worked out from the premium fields. Assumes the schedule is sorted by year.
+ * @param {object} row - A row of extracted data.
+ * @param {number} year - The policy year.
+ * @returns {(number|null)} - The cumulative premiums.
+ */
+export const premiumsPaidTo = (row, year) => {
+    if (year <= 0) return 0;
+    const scheduled = scheduleValueAt(row, year, 'premiumsPaid');
+    if (scheduled !== null) return scheduled;
+
+    // Schedules often skip years once premiums have stopped; nothing was paid in a gap whose ends agree
+    const known = (row.schedule || [])
+        .map(r => ({ policyYear: r.policyYear, paid: scheduleValueAt(row, r.policyYear, 'premiumsPaid') }))
+        .filter(r => r.paid !== null);
+    const before = known.filter(r => r.policyYear < year).pop();
+    const after = known.find(r => r.policyYear > year);
+    if (before && after && before.paid === after.paid) return before.paid;
+
+    const total = readField(row, 'total10PayPremium');
+    if (total === null) return null;
+    const annual = readField(row, 'annualPremium') ?? total / TEN_PAY_TERM;
+    return annual * Math.min(year, TEN_PAY_TERM);
+};
+
+/**
+ * The non-guaranteed cash value at the end of a policy year. A correction to the summary field
+ * for the year is used first, then one to the schedule cell, then the extracted summary field
+ * and schedule value.
+ * @param {object} row - A row of extracted data.
+ * @param {number} year - The policy year.
+ * @returns {(number|null)} - The cash value.
+ */
+export const cashValueAt = (row, year) => {
+    const summaryKey = SUMMARY_CASH_VALUE_YEARS.includes(year) ? `cashValueYear${year}` : null;
+    if (summaryKey && row.overrides?.[summaryKey]) return readField(row, summaryKey);
+    const summary = summaryKey && !scheduleOverride(row, year, 'nonGuaranteedCashValue') ? readField(row, summaryKey) : null;
+    return summary ?? scheduleValueAt(row, year, 'nonGuaranteedCashValue');
+};
+
+/**
+ * The total premiums payable over the life of the plan.
+ * @param {object} row - A row of extracted data.
+ * @returns {(number|null)} - The total, or null when neither the schedule nor the premium fields give it.
+ */
+export const totalPremiums = (row) => {
+    const scheduled = (row.schedule || []).map(r => scheduleValueAt(row, r.policyYear, 'premiumsPaid')).filter(v => v !== null);
+    if (scheduled.length > 0) return Math.max(...scheduled);
+    return readField(row, 'total10PayPremium');
+};
+
+/**
+ * The first policy year in which the cash value exceeds the premiums paid so far.
+ * @param {object} row - A row of extracted data.
+ * @returns {(number|null)} - The policy year, or null when the schedule never breaks even or is missing.
+ */
+export const breakevenYear = (row) => {
+    const years = (row.schedule || []).map(r => r.policyYear).filter(year => year > 0);
+    const year = years.find(y => {
+        const value = cashValueAt(row, y);
+        const paid = premiumsPaidTo(row, y);
+        return value !== null && paid !== null && paid > 0 && value > paid;
+    });
+    return year ?? null;
+};
+
+/**
+ * The face amount as a multiple of the total premiums.
+ * @param {object} row - A row of extracted data.
+ * @returns {(number|null)} - The multiple.
+ */
+export const faceToPremiumMultiple = (row) => {
+    const face = readField(row, 'faceAmount');
+    const premiums = totalPremiums(row);
+    return face !== null && premiums ? face / premiums : null;
+};
+
+/**
+ * The cash value at a policy year as a multiple of the premiums paid by then.
+ * @param {object} row - A row of extracted data.
+ * @param {number} year - The policy year.
+ * @returns {(number|null)} - The multiple.
+ */
+export const cashValueMultipleAt = (row, year) => {
+    const value = cashValueAt(row, year);
+    const paid = premiumsPaidTo(row, year);
+    return value !== null && paid ? value / paid : null;
+};
+
+/**
+ * Net present value of yearly cash flows, the first of which is at time zero.
+ * @param {Array<number>} cashflows - The cash flows.
+ * @param {number} rate - The yearly discount rate.
+ * @returns {number} - The net present value.
+ */
+const presentValue = (cashflows, rate) => cashflows.reduce((sum, flow, t) => sum + flow / (1 + rate) ** t, 0);
+
+/**
+ * Finds the yearly rate at which a series of cash flows has a net present value of zero.
+ * @param {Array<number>} cashflows - Yearly cash flows, the first of which is at time zero.
+ * @returns {(number|null)} - The rate, or null when there is no rate in the searched range.
+ */
+export const calculateIrr = (cashflows) => {
+    let low = IRR_MIN;
+    let high = IRR_MAX;
+    let lowValue = presentValue(cashflows, low);
+    if (lowValue * presentValue(cashflows, high) > 0) return null;
+
+    // Bisection: slower than Newton's method but cannot diverge
+    while (high - low > IRR_TOLERANCE) {
+        const mid = (low + high) / 2;
+        const midValue = presentValue(cashflows, mid);
+        if (lowValue * midValue <= 0) {
+            high = mid;
+        } else {
+            low = mid;
+            lowValue = midValue;
+        }
+    }
+    return (low + high) / 2;
+};
+
+/**
+ * The internal rate of return of surrendering for the cash value at the end of a policy year,
+ * with each year's premium paid at the start of that year.
+ * @param {object} row - A row of extracted data.
+ * @param {number} year - The policy year.
+ * @returns {(number|null)} - The yearly rate, e.g. 0.042 for 4.2%.
+ */
+export const irrAt = (row, year) => {
+    const value = cashValueAt(row, year);
+    if (value === null || year <= 0) return null;
+
+    const cashflows = [];
+    for (let y = 1; y <= year; y++) {
+        const paidBefore = premiumsPaidTo(row, y - 1);
+        const paidBy = premiumsPaidTo(row, y);
+        if (paidBefore === null || paidBy === null) return null;
+        cashflows.push(-(paidBy - paidBefore));
+    }
+    if (!cashflows.some(flow => flow < 0)) return null;
+    cashflows.push(value);
+    return calculateIrr(cashflows);
+};
+
+/**
+ * Calculates a point metric.
+ * @param {object} row - A row of extracted data.
+ * @param {{by: string, value: number, field: string}} point - The point, whose `field` is a `POINT_METRICS` key.
+ * @returns {(number|null)} - The metric.
+ */
+export const getPointMetric = (row, point) => {
+    const year = toPolicyYear(row, point);
+    if (year === null) return null;
+    return point.field === 'irr' ? irrAt(row, year) : cashValueMultipleAt(row, year);
+};
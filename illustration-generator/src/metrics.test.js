@@ -0,0 +1,68 @@
+import { calculateIrr, irrAt, breakevenYear, premiumsPaidTo, faceToPremiumMultiple, cashValueMultipleAt, getPointMetric } from './metrics';
+import { BASE_COLUMNS, scheduleColumn, getCellValue, getSortValue } from './columns';
+import { applyOverride } from './overrides';
+
+// A 3-pay plan with a gap in its schedule after premiums stop
+const row = {
+    faceAmount: '100000',
+    schedule: [
+        { policyYear: 1, age: 41, premiumsPaid: 1000, nonGuaranteedCashValue: 500 },
+        { policyYear: 2, age: 42, premiumsPaid: 2000, nonGuaranteedCashValue: 1500 },
+        { policyYear: 3, age: 43, premiumsPaid: 3000, nonGuaranteedCashValue: 2900 },
+        { policyYear: 4, age: 44, premiumsPaid: 3000, nonGuaranteedCashValue: 3100 },
+        { policyYear: 10, age: 50, premiumsPaid: 3000, nonGuaranteedCashValue: 4000 },
+    ],
+};
+
+test('calculates the IRR of a cash flow series', () => {
+    expect(calculateIrr([-1000, 1100])).toBeCloseTo(0.1, 6);
+    expect(calculateIrr([-1000, -1000, 2100])).toBeCloseTo(0.03297, 5);
+    expect(calculateIrr([1000, 1000])).toBeNull();
+});
+
+test('derives premiums, breakeven and multiples from the schedule', () => {
+    expect(premiumsPaidTo(row, 7)).toBe(3000);
+    expect(breakevenYear(row)).toBe(4);
+    expect(faceToPremiumMultiple(row)).toBeCloseTo(33.33, 2);
+    expect(cashValueMultipleAt(row, 10)).toBeCloseTo(4000 / 3000, 6);
+    expect(getPointMetric(row, { by: 'age', value: 50, field: 'cashValueMultiple' })).toBeCloseTo(4000 / 3000, 6);
+
+    // -1000 at the start of each of years 1 to 3, then 3100 at the end of year 4
+    const expected = calculateIrr([-1000, -1000, -1000, 0, 3100]);
+    expect(irrAt(row, 4)).toBeCloseTo(expected, 6);
+});
+
+test('uses corrected values and the 10-pay fields when there is no schedule', () => {
+    const summaryOnly = {
+        annualPremium: '1000',
+        total10PayPremium: '10000',
+        cashValueYear10: '9000',
+        overrides: { cashValueYear10: { value: '12000' } },
+    };
+    expect(premiumsPaidTo(summaryOnly, 15)).toBe(10000);
+    expect(cashValueMultipleAt(summaryOnly, 10)).toBeCloseTo(1.2, 6);
+    expect(irrAt(summaryOnly, 10)).toBeGreaterThan(0);
+    expect(breakevenYear(summaryOnly)).toBeNull();
+});
+
+test('uses corrections made to schedule cells', () => {
+    const cashValueY4 = scheduleColumn({ by: 'year', value: 4, field: 'nonGuaranteedCashValue' });
+    const premiumsAge42 = scheduleColumn({ by: 'age', value: 42, field: 'premiumsPaid' });
+    const corrected = applyOverride(applyOverride(row, cashValueY4, '2500'), premiumsAge42, '2500');
+
+    expect(premiumsPaidTo(corrected, 2)).toBe(2500);
+    expect(cashValueMultipleAt(corrected, 4)).toBeCloseTo(2500 / 3000, 6);
+    expect(breakevenYear(corrected)).toBe(10);
+    expect(irrAt(corrected, 4)).toBeCloseTo(calculateIrr([-1000, -1500, -500, 0, 2500]), 6);
+});
+
+test('shows N/A for metrics with missing inputs and sorts them as missing', () => {
+    const column = scheduleColumn({ by: 'year', value: 20, field: 'irr' });
+    expect(column).toMatchObject({ key: 'metric:irr:year:20', label: 'IRR Y20', editable: false });
+    expect(getCellValue(row, column)).toBe('N/A');
+    expect(getSortValue(row, column)).toBeNull();
+
+    const breakeven = BASE_COLUMNS.find(c => c.key === 'breakevenYear');
+    expect(getCellValue(row, breakeven)).toBe('4');
+    expect(getCellValue(row, scheduleColumn({ by: 'year', value: 10, field: 'cashValueMultiple' }))).toBe('1.33x');
+});
@@ -0,0 +1,61 @@
+import { getCellValue, getExtractedValue } from './columns';
+import { parseAmount, isAmountText } from './extraction/money';
+
+// === MANUAL CORRECTIONS ===
+// A user's correction to a cell is kept next to the extracted value rather than replacing
+// it: `row.overrides[columnKey]` holds `{ value, original, editedAt }`, and every edit is
+// appended to `row.changeLog` so the history can be reviewed and exported with the report.
+
+/**
+ * Normalises a value typed into a cell. Numeric columns are parsed the same way extracted
+ * amounts are, so "HK$1,250,000" and "1.250.000,00" are both accepted.
+ * @param {object} column - The column being edited.
+ * @param {string} input - The text the user entered.
+ * @returns {(string|null)} - The value to store, or null when the input is not valid for the column.
+ */
+export const normaliseInput = (column, input) => {
+    const value = input.trim();
+    if (!value || value.toUpperCase() === 'N/A') return 'N/A';
+    if (!column.numeric) return value;
+
+    return isAmountText(value) ? String(parseAmount(value)) : null;
+};
+
+/**
+ * Sets the value shown in a cell, recording the change in the row's change log.
+ * Setting a cell back to its extracted value removes the override.
+ * @param {object} row - A row of extracted data.
+ * @param {object} column - The column being edited.
+ * @param {string} value - The new, already normalised, value.
+ * @param {string} [timestamp] - When the change was made, as an ISO string.
+ * @returns {object} - The updated row, or the same row when nothing changed.
+ */
+export const applyOverride = (row, column, value, timestamp = new Date().toISOString()) => {
+    const oldValue = getCellValue(row, column);
+    if (value === oldValue) return row;
+
+    const original = getExtractedValue(row, column);
+    const overrides = { ...row.overrides };
+    if (value === original) {
+        delete overrides[column.key];
+    } else {
+        overrides[column.key] = { value, original, editedAt: timestamp };
+    }
+
+    return {
+        ...row,
+        overrides,
+        changeLog: [
+            ...(row.changeLog || []),
+            { columnKey: column.key, oldValue, newValue: value, timestamp },
+        ],
+    };
+};
+
+/**
+ * Checks whether a cell holds a manual correction.
+ * @param {object} row - A row of extracted data.
+ * @param {object} column - The column definition.
+ * @returns {boolean} - True when the cell has been overridden.
+ */
+export const isOverridden = (row, column) => Boolean(row.overrides?.[column.key]);
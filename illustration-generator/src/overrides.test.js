@@ -0,0 +1,48 @@
+import { applyOverride, normaliseInput, isOverridden } from './overrides';
+import { BASE_COLUMNS, getCellValue, scheduleColumn, findColumn, getColumnLabel } from './columns';
+import { createTranslator } from './i18n';
+
+const faceAmount = BASE_COLUMNS.find(column => column.key === 'faceAmount');
+
+test('keeps the extracted value alongside the correction and logs the change', () => {
+    const row = { id: '1', fileName: 'a.pdf', faceAmount: 'N/A', overrides: {}, changeLog: [] };
+
+    const edited = applyOverride(row, faceAmount, '500000', '2024-01-01T00:00:00.000Z');
+
+    expect(getCellValue(edited, faceAmount)).toBe('500000');
+    expect(edited.overrides.faceAmount).toEqual({ value: '500000', original: 'N/A', editedAt: '2024-01-01T00:00:00.000Z' });
+    expect(edited.changeLog).toEqual([{
+        columnKey: 'faceAmount',
+        oldValue: 'N/A',
+        newValue: '500000',
+        timestamp: '2024-01-01T00:00:00.000Z',
+    }]);
+    expect(row.overrides).toEqual({});
+});
+
+test('removes the override when the extracted value is restored', () => {
+    const row = { id: '1', faceAmount: '100', overrides: {}, changeLog: [] };
+
+    const reverted = applyOverride(applyOverride(row, faceAmount, '200'), faceAmount, '100');
+
+    expect(isOverridden(reverted, faceAmount)).toBe(false);
+    expect(reverted.changeLog.map(change => change.newValue)).toEqual(['200', '100']);
+});
+
+test('logs the column key, so the field can be named in any language', () => {
+    const cashValue = scheduleColumn({ by: 'year', value: 15, field: 'nonGuaranteedCashValue' });
+    const row = { id: '1', schedule: [], overrides: {}, changeLog: [] };
+
+    const [change] = applyOverride(row, cashValue, '90000').changeLog;
+
+    expect(change.columnKey).toBe('schedule:nonGuaranteedCashValue:year:15');
+    expect(getColumnLabel(findColumn(change.columnKey), createTranslator('zh-HK'))).toBe('第 15 年現金價值');
+    expect(findColumn('faceAmount')).toBe(faceAmount);
+    expect(findColumn('unknown')).toBeNull();
+});
+
+test('cleans numeric input and rejects text in numeric columns', () => {
+    expect(normaliseInput(faceAmount, ' $1,250,000 ')).toBe('1250000');
+    expect(normaliseInput(faceAmount, 'one million')).toBeNull();
+    expect(normaliseInput(faceAmount, '')).toBe('N/A');
+});
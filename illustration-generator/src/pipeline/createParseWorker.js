@@ -0,0 +1,8 @@
+/**
+ * Starts a new parse worker. Kept in its own module, loaded with a dynamic import, because
+ * `import.meta` is only understood by the bundler and would break loading the app in tests.
+ * @returns {Worker} - A worker running `parsePdf.worker.js`.
+ */
+const createParseWorker = () => new Worker(new URL('./parsePdf.worker.js', import.meta.url));
+
+export default createParseWorker;
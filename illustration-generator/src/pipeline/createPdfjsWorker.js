@@ -0,0 +1,8 @@
+/**
+ * Starts the pdf.js worker used by the main thread. Loaded with a dynamic import for the same
+ * reason as `createParseWorker`.
+ * @returns {Worker} - A worker running `pdfjs.worker.js`.
+ */
+const createPdfjsWorker = () => new Worker(new URL('./pdfjs.worker.js', import.meta.url));
+
+export default createPdfjsWorker;
@@ -0,0 +1,95 @@
+import { FAILURE_MESSAGES } from '../extraction/errors';
+
+// === PROCESSING PIPELINE ===
+// Each file is parsed in its own Web Worker, with a limited number running at once so a
+// large batch does not exhaust memory. Files succeed or fail independently, and the whole
+// batch can be cancelled.
+
+/**
+ * How many files are parsed at once by default: one core is left for the page itself.
+ */
+export const DEFAULT_CONCURRENCY = Math.max(1, Math.min(4, ((typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2) - 1));
+
+/**
+ * Parses a batch of files in workers.
+ * @param {Array<File>} files - The PDF files to process.
+ * @param {object} options - Pipeline options.
+ * @param {Function} options.createWorker - Returns a new parse worker.
+ * @param {number} [options.concurrency] - The maximum number of files parsed at once.
+ * @param {AbortSignal} [options.signal] - Aborting cancels every file that has not finished.
+ * @param {Function} [options.onJobUpdate] - Called with `(index, patch)` when a file's status or page progress changes, or a page is being read by OCR (`ocrPage`).
+ * @param {Function} [options.onJobComplete] - Called with `(index, result)` as soon as each file finishes.
+ * @returns {Promise<Array<object>>} - One result per file, in order: `{ data }` on success or `{ error: { reason, message } }`.
+ */
+export const processFiles = (files, { createWorker, concurrency = DEFAULT_CONCURRENCY, signal, onJobUpdate = () => {}, onJobComplete = () => {} }) => (
+    new Promise(resolve => {
+        const results = new Array(files.length);
+        const running = new Map();
+        let next = 0;
+        let finished = 0;
+
+        const finish = (index, result) => {
+            if (results[index]) return;
+            results[index] = result;
+            finished++;
+
+            const worker = running.get(index);
+            if (worker) {
+                worker.terminate();
+                running.delete(index);
+            }
+
+            onJobUpdate(index, result.error
+                ? { status: result.error.reason === 'cancelled' ? 'cancelled' : 'failed', ...result.error }
+                : { status: 'done' });
+            onJobComplete(index, result);
+
+            if (finished === files.length) {
+                resolve(results);
+            } else {
+                startNext();
+            }
+        };
+
+        const start = (index) => {
+            const worker = createWorker();
+            running.set(index, worker);
+            onJobUpdate(index, { status: 'processing' });
+
+            worker.onmessage = ({ data: message }) => {
+                if (message.type === 'progress') {
+                    onJobUpdate(index, { page: message.page, numPages: message.numPages });
+                } else if (message.type === 'ocr') {
+                    onJobUpdate(index, { ocrPage: message.page });
+                } else if (message.type === 'result') {
+                    finish(index, { data: message.data });
+                } else if (message.type === 'error') {
+                    finish(index, { error: { reason: message.reason, message: message.message } });
+                }
+            };
+            worker.onerror = (e) => {
+                e.preventDefault();
+                finish(index, { error: { reason: 'unknown', message: `${FAILURE_MESSAGES.unknown} (${e.message})` } });
+            };
+            worker.postMessage({ file: files[index] });
+        };
+
+        const startNext = () => {
+            while (running.size < concurrency && next < files.length && !signal?.aborted) {
+                start(next++);
+            }
+        };
+
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                files.forEach((_, index) => finish(index, { error: { reason: 'cancelled', message: FAILURE_MESSAGES.cancelled } }));
+            });
+        }
+
+        if (files.length === 0) {
+            resolve(results);
+            return;
+        }
+        startNext();
+    })
+);
@@ -0,0 +1,68 @@
+import { processFiles } from './jobQueue';
+
+// A stand-in for a parse worker that the test drives by hand
+const createFakeWorkers = () => {
+    const workers = [];
+    const createWorker = () => {
+        const worker = {
+            terminated: false,
+            postMessage: jest.fn(),
+            terminate() { this.terminated = true; },
+            reply(message) { this.onmessage({ data: message }); },
+        };
+        workers.push(worker);
+        return worker;
+    };
+    return { workers, createWorker };
+};
+
+test('limits concurrency and keeps results of good files when others fail', async () => {
+    const { workers, createWorker } = createFakeWorkers();
+    const updates = [];
+    const files = ['a.pdf', 'b.pdf', 'c.pdf'];
+
+    const promise = processFiles(files, {
+        createWorker,
+        concurrency: 2,
+        onJobUpdate: (index, patch) => updates.push([index, patch]),
+    });
+
+    expect(workers).toHaveLength(2);
+    workers[0].reply({ type: 'progress', page: 1, numPages: 3 });
+    workers[0].reply({ type: 'ocr', page: 2 });
+    workers[0].reply({ type: 'error', reason: 'encrypted', message: 'Locked' });
+    expect(workers).toHaveLength(3);
+    workers[1].reply({ type: 'result', data: { fileName: 'b.pdf' } });
+    workers[2].reply({ type: 'result', data: { fileName: 'c.pdf' } });
+
+    await expect(promise).resolves.toEqual([
+        { error: { reason: 'encrypted', message: 'Locked' } },
+        { data: { fileName: 'b.pdf' } },
+        { data: { fileName: 'c.pdf' } },
+    ]);
+    expect(workers.every(worker => worker.terminated)).toBe(true);
+    expect(updates).toContainEqual([0, { page: 1, numPages: 3 }]);
+    expect(updates).toContainEqual([0, { ocrPage: 2 }]);
+    expect(updates).toContainEqual([0, { status: 'failed', reason: 'encrypted', message: 'Locked' }]);
+});
+
+test('cancels running and queued files but keeps finished ones', async () => {
+    const { workers, createWorker } = createFakeWorkers();
+    const abortController = new AbortController();
+
+    const promise = processFiles(['a.pdf', 'b.pdf', 'c.pdf'], {
+        createWorker,
+        concurrency: 1,
+        signal: abortController.signal,
+    });
+
+    workers[0].reply({ type: 'result', data: { fileName: 'a.pdf' } });
+    abortController.abort();
+
+    const results = await promise;
+    expect(results[0]).toEqual({ data: { fileName: 'a.pdf' } });
+    expect(results[1].error.reason).toBe('cancelled');
+    expect(results[2].error.reason).toBe('cancelled');
+    expect(workers).toHaveLength(2);
+    expect(workers[1].terminated).toBe(true);
+});
@@ -0,0 +1,80 @@
+/* eslint-env worker */
+// In a worker `self` is the worker's global scope, so the browser-globals lint rule does not apply
+/* eslint-disable no-restricted-globals */
+import { createWorker, OEM } from 'tesseract.js';
+import { ExtractionError } from '../extraction/errors';
+
+// === OCR ENGINE ===
+// Tesseract, for reading scanned pages in the parse worker. Pages are rendered on an
+// OffscreenCanvas, and Tesseract runs in a worker of its own that is only started when a
+// file has a scanned page. Nothing is fetched from other origins: the Tesseract worker and
+// its WebAssembly core are bundled, and the English and Chinese models are served from
+// public/tessdata, where Tesseract finds them by file name. The service worker precaches the
+// models with the app, so scanned files can be read offline.
+
+const WORKER_URL = new URL('tesseract.js/dist/worker.min.js', import.meta.url).href;
+// The build without SIMD instructions runs in every browser
+const CORE_URL = new URL('tesseract.js-core/tesseract-core-lstm.wasm.js', import.meta.url).href;
+const LANG_PATH = new URL(`${process.env.PUBLIC_URL}/tessdata`, self.location.href).href;
+
+// English, and Traditional and Simplified Chinese, as the templates read; the models are copied
+// from their packages by scripts/copy-assets.mjs
+const LANGUAGES = 'eng+chi_tra+chi_sim';
+
+/**
+ * A pdf.js canvas factory that renders on an OffscreenCanvas, as workers have no document.
+ */
+const offscreenCanvasFactory = {
+    create: (width, height) => {
+        const canvas = new OffscreenCanvas(width, height);
+        return { canvas, context: canvas.getContext('2d') };
+    },
+    reset: (canvasAndContext, width, height) => {
+        canvasAndContext.canvas.width = width;
+        canvasAndContext.canvas.height = height;
+    },
+    destroy: (canvasAndContext) => {
+        canvasAndContext.canvas.width = 0;
+        canvasAndContext.canvas.height = 0;
+        canvasAndContext.canvas = null;
+        canvasAndContext.context = null;
+    },
+};
+
+/**
+ * Creates an OCR engine for `parsePdf`. Tesseract is started on the first page it reads, and
+ * must be stopped with `terminate` once the file is done.
+ * @returns {{canvasFactory: object, recognize: Function, terminate: Function}} - The engine.
+ */
+const createOcrEngine = () => {
+    let worker = null;
+    const start = () => new Promise((resolve, reject) => {
+        // Errors loading the models are reported to `errorHandler` rather than rejecting
+        createWorker(LANGUAGES, OEM.LSTM_ONLY, {
+            workerPath: WORKER_URL,
+            corePath: CORE_URL,
+            langPath: LANG_PATH,
+            // The service worker already caches the models, so Tesseract's own cache is not used
+            cacheMethod: 'none',
+            errorHandler: reject,
+        }).then(resolve, reject);
+    }).catch(err => {
+        console.error(err);
+        throw new ExtractionError('ocr-unavailable');
+    });
+
+    return {
+        canvasFactory: offscreenCanvasFactory,
+        recognize: async (canvas) => {
+            if (!worker) worker = start();
+            const { data } = await (await worker).recognize(canvas, {}, { text: false, blocks: true });
+            return data.blocks || [];
+        },
+        // A Tesseract worker whose models failed to load never resolves; it stops with the parse worker
+        terminate: async () => {
+            if (worker) await worker.then(started => started.terminate(), () => {});
+        },
+    };
+};
+
+export default createOcrEngine;
@@ -0,0 +1,36 @@
+/* eslint-env worker */
+// In a worker `self` is the worker's global scope, so the browser-globals lint rule does not apply
+/* eslint-disable no-restricted-globals */
+import { parsePdf } from '../extraction/parsePdf';
+import { toFailure } from '../extraction/errors';
+import createOcrEngine from './ocrEngine';
+import * as pdfjsLib from 'pdfjs-dist';
+// Sets `pdfjsWorker` on the worker's global scope, which pdf.js picks up in place of a nested worker
+import 'pdfjs-dist/build/pdf.worker';
+
+// === PARSE WORKER ===
+// Parses one PDF off the main thread. Bundling pdf.worker alongside pdf.js makes pdf.js run
+// its own parsing inside this worker rather than spawning a nested one. Scanned pages are
+// read by OCR.
+//
+// Messages in:  { file }
+// Messages out: { type: 'progress', page, numPages }
+//               { type: 'ocr', page }
+//               { type: 'result', data }
+//               { type: 'error', reason, message }
+
+self.addEventListener('message', async ({ data: { file } }) => {
+    const ocr = createOcrEngine();
+    try {
+        const data = await parsePdf(file, pdfjsLib, {
+            onProgress: (page, numPages) => self.postMessage({ type: 'progress', page, numPages }),
+            ocr,
+            onOcr: (page) => self.postMessage({ type: 'ocr', page }),
+        });
+        self.postMessage({ type: 'result', data });
+    } catch (err) {
+        self.postMessage({ type: 'error', ...toFailure(err) });
+    } finally {
+        await ocr.terminate();
+    }
+});
@@ -0,0 +1,4 @@
+// === PDF.JS WORKER ===
+// The bundled pdf.js worker for the viewer. When loaded inside a worker, pdf.worker starts
+// answering pdf.js messages on its own, so importing it is all this entry point needs.
+import 'pdfjs-dist/build/pdf.worker';
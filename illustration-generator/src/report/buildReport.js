@@ -0,0 +1,346 @@
+import { SCHEDULE_FIELDS } from '../extraction/schedule';
+import { getCellValue, getColumnLabel, getRowCurrency, findBestValues, findColumn } from '../columns';
+import { isOverridden } from '../overrides';
+import { drawPdfChart, drawPdfLegend } from '../charts/drawPdfChart';
+import { hexToRgb } from './reportTemplates';
+import { createTranslator } from '../i18n';
+
+// === CLIENT REPORT ===
+// Lays out the PDF report from a report template: an optional cover page, the comparison
+// table, charts, the advisor's notes, a page per product and the change log, with the
+// disclaimer and page numbers on every page. The caller creates the jsPDF document and
+// passes in autotable, so the layout can be exercised without a canvas. The report is written
+// in the template's language; the built-in title and disclaimer are translated, while text the
+// advisor typed is printed as it is.
+
+// Locales for formatting dates, by report language; English uses the browser's own.
+const DATE_LOCALES = { 'zh-HK': 'zh-HK' };
+
+// Page margin, and the space kept at the foot of each page for the disclaimer and page number, in millimetres.
+const MARGIN = 14;
+const FOOTER_HEIGHT = 16;
+
+// Cell fills for the comparison table.
+const BEST_FILL = [209, 250, 229];
+const OVERRIDE_FILL = [255, 243, 205];
+
+// Largest logo size on the cover and on the first page without a cover, in millimetres.
+const COVER_LOGO = { width: 70, height: 30 };
+const HEADER_LOGO = { width: 40, height: 12 };
+
+// Policy years shown on every product page; later years are shown every `KEY_YEAR_STEP` years.
+const FIRST_KEY_YEARS = 10;
+const KEY_YEAR_STEP = 5;
+
+/**
+ * Picks the schedule rows shown on a product's page: each of the first ten years, every fifth
+ * year after that, and the last year.
+ * @param {Array<object>} schedule - The policy value schedule.
+ * @returns {Array<object>} - The key schedule rows, in order.
+ */
+export const pickKeyYears = (schedule = []) => schedule.filter((r, index) => (
+    r.policyYear <= FIRST_KEY_YEARS || r.policyYear % KEY_YEAR_STEP === 0 || index === schedule.length - 1
+));
+
+/**
+ * Draws a logo scaled to fit a box, keeping its proportions.
+ * @param {object} doc - The jsPDF document.
+ * @param {string} logo - The logo as a PNG or JPEG data URL.
+ * @param {number} x - The left edge, in millimetres.
+ * @param {number} y - The top edge, in millimetres.
+ * @param {{width: number, height: number}} box - The largest size to draw it at.
+ * @param {string} [align] - `'right'` to align the logo's right edge with `x`.
+ */
+const drawLogo = (doc, logo, x, y, box, align = 'left') => {
+    const { width, height } = doc.getImageProperties(logo);
+    const scale = Math.min(box.width / width, box.height / height);
+    const format = /^data:image\/png/i.test(logo) ? 'PNG' : 'JPEG';
+    doc.addImage(logo, format, align === 'right' ? x - width * scale : x, y, width * scale, height * scale);
+};
+
+/**
+ * Writes a section heading in the brand colour.
+ * @param {object} doc - The jsPDF document.
+ * @param {string} text - The heading.
+ * @param {Array<number>} color - The brand colour.
+ * @param {number} y - The baseline, in millimetres.
+ */
+const drawHeading = (doc, text, color, y) => {
+    doc.setFontSize(16);
+    doc.setTextColor(...color);
+    doc.text(text, MARGIN, y);
+    doc.setTextColor(0, 0, 0);
+};
+
+/**
+ * Draws the cover page: logo, title, who the report is for and from, and the date.
+ * @param {object} doc - The jsPDF document.
+ * @param {{template: object, details: object, rows: Array<object>, color: Array<number>, date: string, t: Function}} options - The report template and details, the compared rows, the brand colour, the formatted date and the translation function.
+ */
+const drawCoverPage = (doc, { template, details, rows, color, date, t }) => {
+    const pageWidth = doc.internal.pageSize.getWidth();
+    if (template.logo) drawLogo(doc, template.logo, MARGIN, MARGIN, COVER_LOGO);
+
+    doc.setFillColor(...color);
+    doc.rect(0, 60, pageWidth, 3, 'F');
+    doc.setFontSize(28);
+    doc.setTextColor(...color);
+    doc.text(t(template.title), MARGIN, 85);
+
+    doc.setFontSize(13);
+    doc.setTextColor(55, 65, 81);
+    const lines = [
+        details.clientName && t('Prepared for: {name}', { name: details.clientName }),
+        template.advisorName && t('Prepared by: {name}', { name: template.advisorName }),
+        t('Date: {date}', { date }),
+        t('Illustrations compared: {count}', { count: rows.length }),
+    ].filter(Boolean);
+    lines.forEach((line, index) => doc.text(line, MARGIN, 105 + index * 9));
+    doc.setTextColor(0, 0, 0);
+};
+
+/**
+ * Draws the comparison table, highlighting best values and shading manual corrections.
+ * @param {object} doc - The jsPDF document.
+ * @param {Function} autoTable - The autotable plugin.
+ * @param {{rows: Array<object>, columns: Array<object>, template: object, color: Array<number>, startY: number, t: Function, styles: object}} options - The rows and columns, the template, the brand colour, where the table starts, the translation function and the base cell styles.
+ * @returns {boolean} - Whether any cell was highlighted as a best value.
+ */
+const drawComparisonTable = (doc, autoTable, { rows, columns, template, color, startY, t, styles }) => {
+    const best = template.highlightBest ? findBestValues(rows, columns) : new Map();
+    const fileNameIndex = columns.findIndex(column => column.key === 'fileName');
+    autoTable(doc, {
+        startY,
+        head: [columns.map(column => getColumnLabel(column, t))],
+        body: rows.map(row => columns.map(column => getCellValue(row, column))),
+        margin: { left: MARGIN, right: MARGIN, bottom: FOOTER_HEIGHT + 4 },
+        styles: { ...styles, fontSize: 7, cellPadding: 1.5 },
+        headStyles: { fillColor: color, textColor: 255 },
+        alternateRowStyles: { fillColor: [245, 245, 245] },
+        columnStyles: fileNameIndex === -1 ? {} : { [fileNameIndex]: { cellWidth: 40 } },
+        didParseCell: (hookData) => {
+            if (hookData.section !== 'body') return;
+            const row = rows[hookData.row.index];
+            const column = columns[hookData.column.index];
+            if (best.get(column.key)?.has(row.id)) {
+                hookData.cell.styles.fontStyle = 'bold';
+                hookData.cell.styles.fillColor = BEST_FILL;
+            }
+            // Corrections are shaded even when they are also the best value
+            if (isOverridden(row, column)) {
+                hookData.cell.styles.fillColor = OVERRIDE_FILL;
+            }
+        },
+    });
+    return best.size > 0;
+};
+
+/**
+ * Writes lines of text from `y`, continuing on new pages as needed.
+ * @param {object} doc - The jsPDF document.
+ * @param {Array<string>} lines - The lines, already wrapped to the page width.
+ * @param {number} y - The first baseline, in millimetres.
+ * @param {number} lineHeight - The distance between baselines, in millimetres.
+ * @returns {number} - The baseline below the text.
+ */
+const drawParagraphs = (doc, lines, y, lineHeight) => {
+    const bottom = doc.internal.pageSize.getHeight() - FOOTER_HEIGHT - 4;
+    let cursorY = y;
+    lines.forEach(line => {
+        if (cursorY > bottom) {
+            doc.addPage();
+            cursorY = MARGIN + 6;
+        }
+        doc.text(line, MARGIN, cursorY);
+        cursorY += lineHeight;
+    });
+    return cursorY;
+};
+
+/**
+ * Draws the projection charts and their legend, on a new page when they do not fit below `y`.
+ * @param {object} doc - The jsPDF document.
+ * @param {{models: Array<object>, by: string, legend: Array<object>}} charts - The chart models, the x axis and the legend entries.
+ * @param {number} y - The top of the free space on the page, in millimetres.
+ * @param {Function} t - The translation function, for the axis title.
+ */
+const drawCharts = (doc, { models, by, legend }, y, t) => {
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const chartHeight = 70;
+    const gap = 10;
+    const chartWidth = (pageWidth - MARGIN * 2 - gap) / 2;
+    let chartY = y;
+    if (chartY + chartHeight + 15 > pageHeight - FOOTER_HEIGHT) {
+        doc.addPage();
+        chartY = MARGIN + 1;
+    }
+    models.forEach((chart, index) => {
+        drawPdfChart(doc, chart, { x: MARGIN + index * (chartWidth + gap), y: chartY, width: chartWidth, height: chartHeight }, t(by === 'age' ? 'Age' : 'Policy Year'));
+    });
+    drawPdfLegend(doc, legend, MARGIN, chartY + chartHeight + 4, pageWidth - MARGIN * 2);
+};
+
+/**
+ * Draws a product's page: its figures beside its key policy years.
+ * @param {object} doc - The jsPDF document.
+ * @param {Function} autoTable - The autotable plugin.
+ * @param {{row: object, columns: Array<object>, color: Array<number>, t: Function, styles: object}} options - The product's row, the columns to list, the brand colour, the translation function and the base cell styles.
+ */
+const drawProductPage = (doc, autoTable, { row, columns, color, t, styles }) => {
+    const pageWidth = doc.internal.pageSize.getWidth();
+    drawHeading(doc, row.fileName, color, MARGIN + 1);
+    const tableOptions = {
+        startY: MARGIN + 6,
+        styles: { ...styles, fontSize: 8, cellPadding: 1.5 },
+        headStyles: { fillColor: color, textColor: 255 },
+    };
+
+    const factsWidth = 100;
+    autoTable(doc, {
+        ...tableOptions,
+        head: [[t('Field'), t('Value')]],
+        body: columns
+            .filter(column => column.key !== 'fileName')
+            .map(column => [getColumnLabel(column, t), getCellValue(row, column)]),
+        margin: { left: MARGIN, bottom: FOOTER_HEIGHT + 4 },
+        tableWidth: factsWidth,
+    });
+
+    const keyYears = pickKeyYears(row.schedule);
+    if (keyYears.length === 0) return;
+    const currency = getRowCurrency(row);
+    const fields = SCHEDULE_FIELDS.filter(field => keyYears.some(r => r[field.key] !== null && r[field.key] !== undefined));
+    autoTable(doc, {
+        ...tableOptions,
+        head: [[t('Year'), t('Age'), ...fields.map(field => (currency ? `${t(field.label)} (${currency})` : t(field.label)))]],
+        body: keyYears.map(r => [r.policyYear, r.age ?? '', ...fields.map(field => r[field.key] ?? '')]),
+        margin: { left: MARGIN + factsWidth + 8, right: MARGIN, bottom: FOOTER_HEIGHT + 4 },
+        tableWidth: pageWidth - MARGIN * 2 - factsWidth - 8,
+    });
+};
+
+/**
+ * Writes the disclaimer and page number at the foot of every page.
+ * @param {object} doc - The jsPDF document.
+ * @param {object} template - The report template.
+ * @param {Function} t - The translation function.
+ */
+const drawFooters = (doc, template, t) => {
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const pageCount = doc.getNumberOfPages();
+    doc.setFontSize(7);
+    doc.setTextColor(107, 114, 128);
+    const disclaimer = template.disclaimer?.trim()
+        // Three lines fit in the footer
+        ? doc.splitTextToSize(t(template.disclaimer.trim()), pageWidth - MARGIN * 2 - 30).slice(0, 3)
+        : [];
+    for (let page = 1; page <= pageCount; page++) {
+        doc.setPage(page);
+        if (disclaimer.length > 0) {
+            doc.text(disclaimer, MARGIN, pageHeight - FOOTER_HEIGHT + 4);
+        }
+        if (template.pageNumbers) {
+            doc.text(t('Page {page} of {pages}', { page, pages: pageCount }), pageWidth - MARGIN, pageHeight - FOOTER_HEIGHT + 4, { align: 'right' });
+        }
+    }
+    doc.setTextColor(0, 0, 0);
+};
+
+/**
+ * Lays out the whole report into a jsPDF document.
+ * @param {object} doc - A new landscape jsPDF document.
+ * @param {Function} autoTable - The autotable plugin.
+ * @param {object} options - What to put in the report.
+ * @param {object} options.template - The report template.
+ * @param {{clientName: string, reportDate: string, notes: string}} options.details - The comparison set's report details.
+ * @param {Array<object>} options.rows - The rows to compare, in table order.
+ * @param {Array<object>} options.columns - The report's columns, in order.
+ * @param {Array<object>} options.detailColumns - The columns listed on each product's page.
+ * @param {Array<string>} options.footnotes - Further notes printed under the table, e.g. the FX rates used.
+ * @param {({models: Array<object>, by: string, legend: Array<object>}|null)} options.charts - The chart models to draw, or null.
+ * @param {string} [options.font] - The font to write in, already added to the document, e.g. for Chinese text; jsPDF's own by default.
+ */
+export const buildReport = (doc, autoTable, { template, details, rows, columns, detailColumns, footnotes, charts, font }) => {
+    const color = hexToRgb(template.primaryColor);
+    const t = createTranslator(template.language);
+    const locale = DATE_LOCALES[template.language];
+    const date = details.reportDate
+        ? new Date(`${details.reportDate}T00:00:00`).toLocaleDateString(locale)
+        : new Date().toLocaleDateString(locale);
+    // The font is set on the document for text, and on every table, which autotable styles on its own
+    if (font) doc.setFont(font, 'normal');
+    const styles = font ? { font } : {};
+
+    // Comparison table, after the cover or under a heading on the first page
+    let startY = MARGIN + 6;
+    if (template.coverPage) {
+        drawCoverPage(doc, { template, details, rows, color, date, t });
+        doc.addPage();
+        drawHeading(doc, t('Comparison'), color, MARGIN + 1);
+    } else {
+        drawHeading(doc, t(template.title), color, MARGIN + 1);
+        const subtitle = [
+            details.clientName && t('Prepared for {name}', { name: details.clientName }),
+            template.advisorName && t('Prepared by {name}', { name: template.advisorName }),
+            date,
+        ]
+            .filter(Boolean)
+            .join('  |  ');
+        doc.setFontSize(9);
+        doc.text(subtitle, MARGIN, MARGIN + 7);
+        if (template.logo) drawLogo(doc, template.logo, doc.internal.pageSize.getWidth() - MARGIN, MARGIN - 6, HEADER_LOGO, 'right');
+        startY = MARGIN + 11;
+    }
+    const hasBest = drawComparisonTable(doc, autoTable, { rows, columns, template, color, startY, t, styles });
+
+    const notes = [
+        hasBest && t('Bold values shaded green are the best in their column.'),
+        rows.some(row => columns.some(column => isOverridden(row, column))) && t('Values shaded amber were corrected manually after extraction.'),
+        ...footnotes,
+    ].filter(Boolean);
+    doc.setFontSize(8);
+    const notesEnd = drawParagraphs(doc, notes, doc.lastAutoTable.finalY + 6, 4);
+
+    if (template.includeCharts && charts && charts.models.length > 0) {
+        drawCharts(doc, charts, notesEnd + 4, t);
+    }
+
+    if (template.includeNotes && details.notes?.trim()) {
+        doc.addPage();
+        drawHeading(doc, t('Advisor Notes'), color, MARGIN + 1);
+        doc.setFontSize(10);
+        drawParagraphs(doc, doc.splitTextToSize(details.notes.trim(), doc.internal.pageSize.getWidth() - MARGIN * 2), MARGIN + 10, 5);
+    }
+
+    if (template.detailPages) {
+        rows.forEach(row => {
+            doc.addPage();
+            drawProductPage(doc, autoTable, { row, columns: detailColumns, color, t, styles });
+        });
+    }
+
+    // The audit trail of manual corrections, with each field named in the report's language
+    const changeLabel = (change) => {
+        const column = findColumn(change.columnKey);
+        return column ? getColumnLabel(column, t) : change.columnKey;
+    };
+    const changes = rows.flatMap(row => (row.changeLog || []).map(change => [
+        row.fileName, changeLabel(change), change.oldValue, change.newValue, new Date(change.timestamp).toLocaleString(locale),
+    ]));
+    if (template.includeChangeLog && changes.length > 0) {
+        doc.addPage();
+        drawHeading(doc, t('Change Log'), color, MARGIN + 1);
+        autoTable(doc, {
+            startY: MARGIN + 6,
+            head: [[t('File Name'), t('Field'), t('Old Value'), t('New Value'), t('Changed At')]],
+            body: changes,
+            margin: { left: MARGIN, right: MARGIN, bottom: FOOTER_HEIGHT + 4 },
+            styles: { ...styles, fontSize: 8, cellPadding: 1.5 },
+            headStyles: { fillColor: color, textColor: 255 },
+        });
+    }
+
+    drawFooters(doc, template, t);
+};
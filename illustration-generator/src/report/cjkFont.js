@@ -0,0 +1,36 @@
+// === CHINESE TEXT IN REPORTS ===
+// jsPDF's built-in fonts only cover Latin text, so a report with Chinese in it needs a font that
+// has the characters embedded. Noto Sans TC covers Traditional and Simplified Chinese; jsPDF
+// embeds only the characters a report uses, so the file stays small. Loading the font file
+// differs between the browser and Node, so callers pass it in as base64.
+
+/**
+ * The name the Chinese font is registered under in a jsPDF document.
+ */
+export const CJK_FONT = 'NotoSansTC';
+
+const CJK_FILE_NAME = 'NotoSansTC-Regular.ttf';
+
+// CJK punctuation, kana, ideographs, compatibility ideographs and full-width forms.
+const CJK_PATTERN = /[\u3000-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uff00-\uffef]/;
+
+/**
+ * Checks whether any of the text needs the Chinese font.
+ * @param {...*} texts - Text to check; anything that is not a string is ignored.
+ * @returns {boolean} - Whether a CJK character appears.
+ */
+export const hasCjkText = (...texts) => texts.some(text => typeof text === 'string' && CJK_PATTERN.test(text));
+
+/**
+ * Adds the Chinese font to a jsPDF document. The one weight is registered as both normal and
+ * bold, so bold table headings and best values keep their characters.
+ * @param {object} doc - The jsPDF document.
+ * @param {string} base64 - The TrueType font file, base64 encoded.
+ * @returns {string} - The font name to write in.
+ */
+export const addCjkFont = (doc, base64) => {
+    doc.addFileToVFS(CJK_FILE_NAME, base64);
+    doc.addFont(CJK_FILE_NAME, CJK_FONT, 'normal');
+    doc.addFont(CJK_FILE_NAME, CJK_FONT, 'bold');
+    return CJK_FONT;
+};
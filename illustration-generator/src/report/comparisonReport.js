@@ -0,0 +1,108 @@
+import { getRowCurrency, getCellValue } from '../columns';
+import { convertAmount } from '../fx';
+import { PROJECTION_CHARTS, buildProjectionChart, getLegendEntries } from '../charts/projection';
+import { createTranslator, DEFAULT_LANGUAGE } from '../i18n';
+import { buildReport } from './buildReport';
+import { hasCjkText, addCjkFont } from './cjkFont';
+
+// === COMPARISON REPORT ===
+// Everything the client report needs beyond the table itself: currency footnotes and the
+// projection charts, drawn in the same currency as the table, and the Chinese font when the
+// report needs one. Shared by the app and the command-line tool, so both produce the same report.
+
+/**
+ * The chart settings before the user changes them: by policy year, with every file and line shown.
+ */
+export const DEFAULT_CHART_OPTIONS = { by: 'year', hiddenRows: [], hiddenFields: [] };
+
+/**
+ * Makes the function that puts a charted amount in the table's currency: the base currency
+ * when the table shows converted values, otherwise the document's own.
+ * @param {object} currencySettings - The currency settings.
+ * @returns {Function} - Called with `(row, value)`; returns the amount to chart, or null when there is no rate.
+ */
+export const toChartAmount = ({ baseCurrency, convert, rates }) => (row, value) => (convert
+    ? convertAmount(value, getRowCurrency(row) || baseCurrency, baseCurrency, rates)
+    : value);
+
+/**
+ * Names the currency of the charted amounts, for chart titles.
+ * @param {Array<string>} currencies - The currencies of the documents charted.
+ * @param {object} currencySettings - The currency settings.
+ * @param {Function} [t] - The translation function; English by default.
+ * @returns {(string|null)} - An ISO code, 'mixed currencies', or null when the documents do not say.
+ */
+export const getChartCurrency = (currencies, { baseCurrency, convert }, t = createTranslator()) => {
+    if (convert) return baseCurrency;
+    return currencies.length > 1 ? t('mixed currencies') : currencies[0] || null;
+};
+
+/**
+ * Writes the footnotes that explain how the report's amounts were converted.
+ * @param {object} currencySettings - The currency settings.
+ * @param {Function} [t] - The translation function; English by default.
+ * @returns {Array<string>} - The footnotes, or none when amounts are in their own currency.
+ */
+export const getCurrencyFootnotes = ({ baseCurrency, convert, rates }, t = createTranslator()) => {
+    if (!convert) return [];
+    const usedRates = rates.map(r => `1 ${r.from} = ${r.rate} ${r.to}`).join('; ');
+    return [usedRates
+        ? t('Amounts are converted to {currency} at {rates}.', { currency: baseCurrency, rates: usedRates })
+        : t('Amounts are converted to {currency}.', { currency: baseCurrency })];
+};
+
+/**
+ * Checks whether a report needs the Chinese font: it is written in Chinese, or Chinese appears
+ * in the advisor's text, the client details or the compared values.
+ * @param {{template: object, details: object, rows: Array<object>, columns: Array<object>}} report - What is reported.
+ * @returns {boolean} - Whether to embed the Chinese font.
+ */
+export const needsCjkFont = ({ template, details, rows, columns }) => (
+    (template.language || DEFAULT_LANGUAGE) !== 'en'
+    || hasCjkText(template.title, template.advisorName, template.disclaimer, details.clientName, details.notes)
+    || rows.some(row => hasCjkText(row.fileName, ...columns.map(column => getCellValue(row, column))))
+);
+
+/**
+ * Lays out the client report for a comparison, charts included, into a jsPDF document.
+ * @param {object} doc - A new landscape jsPDF document.
+ * @param {Function} autoTable - The autotable plugin.
+ * @param {object} options - What to report.
+ * @param {object} options.template - The report template.
+ * @param {object} options.details - The comparison set's report details.
+ * @param {Array<object>} options.rows - The successfully extracted rows, in table order.
+ * @param {Array<object>} options.columns - The comparison table's columns.
+ * @param {Array<object>} options.detailColumns - The columns for the product pages.
+ * @param {object} options.currencySettings - The currency settings the columns were adapted to.
+ * @param {object} [options.chartOptions] - The chart settings.
+ * @param {Array<object>} [options.chartRows] - The rows to chart, in the order that sets their colours; defaults to `rows`.
+ * @param {Function} [options.loadCjkFont] - Resolves to the Chinese font file as base64, for reports that need it.
+ * @returns {Promise<void>}
+ */
+export const writeComparisonReport = async (doc, autoTable, {
+    template, details, rows, columns, detailColumns, currencySettings, chartOptions = DEFAULT_CHART_OPTIONS, chartRows = rows, loadCjkFont,
+}) => {
+    const t = createTranslator(template.language);
+    const currencies = [...new Set(chartRows.map(getRowCurrency).filter(Boolean))];
+    const chartCurrency = getChartCurrency(currencies, currencySettings, t);
+    const models = PROJECTION_CHARTS
+        .map(chart => buildProjectionChart(chart, chartRows, { ...chartOptions, toAmount: toChartAmount(currencySettings) }))
+        .filter(chart => chart.series.length > 0)
+        .map(chart => ({ ...chart, title: chartCurrency ? `${t(chart.title)} (${chartCurrency})` : t(chart.title) }));
+
+    // Without a loader the report is still written, but Chinese characters will not show
+    const font = loadCjkFont && needsCjkFont({ template, details, rows, columns: detailColumns })
+        ? addCjkFont(doc, await loadCjkFont())
+        : undefined;
+
+    buildReport(doc, autoTable, {
+        template,
+        details,
+        rows,
+        columns,
+        detailColumns,
+        footnotes: getCurrencyFootnotes(currencySettings, t),
+        charts: { models, by: chartOptions.by, legend: getLegendEntries(chartRows, chartOptions, t) },
+        font,
+    });
+};
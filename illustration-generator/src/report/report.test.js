@@ -0,0 +1,111 @@
+import { jsPDF } from 'jspdf';
+import autoTable from 'jspdf-autotable';
+import { BASE_COLUMNS, applyCurrencyView, findBestValues } from '../columns';
+import { DEFAULT_CURRENCY_SETTINGS } from '../fx';
+import { applyOverride } from '../overrides';
+import { DEFAULT_REPORT_TEMPLATE, resolveColumns, hexToRgb } from './reportTemplates';
+import { pickKeyYears } from './buildReport';
+import { writeComparisonReport } from './comparisonReport';
+
+const rates = [{ from: 'USD', to: 'HKD', rate: 7.8 }];
+
+test('finds the best value in each column in the base currency, keeping ties', () => {
+    const columns = applyCurrencyView(BASE_COLUMNS, { baseCurrency: 'USD', convert: false, rates });
+    const rows = [
+        { id: 'a', currency: 'USD', faceAmount: '200000', annualPremium: '5000', cashValueYear10: '40000' },
+        { id: 'b', currency: 'HKD', faceAmount: '1000000', annualPremium: '39000', cashValueYear10: '312000' },
+        { id: 'c', currency: 'USD', faceAmount: '150000', annualPremium: '6000', cashValueYear10: 'N/A' },
+    ];
+
+    const best = findBestValues(rows, columns);
+
+    // HK$1,000,000 is only about US$128,000
+    expect(best.get('faceAmount')).toEqual(new Set(['a']));
+    // The lowest premium wins, and equal amounts in different currencies tie
+    expect(best.get('annualPremium')).toEqual(new Set(['a', 'b']));
+    // All products with a value are equal, so nothing stands out
+    expect(best.has('cashValueYear10')).toBe(false);
+    // Text columns have no best value
+    expect(best.has('productCode')).toBe(false);
+});
+
+test('picks report columns in the template order', () => {
+    expect(resolveColumns(BASE_COLUMNS, null)).toBe(BASE_COLUMNS);
+    const columns = resolveColumns(BASE_COLUMNS, ['annualPremium', 'fileName', 'schedule:deathBenefit:age:65']);
+    expect(columns.map(column => column.key)).toEqual(['annualPremium', 'fileName']);
+});
+
+test('converts brand colours for the PDF', () => {
+    expect(hexToRgb(DEFAULT_REPORT_TEMPLATE.primaryColor)).toEqual([22, 160, 133]);
+    expect(hexToRgb('#fff')).toEqual([255, 255, 255]);
+    expect(hexToRgb('teal')).toEqual([22, 160, 133]);
+});
+
+test('shows the first ten years, every fifth year and the last year on product pages', () => {
+    const schedule = Array.from({ length: 32 }, (_, i) => ({ policyYear: i + 1 }));
+    expect(pickKeyYears(schedule).map(r => r.policyYear)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 15, 20, 25, 30, 32]);
+    expect(pickKeyYears(undefined)).toEqual([]);
+});
+
+// The strings drawn in an uncompressed jsPDF document, in drawing order
+const drawnText = (doc) => [...doc.output().matchAll(/\(((?:[^()\\]|\\.)*)\) Tj/g)].map(match => match[1].replace(/\\(.)/g, '$1'));
+
+// A product with a short schedule, enough for the charts and its product page
+const product = (id, fileName, faceAmount) => ({
+    id,
+    fileName,
+    status: 'done',
+    currency: 'USD',
+    faceAmount,
+    annualPremium: '10000',
+    overrides: {},
+    changeLog: [],
+    schedule: [1, 2, 3].map(policyYear => ({
+        policyYear,
+        age: 40 + policyYear,
+        premiumsPaid: policyYear * 10000,
+        guaranteedCashValue: policyYear * 6000,
+        nonGuaranteedCashValue: policyYear * 9000,
+        deathBenefit: Number(faceAmount),
+    })),
+});
+
+test('writes the cover, table, charts, notes, product pages and change log', async () => {
+    const faceAmount = BASE_COLUMNS.find(column => column.key === 'faceAmount');
+    const rows = [
+        applyOverride(product('1', 'alpha.pdf', '500000'), faceAmount, '550000', '2024-01-01T00:00:00.000Z'),
+        product('2', 'beta.pdf', '400000'),
+        { id: '3', fileName: 'broken.pdf', status: 'failed', error: { reason: 'no-text-layer' } },
+    ];
+    const columns = applyCurrencyView(BASE_COLUMNS, DEFAULT_CURRENCY_SETTINGS);
+    const doc = new jsPDF({ orientation: 'landscape', compress: false });
+
+    // As in the app and the command-line tool, failed files are left out of the report
+    await writeComparisonReport(doc, autoTable, {
+        template: { ...DEFAULT_REPORT_TEMPLATE, advisorName: 'Ada Lee' },
+        details: { clientName: 'Mr Chan', reportDate: '2024-02-01', notes: 'Prefers a 10 pay plan.' },
+        rows: rows.filter(row => row.status !== 'failed'),
+        columns,
+        detailColumns: columns,
+        currencySettings: DEFAULT_CURRENCY_SETTINGS,
+    });
+
+    // Cover, comparison with charts, advisor notes, two product pages and the change log
+    expect(doc.getNumberOfPages()).toBe(6);
+    const text = drawnText(doc);
+    expect(text).toEqual(expect.arrayContaining([
+        'Illustration Comparison Report',
+        'Prepared for: Mr Chan',
+        'Prepared by: Ada Lee',
+        'Illustrations compared: 2',
+        'Values shaded amber were corrected manually after extraction.',
+        'Cash Value (USD)',
+        'Advisor Notes',
+        'Prefers a 10 pay plan.',
+        'Change Log',
+        'Page 6 of 6',
+    ]));
+    const changeLog = text.indexOf('Changed At') + 1;
+    expect(text.slice(changeLog, changeLog + 4)).toEqual(['alpha.pdf', 'Face Amount', '500000', '550000']);
+    expect(text).not.toContain('broken.pdf');
+});
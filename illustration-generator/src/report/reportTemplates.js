@@ -0,0 +1,77 @@
+// === REPORT TEMPLATES ===
+// A report template holds an advisor's choices for the client-facing PDF: which columns to
+// show and in what order, which sections to include, the disclaimer, and their branding.
+// Templates are reused across comparison sets; the client's name and the advisor's notes
+// belong to each set instead.
+
+/**
+ * The built-in template, used until the advisor saves their own. It cannot be overwritten.
+ */
+export const DEFAULT_REPORT_TEMPLATE = {
+    id: 'default',
+    name: 'Standard report',
+    title: 'Illustration Comparison Report',
+    // Column keys in report order, or null for every column in table order
+    columnKeys: null,
+    advisorName: '',
+    coverPage: true,
+    highlightBest: true,
+    includeCharts: true,
+    includeNotes: true,
+    detailPages: true,
+    includeChangeLog: true,
+    pageNumbers: true,
+    // The language the report is written in, a code from LANGUAGES
+    language: 'en',
+    disclaimer: 'This comparison summarises the illustrations provided by each insurer and is for discussion only. '
+        + 'Non-guaranteed values are not guaranteed and may be higher or lower than shown. '
+        + 'Please refer to the original illustrations and policy documents for full terms.',
+    // Data URL of the logo image
+    logo: null,
+    primaryColor: '#16a085',
+};
+
+/**
+ * Fills in any options a saved template predates with their defaults.
+ * @param {object} template - A saved template.
+ * @returns {object} - The complete template.
+ */
+export const normaliseTemplate = (template) => ({ ...DEFAULT_REPORT_TEMPLATE, ...template });
+
+/**
+ * Creates a template from another one under a new name.
+ * @param {object} template - The template to copy.
+ * @param {string} name - The new template's name.
+ * @returns {object} - The new template.
+ */
+export const copyTemplate = (template, name) => ({
+    ...template,
+    id: `template-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+});
+
+/**
+ * Picks the report's columns in the template's order. Columns the template names that are not
+ * in the comparison, such as a schedule point another set added, are left out.
+ * @param {Array<object>} columns - The comparison's column definitions.
+ * @param {(Array<string>|null)} columnKeys - The template's column keys, or null for all columns.
+ * @returns {Array<object>} - The report's column definitions.
+ */
+export const resolveColumns = (columns, columnKeys) => {
+    if (!columnKeys) return columns;
+    return columnKeys
+        .map(key => columns.find(column => column.key === key))
+        .filter(Boolean);
+};
+
+/**
+ * Converts a CSS hex colour to the RGB values jsPDF expects.
+ * @param {string} hex - The colour, e.g. `'#16a085'` or `'#1a8'`.
+ * @returns {Array<number>} - The colour as `[r, g, b]`; the default brand colour when `hex` is not valid.
+ */
+export const hexToRgb = (hex) => {
+    let digits = String(hex || '').replace(/^#/, '');
+    if (/^[\da-f]{3}$/i.test(digits)) digits = digits.replace(/./g, d => d + d);
+    if (!/^[\da-f]{6}$/i.test(digits)) return hexToRgb(DEFAULT_REPORT_TEMPLATE.primaryColor);
+    return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+};
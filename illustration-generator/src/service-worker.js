@@ -0,0 +1,57 @@
+/* eslint-disable no-restricted-globals */
+// In a service worker `self` is the worker's global scope, so the browser-globals lint rule does not apply
+
+// === SERVICE WORKER ===
+// Caches the app shell, the bundled libraries, the worker chunks, the report font and the OCR
+// models, so the app loads and runs with no network at all. The build fills in
+// `self.__WB_MANIFEST` with every emitted asset.
+// Nothing is fetched from other origins and no uploaded file is ever sent anywhere.
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+import cjkFontPackage from '@expo-google-fonts/noto-sans-tc/package.json';
+import engDataPackage from '@tesseract.js-data/eng/package.json';
+import chiTraDataPackage from '@tesseract.js-data/chi_tra/package.json';
+import chiSimDataPackage from '@tesseract.js-data/chi_sim/package.json';
+
+clientsClaim();
+
+// Large files that scripts/copy-assets.mjs copies into the public folder. They are over the
+// build manifest's size limit but are needed offline, so they are precached here, revised
+// with the version of the package they come from.
+const PUBLIC_ASSETS = [
+    { url: `${process.env.PUBLIC_URL}/fonts/NotoSansTC_400Regular.ttf`, revision: cjkFontPackage.version },
+    { url: `${process.env.PUBLIC_URL}/tessdata/eng.traineddata.gz`, revision: engDataPackage.version },
+    { url: `${process.env.PUBLIC_URL}/tessdata/chi_tra.traineddata.gz`, revision: chiTraDataPackage.version },
+    { url: `${process.env.PUBLIC_URL}/tessdata/chi_sim.traineddata.gz`, revision: chiSimDataPackage.version },
+];
+
+precacheAndRoute([...self.__WB_MANIFEST, ...PUBLIC_ASSETS]);
+
+// Serve index.html for navigations, except for URLs that look like files
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+    ({ request, url }) => request.mode === 'navigate'
+        && !url.pathname.startsWith('/_')
+        && !url.pathname.match(fileExtensionRegexp),
+    createHandlerBoundToURL(process.env.PUBLIC_URL + '/index.html')
+);
+
+// Files from the public folder (icons, manifest) are not part of the build manifest
+registerRoute(
+    ({ url }) => url.origin === self.location.origin && /\.(png|ico|json)$/.test(url.pathname),
+    new StaleWhileRevalidate({
+        cacheName: 'public-files',
+        plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+    })
+);
+
+
+// Lets the page activate a new version straight away
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
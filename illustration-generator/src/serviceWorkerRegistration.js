@@ -0,0 +1,41 @@
+// === SERVICE WORKER REGISTRATION ===
+// Registers `service-worker.js` in production builds so the app can be installed and used
+// offline. Development builds skip it, because a cached app shell gets in the way of reloading.
+
+/**
+ * Registers the service worker once the page has loaded.
+ * @param {object} [callbacks] - Optional callbacks.
+ * @param {Function} [callbacks.onSuccess] - Called with the registration when the app is first cached for offline use.
+ * @param {Function} [callbacks.onUpdate] - Called with the registration when a new version is waiting to take over.
+ */
+export const register = ({ onSuccess, onUpdate } = {}) => {
+    if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+    // The service worker must come from the same origin as the page
+    const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+    if (publicUrl.origin !== window.location.origin) return;
+
+    window.addEventListener('load', () => {
+        navigator.serviceWorker
+            .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+            .then(registration => {
+                registration.onupdatefound = () => {
+                    const installing = registration.installing;
+                    if (!installing) return;
+                    installing.onstatechange = () => {
+                        if (installing.state !== 'installed') return;
+                        if (navigator.serviceWorker.controller) {
+                            // The old version keeps serving open tabs until they are closed
+                            if (onUpdate) onUpdate(registration);
+                        } else if (onSuccess) {
+                            onSuccess(registration);
+                        }
+                    };
+                };
+            })
+            .catch(err => {
+                console.error('Service worker registration failed:', err);
+            });
+    });
+};
+
@@ -3,3 +3,7 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom has no canvas and logs an error whenever one is asked for a context, which jsPDF does
+// on import to probe for one. Report no context support instead, as a browser without it would.
+HTMLCanvasElement.prototype.getContext = () => null;
@@ -0,0 +1,92 @@
+// === COMPARISON SET BUNDLES ===
+// A whole comparison set, files included, can be exported as one JSON document and
+// imported on another machine. Files are embedded as base64 under their content hash.
+
+export const BUNDLE_FORMAT = 'illustration-comparison-set';
+export const BUNDLE_VERSION = 1;
+
+// Bytes converted per String.fromCharCode call, to stay clear of argument limits.
+const CHUNK_SIZE = 0x8000;
+
+/**
+ * Encodes binary data as base64.
+ * @param {ArrayBuffer} buffer - The data.
+ * @returns {string} - The base64 text.
+ */
+const toBase64 = (buffer) => {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + CHUNK_SIZE));
+    }
+    return btoa(binary);
+};
+
+/**
+ * Decodes base64 text to bytes.
+ * @param {string} base64 - The base64 text.
+ * @returns {Uint8Array} - The data.
+ */
+const fromBase64 = (base64) => Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+
+/**
+ * Serialises a comparison set, with its files, to a JSON bundle.
+ * @param {{name: string, rows: Array<object>, comparisonPoints: Array<object>, reportDetails: object}} set - The set to export.
+ * @returns {Promise<string>} - The bundle as JSON text.
+ */
+export const exportBundle = async (set) => {
+    const files = {};
+    for (const row of set.rows) {
+        if (row.file && row.fileHash && !files[row.fileHash]) {
+            files[row.fileHash] = { type: row.file.type, data: toBase64(await row.file.arrayBuffer()) };
+        }
+    }
+
+    return JSON.stringify({
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        set: {
+            name: set.name,
+            comparisonPoints: set.comparisonPoints || [],
+            reportDetails: set.reportDetails || {},
+            rows: set.rows.map(({ file, ...row }) => row),
+        },
+        files,
+    });
+};
+
+/**
+ * Reads a JSON bundle back into a comparison set.
+ * @param {string} text - The bundle's JSON text.
+ * @returns {{name: string, rows: Array<object>, comparisonPoints: Array<object>, reportDetails: object}} - The set, with each row's file restored.
+ * @throws {Error} - When the text is not a bundle this version can read.
+ */
+export const importBundle = (text) => {
+    let bundle;
+    try {
+        bundle = JSON.parse(text);
+    } catch (err) {
+        throw new Error('The file is not a valid comparison set bundle.');
+    }
+    if (bundle?.format !== BUNDLE_FORMAT || !bundle.set || !Array.isArray(bundle.set.rows)) {
+        throw new Error('The file is not a valid comparison set bundle.');
+    }
+    if (bundle.version > BUNDLE_VERSION) {
+        throw new Error('This bundle was exported by a newer version of the app.');
+    }
+
+    const files = bundle.files || {};
+    return {
+        name: bundle.set.name,
+        comparisonPoints: bundle.set.comparisonPoints || [],
+        reportDetails: bundle.set.reportDetails || {},
+        rows: bundle.set.rows.map(row => {
+            const stored = row.fileHash && files[row.fileHash];
+            return {
+                ...row,
+                file: stored ? new File([fromBase64(stored.data)], row.fileName, { type: stored.type }) : null,
+            };
+        }),
+    };
+};
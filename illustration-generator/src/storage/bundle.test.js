@@ -0,0 +1,31 @@
+import { exportBundle, importBundle } from './bundle';
+
+// jsdom's File cannot be read back, so the exported file only needs what exportBundle uses
+const fakeFile = (bytes) => ({ type: 'application/pdf', arrayBuffer: async () => new Uint8Array(bytes).buffer });
+
+test('round-trips a comparison set with its files', async () => {
+    const set = {
+        name: 'Chan family',
+        comparisonPoints: [{ by: 'age', value: 65, field: 'nonGuaranteedCashValue' }],
+        reportDetails: { clientName: 'Mr Chan', notes: 'Prefers a 10 pay plan.' },
+        rows: [
+            { id: '1', fileName: 'a.pdf', fileHash: 'abc', faceAmount: '100', overrides: {}, file: fakeFile([37, 80, 68, 70]) },
+            { id: '2', fileName: 'b.pdf', fileHash: 'def', status: 'failed', file: null },
+        ],
+    };
+
+    const imported = importBundle(await exportBundle(set));
+
+    expect(imported.name).toBe('Chan family');
+    expect(imported.comparisonPoints).toEqual(set.comparisonPoints);
+    expect(imported.reportDetails).toEqual(set.reportDetails);
+    expect(imported.rows[0]).toMatchObject({ id: '1', fileName: 'a.pdf', faceAmount: '100' });
+    expect(imported.rows[0].file.name).toBe('a.pdf');
+    expect(imported.rows[0].file.size).toBe(4);
+    expect(imported.rows[1].file).toBeNull();
+});
+
+test('rejects files that are not bundles', () => {
+    expect(() => importBundle('not json')).toThrow('not a valid comparison set bundle');
+    expect(() => importBundle(JSON.stringify({ format: 'other' }))).toThrow('not a valid comparison set bundle');
+});
@@ -0,0 +1,10 @@
+/**
+ * Computes a SHA-256 hash of a file's contents, used to recognise the same document
+ * even when it is uploaded under a different name.
+ * @param {Blob} file - The file to hash.
+ * @returns {Promise<string>} - The hash as a lowercase hex string.
+ */
+export const hashFile = async (file) => {
+    const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
@@ -0,0 +1,173 @@
+// === WORKSPACE STORAGE ===
+// Comparison sets are kept in IndexedDB so work survives a reload. Each set record holds
+// its rows (extracted data, overrides and change logs) without their files; the PDF blobs
+// live in a separate store keyed by content hash, so a file shared by several sets is
+// stored once and rows can be re-linked to their file when a set is opened.
+
+const DB_NAME = 'illustration-generator';
+const DB_VERSION = 1;
+const SETS_STORE = 'sets';
+const FILES_STORE = 'files';
+
+let dbPromise = null;
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request - The request.
+ * @returns {Promise<*>} - Resolves with the request's result.
+ */
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Opens (and on first use creates) the workspace database.
+ * @returns {Promise<IDBDatabase>} - The open database.
+ */
+const openDb = () => {
+    if (!dbPromise) {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('IndexedDB is not available in this browser.'));
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(SETS_STORE)) db.createObjectStore(SETS_STORE, { keyPath: 'id' });
+            if (!db.objectStoreNames.contains(FILES_STORE)) db.createObjectStore(FILES_STORE, { keyPath: 'hash' });
+        };
+        dbPromise = promisify(request).catch(err => {
+            dbPromise = null;
+            throw err;
+        });
+    }
+    return dbPromise;
+};
+
+/**
+ * Runs a function against object stores in a single transaction.
+ * @param {Array<string>} storeNames - The stores the transaction covers.
+ * @param {string} mode - 'readonly' or 'readwrite'.
+ * @param {Function} fn - Called with the stores, in the order named; may return a request.
+ * @returns {Promise<*>} - Resolves with the request's result once the transaction completes.
+ */
+const withStores = async (storeNames, mode, fn) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, mode);
+        const request = fn(...storeNames.map(name => transaction.objectStore(name)));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+/**
+ * Strips a row of its file, keeping only the hash that links it to the stored blob.
+ * @param {object} row - A row of extracted data.
+ * @returns {object} - The row as stored.
+ */
+const toStoredRow = ({ file, ...row }) => row;
+
+/**
+ * Lists the saved comparison sets, most recently updated first.
+ * @returns {Promise<Array<{id: string, name: string, updatedAt: string, rowCount: number}>>} - The sets.
+ */
+export const listSets = async () => {
+    const sets = await withStores([SETS_STORE], 'readonly', store => store.getAll());
+    return sets
+        .map(({ id, name, updatedAt, rows }) => ({ id, name, updatedAt, rowCount: rows.length }))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+/**
+ * Loads a comparison set, re-linking each row to its stored file.
+ * @param {string} id - The set id.
+ * @returns {Promise<(object|null)>} - The set with `rows` ready for the table, or null when it does not exist.
+ */
+export const loadSet = async (id) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([SETS_STORE, FILES_STORE], 'readonly');
+        const files = transaction.objectStore(FILES_STORE);
+        promisify(transaction.objectStore(SETS_STORE).get(id)).then(set => {
+            if (!set) {
+                resolve(null);
+                return;
+            }
+            Promise.all(set.rows.map(row => (row.fileHash
+                ? promisify(files.get(row.fileHash)).then(stored => ({
+                    ...row,
+                    file: stored ? new File([stored.blob], row.fileName, { type: stored.type }) : null,
+                }))
+                : { ...row, file: null }
+            ))).then(rows => resolve({ ...set, rows }), reject);
+        }, reject);
+    });
+};
+
+/**
+ * Deletes the stored files that no set refers to any more, such as the file of a row removed
+ * from a set: they are client documents, so none are kept once nothing uses them.
+ * @param {IDBObjectStore} sets - The sets store, in a read-write transaction.
+ * @param {IDBObjectStore} files - The files store, in the same transaction.
+ */
+const deleteUnusedFiles = (sets, files) => {
+    const all = sets.getAll();
+    all.onsuccess = () => {
+        const stillUsed = new Set(all.result.flatMap(set => set.rows.map(row => row.fileHash)));
+        const hashes = files.getAllKeys();
+        hashes.onsuccess = () => hashes.result
+            .filter(hash => !stillUsed.has(hash))
+            .forEach(hash => files.delete(hash));
+    };
+};
+
+/**
+ * Saves a comparison set and any of its files not already stored, and deletes the files of
+ * rows removed since it was last saved.
+ * @param {{id: string, name: string, createdAt: string, rows: Array<object>, comparisonPoints: Array<object>, reportDetails: object}} set - The set to save.
+ * @returns {Promise<void>}
+ */
+export const saveSet = (set) => withStores([SETS_STORE, FILES_STORE], 'readwrite', (sets, files) => {
+    set.rows.forEach(row => {
+        if (!row.file || !row.fileHash) return;
+        // Only write the blob when this content is not stored yet
+        const lookup = files.getKey(row.fileHash);
+        lookup.onsuccess = () => {
+            if (lookup.result === undefined) {
+                files.put({ hash: row.fileHash, type: row.file.type, blob: row.file });
+            }
+        };
+    });
+    sets.put({ ...set, rows: set.rows.map(toStoredRow), updatedAt: new Date().toISOString() });
+    deleteUnusedFiles(sets, files);
+});
+
+/**
+ * Deletes a comparison set, along with any files no other set refers to.
+ * @param {string} id - The set id.
+ * @returns {Promise<void>}
+ */
+export const deleteSet = (id) => withStores([SETS_STORE, FILES_STORE], 'readwrite', (sets, files) => {
+    sets.delete(id);
+    deleteUnusedFiles(sets, files);
+});
+
+/**
+ * Creates a new, empty comparison set record (not yet saved).
+ * @param {string} name - The set's name, e.g. the client case.
+ * @returns {object} - The set.
+ */
+export const createSetRecord = (name) => {
+    const now = new Date().toISOString();
+    return {
+        id: `set-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        name,
+        createdAt: now,
+        updatedAt: now,
+        rows: [],
+        comparisonPoints: [],
+        reportDetails: {},
+    };
+};
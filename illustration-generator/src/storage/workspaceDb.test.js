@@ -0,0 +1,39 @@
+import 'fake-indexeddb/auto';
+import { saveSet, deleteSet, loadSet, createSetRecord } from './workspaceDb';
+
+// fake-indexeddb cannot clone jsdom's Blob, so the stored file is a plain stand-in
+const pdf = { type: 'application/pdf' };
+const row = (id, fileHash) => ({ id, fileName: `${id}.pdf`, fileHash, file: pdf, overrides: {}, changeLog: [] });
+
+// The hashes of the files stored, read straight from the database
+const storedHashes = () => new Promise((resolve, reject) => {
+    const request = indexedDB.open('illustration-generator');
+    request.onsuccess = () => {
+        const keys = request.result.transaction('files').objectStore('files').getAllKeys();
+        keys.onsuccess = () => {
+            request.result.close();
+            resolve([...keys.result].sort());
+        };
+        keys.onerror = () => reject(keys.error);
+    };
+    request.onerror = () => reject(request.error);
+});
+
+test('deletes the files of removed rows once no set refers to them', async () => {
+    const first = { ...createSetRecord('Chan family'), rows: [row('a', 'aaa'), row('b', 'bbb')] };
+    const second = { ...createSetRecord('Wong family'), rows: [row('c', 'bbb')] };
+    await saveSet(first);
+    await saveSet(second);
+    expect(await storedHashes()).toEqual(['aaa', 'bbb']);
+
+    // Still used by the second set
+    await saveSet({ ...first, rows: [row('a', 'aaa')] });
+    expect(await storedHashes()).toEqual(['aaa', 'bbb']);
+
+    await saveSet({ ...second, rows: [] });
+    expect(await storedHashes()).toEqual(['aaa']);
+    expect((await loadSet(first.id)).rows.map(r => r.file !== null)).toEqual([true]);
+
+    await deleteSet(first.id);
+    expect(await storedHashes()).toEqual([]);
+});
@@ -0,0 +1,184 @@
+import { getCellValue, getNumericValue, getSortValue } from './columns';
+import { parseAmount } from './extraction/money';
+
+// === TABLE VIEWS ===
+// A table view is everything the user can set about how the comparison table looks: the
+// search text, per-column filters, which columns are shown and in what order, and the sort
+// keys. Views can be saved by name and reloaded; the table, its exports and the charts all
+// show the rows the view selects.
+
+/**
+ * The view the table starts with: every column, sorted by file name.
+ */
+export const DEFAULT_TABLE_VIEW = {
+    filterText: '',
+    // Per-column filters by column key: `{ min, max }` ranges, `{ values }` pick-lists or `{ text }` searches
+    filters: {},
+    hiddenColumns: [],
+    // Column keys in display order, or null for the natural order
+    columnOrder: null,
+    // Sort keys, most significant first
+    sort: [{ key: 'fileName', direction: 'ascending' }],
+};
+
+// The pick-list entry for rows without a value.
+export const NO_VALUE = '(none)';
+
+/**
+ * How a column is filtered.
+ * @param {object} column - The column definition.
+ * @returns {string} - `'range'` for numbers, `'options'` for pick-lists, otherwise `'text'`.
+ */
+export const getFilterKind = (column) => column.filter || (column.numeric ? 'range' : 'text');
+
+/**
+ * Reads the value a pick-list filter compares.
+ * @param {object} row - A row of extracted data.
+ * @param {object} column - The column definition.
+ * @returns {string} - The value, or `NO_VALUE`.
+ */
+const getOptionValue = (row, column) => {
+    const value = column.getFilterValue ? column.getFilterValue(row) : getCellValue(row, column);
+    return value === undefined || value === null || value === '' || value === 'N/A' ? NO_VALUE : String(value);
+};
+
+/**
+ * The choices for a pick-list filter: the column's distinct values, sorted.
+ * @param {Array<object>} rows - The rows of extracted data.
+ * @param {object} column - The column definition.
+ * @returns {Array<string>} - The values.
+ */
+export const getFilterOptions = (rows, column) => [...new Set(
+    rows.filter(row => row.status !== 'failed').map(row => getOptionValue(row, column))
+)].sort((a, b) => (a === NO_VALUE) - (b === NO_VALUE) || a.localeCompare(b));
+
+/**
+ * Whether a filter restricts anything.
+ * @param {object} [filter] - The filter.
+ * @returns {boolean} - True when the filter is set.
+ */
+export const isFilterActive = (filter) => Boolean(filter) && (
+    Boolean(filter.values?.length) || Boolean(filter.text?.trim()) || parseAmount(filter.min) !== null || parseAmount(filter.max) !== null
+);
+
+/**
+ * Checks a row against one column's filter. Ranges are inclusive and compare the number shown
+ * in the table, so "Face Amount from 500,000" means what it says; percentages are entered as
+ * shown, e.g. 4.5 for 4.5%.
+ * @param {object} row - A row of extracted data.
+ * @param {object} column - The column definition.
+ * @param {object} filter - The column's filter.
+ * @returns {boolean} - True when the row passes.
+ */
+export const matchesFilter = (row, column, filter) => {
+    if (!isFilterActive(filter)) return true;
+    if (row.status === 'failed') return false;
+    switch (getFilterKind(column)) {
+        case 'range': {
+            const number = getNumericValue(row, column);
+            if (number === null) return false;
+            const value = column.numberFormat === 'percent' ? number * 100 : number;
+            const min = parseAmount(filter.min);
+            const max = parseAmount(filter.max);
+            return (min === null || value >= min) && (max === null || value <= max);
+        }
+        case 'options':
+            return !filter.values?.length || filter.values.includes(getOptionValue(row, column));
+        default:
+            return String(getCellValue(row, column) ?? '').toLowerCase().includes((filter.text || '').trim().toLowerCase());
+    }
+};
+
+/**
+ * The columns to show, in the view's order. Columns the view does not know, such as a newly
+ * added schedule point, follow in their natural order.
+ * @param {Array<object>} columns - All column definitions.
+ * @param {object} view - The table view.
+ * @returns {Array<object>} - The visible columns.
+ */
+export const getVisibleColumns = (columns, { columnOrder, hiddenColumns }) => {
+    const ordered = columnOrder
+        ? [
+            ...columnOrder.map(key => columns.find(column => column.key === key)).filter(Boolean),
+            ...columns.filter(column => !columnOrder.includes(column.key)),
+        ]
+        : columns;
+    return ordered.filter(column => !hiddenColumns.includes(column.key));
+};
+
+/**
+ * Compares two rows on the view's sort keys in turn. Missing values sort last in either direction.
+ * @param {object} a - A row.
+ * @param {object} b - Another row.
+ * @param {Array<{column: object, direction: string}>} sortKeys - The sort keys with their columns.
+ * @returns {number} - Negative, zero or positive, as for `Array.prototype.sort`.
+ */
+const compareRows = (a, b, sortKeys) => {
+    for (const { column, direction } of sortKeys) {
+        const valA = getSortValue(a, column);
+        const valB = getSortValue(b, column);
+        if (valA === null || valB === null) {
+            if (valA !== valB) return (valA === null) - (valB === null);
+            continue;
+        }
+        if (valA !== valB) {
+            const order = valA < valB ? -1 : 1;
+            return direction === 'ascending' ? order : -order;
+        }
+    }
+    return 0;
+};
+
+/**
+ * Applies a view's search, filters and sort to the rows. Files that failed to process have no
+ * values, so they are hidden while any column filter is set.
+ * @param {Array<object>} rows - The rows of extracted data.
+ * @param {Array<object>} columns - All column definitions.
+ * @param {object} view - The table view.
+ * @returns {Array<object>} - The matching rows, sorted.
+ */
+export const applyTableView = (rows, columns, view) => {
+    const search = view.filterText.trim().toLowerCase();
+    const visible = getVisibleColumns(columns, view);
+    const filters = columns
+        .filter(column => isFilterActive(view.filters[column.key]))
+        .map(column => ({ column, filter: view.filters[column.key] }));
+    const sortKeys = view.sort
+        .map(({ key, direction }) => ({ column: columns.find(column => column.key === key), direction }))
+        .filter(({ column }) => column);
+
+    return rows
+        .filter(row => !search || visible.some(column => getCellValue(row, column)?.toString().toLowerCase().includes(search)))
+        .filter(row => filters.every(({ column, filter }) => matchesFilter(row, column, filter)))
+        .sort((a, b) => compareRows(a, b, sortKeys));
+};
+
+/**
+ * Changes the sort when a column heading is clicked. A plain click sorts by that column alone,
+ * or reverses it; with `addKey` (shift-click) the column is added as the next sort key, or
+ * reversed if it is already one.
+ * @param {Array<{key: string, direction: string}>} sort - The current sort keys.
+ * @param {string} key - The clicked column's key.
+ * @param {boolean} addKey - Whether to keep the other sort keys.
+ * @returns {Array<{key: string, direction: string}>} - The new sort keys.
+ */
+export const toggleSort = (sort, key, addKey) => {
+    const existing = sort.find(s => s.key === key);
+    const flipped = existing?.direction === 'ascending' ? 'descending' : 'ascending';
+    if (!addKey) return [{ key, direction: existing && sort.length === 1 ? flipped : 'ascending' }];
+    return existing
+        ? sort.map(s => (s.key === key ? { key, direction: flipped } : s))
+        : [...sort, { key, direction: 'ascending' }];
+};
+
+/**
+ * Drops a column from a view, e.g. when its comparison point is removed.
+ * @param {object} view - The table view.
+ * @param {string} key - The column key.
+ * @returns {object} - The view without the column's filter and sort key.
+ */
+export const removeColumnFromView = (view, key) => {
+    const { [key]: removed, ...filters } = view.filters;
+    const sort = view.sort.filter(s => s.key !== key);
+    return { ...view, filters, sort: sort.length > 0 ? sort : DEFAULT_TABLE_VIEW.sort };
+};
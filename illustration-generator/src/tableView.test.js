@@ -0,0 +1,62 @@
+import { BASE_COLUMNS, scheduleColumn } from './columns';
+import {
+    DEFAULT_TABLE_VIEW, applyTableView, getVisibleColumns, getFilterOptions, toggleSort, removeColumnFromView, NO_VALUE,
+} from './tableView';
+
+const irr = scheduleColumn({ by: 'year', value: 2, field: 'irr' });
+const columns = [...BASE_COLUMNS, irr];
+const schedule = (cashValue) => [
+    { policyYear: 1, premiumsPaid: 1000, nonGuaranteedCashValue: 0 },
+    { policyYear: 2, premiumsPaid: 2000, nonGuaranteedCashValue: cashValue },
+];
+const rows = [
+    { id: 'a', fileName: 'a.pdf', productCode: 'WL10', currency: 'USD', spRating: 'AA', faceAmount: '500000', schedule: schedule(2100) },
+    { id: 'b', fileName: 'b.pdf', productCode: 'UL1', currency: 'HKD', spRating: 'A+', faceAmount: '1,000,000', schedule: schedule(1900) },
+    { id: 'c', fileName: 'c.pdf', productCode: 'WL20', currency: 'USD', spRating: 'AA', faceAmount: '250000' },
+    { id: 'd', fileName: 'd.pdf', status: 'failed', error: { message: 'No text' } },
+];
+const ids = list => list.map(row => row.id);
+const view = changes => ({ ...DEFAULT_TABLE_VIEW, ...changes });
+
+test('filters numeric ranges, pick-lists and text per column', () => {
+    expect(ids(applyTableView(rows, columns, view({ filters: { faceAmount: { min: '500,000' } } })))).toEqual(['a', 'b']);
+    expect(ids(applyTableView(rows, columns, view({ filters: { faceAmount: { min: '300000', max: '600000' } } })))).toEqual(['a']);
+    expect(ids(applyTableView(rows, columns, view({ filters: { currency: { values: ['USD'] }, spRating: { values: ['AA'] } } })))).toEqual(['a', 'c']);
+    expect(ids(applyTableView(rows, columns, view({ filters: { productCode: { text: 'wl' } } })))).toEqual(['a', 'c']);
+    // IRR is entered as a percentage
+    expect(ids(applyTableView(rows, columns, view({ filters: { [irr.key]: { min: '3' } } })))).toEqual(['a']);
+    // Empty filters do not hide anything, including failed files
+    expect(ids(applyTableView(rows, columns, view({ filters: { faceAmount: { min: '', max: '' } } })))).toEqual(['a', 'b', 'c', 'd']);
+});
+
+test('searches only the visible columns', () => {
+    expect(ids(applyTableView(rows, columns, view({ filterText: 'ul1' })))).toEqual(['b']);
+    expect(ids(applyTableView(rows, columns, view({ filterText: 'ul1', hiddenColumns: ['productCode'] })))).toEqual([]);
+});
+
+test('sorts on several columns with missing values last', () => {
+    const sort = [{ key: 'spRating', direction: 'descending' }, { key: 'faceAmount', direction: 'ascending' }];
+    expect(ids(applyTableView(rows, columns, view({ sort })))).toEqual(['c', 'a', 'b', 'd']);
+
+    expect(toggleSort(sort, 'faceAmount', true)).toEqual([sort[0], { key: 'faceAmount', direction: 'descending' }]);
+    expect(toggleSort(sort, 'fileName', true)).toEqual([...sort, { key: 'fileName', direction: 'ascending' }]);
+    expect(toggleSort(sort, 'faceAmount', false)).toEqual([{ key: 'faceAmount', direction: 'ascending' }]);
+    expect(toggleSort([{ key: 'faceAmount', direction: 'ascending' }], 'faceAmount', false)).toEqual([{ key: 'faceAmount', direction: 'descending' }]);
+});
+
+test('orders and hides columns, keeping new columns at the end', () => {
+    const visible = getVisibleColumns(columns, view({ columnOrder: ['faceAmount', 'fileName'], hiddenColumns: ['template'] }));
+    expect(visible.map(column => column.key).slice(0, 4)).toEqual(['faceAmount', 'fileName', 'productCode', 'currency']);
+    expect(visible[visible.length - 1]).toBe(irr);
+    expect(visible.some(column => column.key === 'template')).toBe(false);
+});
+
+test('lists pick-list choices and drops removed columns from the view', () => {
+    expect(getFilterOptions(rows, BASE_COLUMNS.find(column => column.key === 'currency'))).toEqual(['HKD', 'USD']);
+    expect(getFilterOptions([...rows, { id: 'e', fileName: 'e.pdf' }], BASE_COLUMNS.find(column => column.key === 'spRating')))
+        .toEqual(['A+', 'AA', NO_VALUE]);
+
+    const cleaned = removeColumnFromView(view({ filters: { [irr.key]: { min: '3' } }, sort: [{ key: irr.key, direction: 'ascending' }] }), irr.key);
+    expect(cleaned.filters).toEqual({});
+    expect(cleaned.sort).toEqual(DEFAULT_TABLE_VIEW.sort);
+});
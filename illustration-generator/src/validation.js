@@ -0,0 +1,239 @@
+import { BASE_COLUMNS, getCellValue, getRowCurrency } from './columns';
+import { toNumber } from './metrics';
+import { toCurrencyCode } from './extraction/money';
+import { LOW_OCR_CONFIDENCE } from './extraction/ocr';
+import { createTranslator } from './i18n';
+
+// === VALIDATION RULES ===
+// Cross-field checks that flag values which are probably extraction mistakes, such as a rule
+// matching the wrong line of a document. Rules read the values shown in the table, so a manual
+// correction clears the problems it fixes. Each problem is an error (almost certainly wrong) or
+// a warning (worth a look), and names the fields it concerns; problems that name no field are
+// about the row as a whole and are shown against its file name. Messages and descriptions are
+// written in English and translated when the rules run.
+
+// Money fields read from the document's summary.
+const AMOUNT_FIELDS = [
+    'faceAmount', 'annualPremium', 'total10PayPremium',
+    'cashValueYear10', 'cashValueYear20', 'cashValueYear30',
+];
+
+// How far the 10-pay total may be from ten annual premiums, e.g. for prepayment discounts or levies.
+const TEN_PAY_TOLERANCE = 0.2;
+
+// The largest fall in cash value between summary years that is not flagged.
+const MAX_CASH_VALUE_DROP = 0.2;
+
+// Guaranteed crediting rates above this are not plausible.
+const MAX_GUARANTEED_RATE = 15;
+
+// Whole amounts up to this size look like an age or a policy year rather than money.
+const AGE_LIKE_LIMIT = 120;
+
+// Summary fields read from the document, which may have been read by OCR.
+const DOCUMENT_FIELDS = BASE_COLUMNS.filter(column => column.editable !== false && !column.computed).map(column => column.key);
+
+/**
+ * Reads a summary field as shown in the table, as a number.
+ * @param {object} row - A row of extracted data.
+ * @param {string} key - The field key.
+ * @returns {(number|null)} - The value, or null when it is missing or not numeric.
+ */
+const readNumber = (row, key) => toNumber(readText(row, key));
+
+/**
+ * Reads a summary field as shown in the table.
+ * @param {object} row - A row of extracted data.
+ * @param {string} key - The field key.
+ * @returns {(string|null)} - The value, or null when it is missing.
+ */
+const readText = (row, key) => {
+    const value = getCellValue(row, BASE_COLUMNS.find(column => column.key === key));
+    return value === undefined || value === null || value === '' || value === 'N/A' ? null : String(value);
+};
+
+const format = value => value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+
+/**
+ * The rules, each with an `id`, a `severity`, the `fields` it concerns, a `description` of
+ * what it checks, and a `check` that returns the problems it finds in a row: a message, a list
+ * of `{ message, fields }`, or null when the row passes. `check` is called with the row and
+ * the translation function for its messages.
+ */
+export const VALIDATION_RULES = [
+    {
+        id: 'requiredAmounts',
+        severity: 'warning',
+        fields: ['faceAmount', 'annualPremium'],
+        description: 'The face amount and annual premium are needed for most comparisons and metrics.',
+        check: (row, t) => ['faceAmount', 'annualPremium']
+            .filter(key => readNumber(row, key) === null)
+            .map(key => ({ message: key === 'faceAmount' ? t('No face amount was found.') : t('No annual premium was found.'), fields: [key] })),
+    },
+    {
+        id: 'ageLikeAmount',
+        severity: 'warning',
+        fields: AMOUNT_FIELDS,
+        description: 'A small whole number in an amount field is usually an age, policy year or page number matched by mistake.',
+        check: (row, t) => AMOUNT_FIELDS
+            .filter(key => {
+                const value = readNumber(row, key);
+                return value !== null && value > 0 && value <= AGE_LIKE_LIMIT && Number.isInteger(value);
+            })
+            .map(key => ({ message: t('{value} looks like an age or year rather than an amount.', { value: format(readNumber(row, key)) }), fields: [key] })),
+    },
+    {
+        id: 'tenPayTotal',
+        severity: 'warning',
+        fields: ['total10PayPremium', 'annualPremium'],
+        description: 'The total premium of a 10-pay plan should be close to ten annual premiums.',
+        check: (row, t) => {
+            const total = readNumber(row, 'total10PayPremium');
+            const annual = readNumber(row, 'annualPremium');
+            if (total === null || annual === null || annual <= 0) return null;
+            const ratio = total / (annual * 10);
+            return Math.abs(ratio - 1) > TEN_PAY_TOLERANCE
+                ? t('The 10-pay total of {total} is {ratio} times the annual premium, not about 10.', { total: format(total), ratio: format(Math.round(ratio * 1000) / 100) })
+                : null;
+        },
+    },
+    {
+        id: 'premiumAboveFace',
+        severity: 'error',
+        fields: ['annualPremium', 'faceAmount'],
+        description: 'An annual premium larger than the face amount usually means the two were swapped or misread.',
+        check: (row, t) => {
+            const annual = readNumber(row, 'annualPremium');
+            const face = readNumber(row, 'faceAmount');
+            return annual !== null && face !== null && face > 0 && annual > face
+                ? t('The annual premium ({annual}) is larger than the face amount ({face}).', { annual: format(annual), face: format(face) })
+                : null;
+        },
+    },
+    {
+        id: 'cashValueDrop',
+        severity: 'warning',
+        fields: ['cashValueYear10', 'cashValueYear20', 'cashValueYear30'],
+        description: 'Cash values normally grow over time; a sharp fall between summary years suggests a value was read from the wrong row.',
+        check: (row, t) => {
+            const years = [10, 20, 30].map(year => ({ year, key: `cashValueYear${year}`, value: readNumber(row, `cashValueYear${year}`) }));
+            const problems = [];
+            for (let i = 1; i < years.length; i++) {
+                const earlier = years.slice(0, i).reverse().find(y => y.value !== null);
+                const later = years[i];
+                if (earlier && later.value !== null && later.value < earlier.value * (1 - MAX_CASH_VALUE_DROP)) {
+                    problems.push({
+                        message: t('The cash value falls from {from} in year {fromYear} to {to} in year {toYear}.', {
+                            from: format(earlier.value), fromYear: earlier.year, to: format(later.value), toYear: later.year,
+                        }),
+                        fields: [earlier.key, later.key],
+                    });
+                }
+            }
+            return problems;
+        },
+    },
+    {
+        id: 'guaranteedRate',
+        severity: 'error',
+        fields: ['guaranteedInterestRate'],
+        description: `The guaranteed rate should be a percentage between 0% and ${MAX_GUARANTEED_RATE}%.`,
+        check: (row, t) => {
+            const text = readText(row, 'guaranteedInterestRate');
+            if (text === null) return null;
+            const match = text.match(/^\s*(\d+(?:\.\d+)?)\s*%?\s*(?:p\.?\s*a\.?|per\s+annum)?\s*$/i);
+            if (!match) return t('"{text}" does not look like a rate.', { text });
+            const rate = parseFloat(match[1]);
+            return rate > MAX_GUARANTEED_RATE ? t('A guaranteed rate of {rate}% is not plausible.', { rate }) : null;
+        },
+    },
+    {
+        id: 'currencyCode',
+        severity: 'error',
+        fields: ['currency'],
+        description: 'Amounts can only be compared and converted when their currency is recognised.',
+        check: (row, t) => {
+            const text = readText(row, 'currency');
+            if (text !== null && !toCurrencyCode(text)) return t('"{text}" is not a recognised currency.', { text });
+            if (text === null && !getRowCurrency(row)) return { message: t('No currency was found.'), fields: ['currency'] };
+            return null;
+        },
+    },
+    {
+        id: 'guaranteedAboveTotal',
+        severity: 'warning',
+        fields: [],
+        description: 'In the policy value schedule, the guaranteed cash value should not exceed the total cash value.',
+        check: (row, t) => {
+            const bad = (row.schedule || []).filter(r => (
+                typeof r.guaranteedCashValue === 'number' && typeof r.nonGuaranteedCashValue === 'number'
+                && r.guaranteedCashValue > r.nonGuaranteedCashValue
+            ));
+            if (bad.length === 0) return null;
+            return t(bad.length === 1
+                ? "The schedule's guaranteed cash value is above the total cash value in {count} year (first in year {year}); its columns may be misread."
+                : "The schedule's guaranteed cash value is above the total cash value in {count} years (first in year {year}); its columns may be misread.",
+            { count: bad.length, year: bad[0].policyYear });
+        },
+    },
+    {
+        id: 'ocrConfidence',
+        severity: 'warning',
+        fields: DOCUMENT_FIELDS,
+        description: `Values read from a scanned page by OCR with less than ${LOW_OCR_CONFIDENCE * 100}% confidence may be misread.`,
+        check: (row, t) => DOCUMENT_FIELDS
+            .filter(key => !row.overrides?.[key] && row.provenance?.[key]?.confidence < LOW_OCR_CONFIDENCE)
+            .map(key => ({
+                message: t('Read by OCR with only {confidence}% confidence.', { confidence: Math.round(row.provenance[key].confidence * 100) }),
+                fields: [key],
+            })),
+    },
+];
+
+/**
+ * Runs every rule against a row. Files that failed to process are not checked.
+ * @param {object} row - A row of extracted data.
+ * @param {Function} [t] - The translation function for messages and descriptions; English by default.
+ * @returns {Array<{ruleId: string, severity: string, message: string, description: string, fields: Array<string>}>} - The problems found.
+ */
+export const validateRow = (row, t = createTranslator()) => {
+    if (row.status === 'failed') return [];
+    return VALIDATION_RULES.flatMap(rule => [].concat(rule.check(row, t) || []).map(problem => ({
+        ruleId: rule.id,
+        severity: rule.severity,
+        description: t(rule.description),
+        message: typeof problem === 'string' ? problem : problem.message,
+        fields: typeof problem === 'string' ? rule.fields : problem.fields,
+    })));
+};
+
+/**
+ * Picks the problems to show in one cell. Problems about the row as a whole go with the file name.
+ * @param {Array<object>} issues - The row's problems.
+ * @param {object} column - The column definition.
+ * @returns {Array<object>} - The problems for the cell.
+ */
+export const getCellIssues = (issues, column) => issues.filter(issue => (
+    issue.fields.length === 0 ? column.key === 'fileName' : issue.fields.includes(column.key)
+));
+
+/**
+ * Counts problems by severity.
+ * @param {Array<object>} issues - The problems.
+ * @returns {{errors: number, warnings: number}} - The counts.
+ */
+export const countIssues = (issues) => ({
+    errors: issues.filter(issue => issue.severity === 'error').length,
+    warnings: issues.filter(issue => issue.severity === 'warning').length,
+});
+
+/**
+ * Describes a count of problems, e.g. "1 error and 2 warnings".
+ * @param {{errors: number, warnings: number}} counts - The counts.
+ * @param {Function} [t] - The translation function; English by default.
+ * @returns {string} - The description, or 'no problems'.
+ */
+export const describeCounts = ({ errors, warnings }, t = createTranslator()) => [
+    errors > 0 ? t(errors === 1 ? '{count} error' : '{count} errors', { count: errors }) : null,
+    warnings > 0 ? t(warnings === 1 ? '{count} warning' : '{count} warnings', { count: warnings }) : null,
+].filter(Boolean).join(t(' and ')) || t('no problems');
@@ -0,0 +1,68 @@
+import { BASE_COLUMNS } from './columns';
+import { applyOverride } from './overrides';
+import { validateRow, getCellIssues, countIssues } from './validation';
+
+const column = key => BASE_COLUMNS.find(c => c.key === key);
+const good = {
+    id: 'a',
+    fileName: 'a.pdf',
+    currency: 'USD',
+    faceAmount: '500000',
+    annualPremium: '10000',
+    total10PayPremium: '100000',
+    guaranteedInterestRate: '3.5%',
+    cashValueYear10: '90000',
+    cashValueYear20: '160000',
+    cashValueYear30: '250000',
+};
+const rules = row => validateRow(row).map(issue => issue.ruleId);
+
+test('passes plausible rows and skips failed files', () => {
+    expect(validateRow(good)).toEqual([]);
+    expect(validateRow({ id: 'b', fileName: 'b.pdf', status: 'failed' })).toEqual([]);
+});
+
+test('flags values that do not fit together', () => {
+    expect(rules({ ...good, total10PayPremium: '10000' })).toEqual(['tenPayTotal']);
+    expect(rules({ ...good, annualPremium: '600000', total10PayPremium: '6000000' })).toEqual(['premiumAboveFace']);
+
+    const drop = validateRow({ ...good, cashValueYear20: '65' });
+    expect(drop.map(issue => issue.ruleId)).toEqual(['ageLikeAmount', 'cashValueDrop']);
+    expect(drop[1].fields).toEqual(['cashValueYear10', 'cashValueYear20']);
+    expect(drop[1].message).toBe('The cash value falls from 90,000 in year 10 to 65 in year 20.');
+});
+
+test('checks rates and currencies', () => {
+    expect(rules({ ...good, guaranteedInterestRate: '4 % p.a.' })).toEqual([]);
+    expect(validateRow({ ...good, guaranteedInterestRate: '45%' })[0]).toMatchObject({ severity: 'error', fields: ['guaranteedInterestRate'] });
+    expect(rules({ ...good, guaranteedInterestRate: 'Age 65' })).toEqual(['guaranteedRate']);
+
+    expect(rules({ ...good, currency: 'Dollars' })).toEqual(['currencyCode']);
+    expect(rules({ ...good, currency: 'N/A' })).toEqual(['currencyCode']);
+    // A currency printed with the amounts is enough
+    expect(rules({ ...good, currency: 'N/A', currencyCode: 'HKD' })).toEqual([]);
+});
+
+test('puts row problems against the file name and clears problems that are corrected', () => {
+    const row = {
+        ...good,
+        schedule: [{ policyYear: 5, guaranteedCashValue: 50000, nonGuaranteedCashValue: 40000 }],
+        total10PayPremium: '10000',
+    };
+    const issues = validateRow(row);
+    expect(getCellIssues(issues, column('fileName')).map(issue => issue.ruleId)).toEqual(['guaranteedAboveTotal']);
+    expect(getCellIssues(issues, column('annualPremium')).map(issue => issue.ruleId)).toEqual(['tenPayTotal']);
+    expect(countIssues(issues)).toEqual({ errors: 0, warnings: 2 });
+
+    const corrected = applyOverride(row, column('total10PayPremium'), '100000', '2024-01-01T00:00:00.000Z');
+    expect(rules(corrected)).toEqual(['guaranteedAboveTotal']);
+});
+
+test('flags values read by OCR with low confidence until they are corrected', () => {
+    const row = { ...good, provenance: { faceAmount: { page: 1, lines: [600], confidence: 0.62 }, annualPremium: { page: 1, lines: [580], confidence: 0.95 } } };
+    const issues = validateRow(row);
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({ ruleId: 'ocrConfidence', severity: 'warning', fields: ['faceAmount'], message: 'Read by OCR with only 62% confidence.' });
+
+    expect(rules(applyOverride(row, column('faceAmount'), '550000', '2024-01-01T00:00:00.000Z'))).toEqual([]);
+});